@@ -0,0 +1,332 @@
+/**
+ * AuthApi
+ *
+ * Client of the Fyreth Auth API, which issues the join tokens the proxy uses
+ * to verify players. A token is issued in two steps: a handshake returns a
+ * challenge, which is then sent back with the player to issue the token.
+ *
+ * Requests are signed with an Ed25519 key pair generated once per
+ * installation. Its public key is registered with each account the first time
+ * the account requests a token, which lets the API bind tokens to this install
+ * without a secret shared by every launcher. The key pair and registrations
+ * are kept by a key store, which is the ConfigManager in the launcher.
+ *
+ * Each server may declare its endpoint in the distribution index. Requests
+ * which fail because the API could not be reached or is temporarily
+ * unavailable are retried with an exponential backoff.
+ *
+ * @module authapi
+ */
+// Requirements
+const crypto            = require('crypto')
+const { LoggerUtil }    = require('helios-core')
+
+const logger = LoggerUtil.getLogger('AuthApi')
+
+// Endpoint of servers which do not declare one in the distribution index.
+const DEFAULT_ENDPOINT = 'http://216.230.233.112:28080'
+const REQUEST_TIMEOUT = 5000
+const MAX_ATTEMPTS = 4
+const BASE_RETRY_DELAY = 500
+
+/**
+ * An error returned by the Auth API or raised while reaching it.
+ */
+class AuthApiError extends Error {
+
+    /**
+     * @param {string} stage The step which failed: handshake, issue, or network if the API could not be reached.
+     * @param {string} message The reason.
+     * @param {number | null} status Optional. The HTTP status of the response.
+     */
+    constructor(stage, message, status = null){
+        super(message)
+        this.name = 'AuthApiError'
+        this.stage = stage
+        this.status = status
+    }
+
+}
+
+exports.AuthApiError = AuthApiError
+
+/**
+ * Raised when the launcher key cannot be read, because the passphrase is
+ * locked or its private key cannot be decrypted, for example when safeStorage
+ * is unavailable. A new key is never generated in its place, since that would
+ * forget every registration.
+ */
+class LauncherKeyLockedError extends Error {
+
+    constructor(){
+        super('The launcher key cannot be decrypted.')
+        this.name = 'LauncherKeyLockedError'
+    }
+
+}
+
+exports.LauncherKeyLockedError = LauncherKeyLockedError
+
+/**
+ * @typedef {Object} AuthApiPlayer
+ * @property {string} uuid The uuid of the player, with dashes.
+ * @property {string} name The name of the player.
+ * @property {string} userType The account type: msa, ely or mojang.
+ * @property {string} xuid Optional. The Xbox user id of Microsoft accounts.
+ */
+
+/**
+ * @typedef {Object} LauncherKeyStore
+ * @property {function(): boolean} isTokenVaultLocked Whether the passphrase must be entered first.
+ * @property {function(): boolean} hasLauncherKeyPair Whether a key pair was generated.
+ * @property {function(): ({publicKey: string, privateKey: string} | null)} getLauncherKeyPair The decrypted key pair.
+ * @property {function(string, string): void} setLauncherKeyPair Store a new key pair.
+ * @property {function(string, string): boolean} isLauncherKeyRegistered Whether the key is registered with an account.
+ * @property {function(string, string, boolean): void} setLauncherKeyRegistered Record a registration.
+ * @property {function(): void} save Persist the store.
+ */
+
+/**
+ * @typedef {Object} LauncherKey
+ * @property {string} publicKey The base64 encoded SPKI public key.
+ * @property {crypto.KeyObject} privateKey The private key.
+ */
+
+/**
+ * Get the key pair of this installation, generating it on first use.
+ *
+ * @param {LauncherKeyStore} store The key store.
+ * @returns {LauncherKey} The key pair.
+ * @throws {LauncherKeyLockedError} If the key pair exists but cannot be decrypted.
+ */
+function getLauncherKey(store){
+    // A key generated while the passphrase is locked could not be encrypted.
+    if(store.isTokenVaultLocked()){
+        throw new LauncherKeyLockedError()
+    }
+    if(!store.hasLauncherKeyPair()){
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+        store.setLauncherKeyPair(
+            publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+            privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64')
+        )
+        store.save()
+        logger.info('Generated a new launcher key pair.')
+    }
+    const pair = store.getLauncherKeyPair()
+    if(pair == null){
+        throw new LauncherKeyLockedError()
+    }
+    return {
+        publicKey: pair.publicKey,
+        privateKey: crypto.createPrivateKey({ key: Buffer.from(pair.privateKey, 'base64'), format: 'der', type: 'pkcs8' })
+    }
+}
+
+/**
+ * Sign a request. The signature covers the challenge and the exact body
+ * which is sent, separated by a newline.
+ *
+ * @param {LauncherKey} key The key pair.
+ * @param {string} challenge The challenge returned by the handshake.
+ * @param {string} body The request body.
+ * @returns {string} The base64 encoded signature.
+ */
+exports.signRequest = function(key, challenge, body){
+    return crypto.sign(null, Buffer.from(`${challenge}\n${body}`, 'utf8'), key.privateKey).toString('base64')
+}
+
+/**
+ * Check whether an endpoint may receive the access token of a player, which
+ * requires HTTPS unless the API runs on this machine.
+ *
+ * @param {string} endpoint The Auth API endpoint.
+ * @returns {boolean} True if the endpoint uses HTTPS or is local.
+ */
+function isSecureEndpoint(endpoint){
+    const url = new URL(endpoint)
+    return url.protocol === 'https:' || ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)
+}
+
+/**
+ * Get the Auth API endpoint of a server.
+ *
+ * @param {Object} server The server.
+ * @returns {string} The endpoint, without a trailing slash.
+ * @throws {AuthApiError} If the endpoint declared by the server is not an HTTP(S) URL.
+ */
+exports.getEndpoint = function(server){
+    const endpoint = server.rawServer.authApi ?? DEFAULT_ENDPOINT
+    let url
+    try {
+        url = new URL(endpoint)
+    } catch(err) {
+        throw new AuthApiError('network', `Invalid Auth API endpoint ${endpoint}.`)
+    }
+    if(url.protocol !== 'https:' && url.protocol !== 'http:'){
+        throw new AuthApiError('network', `Unsupported Auth API endpoint ${endpoint}.`)
+    }
+    if(!isSecureEndpoint(endpoint)){
+        logger.warn(`The Auth API endpoint ${endpoint} does not use HTTPS.`)
+    }
+    return endpoint.replace(/\/+$/, '')
+}
+
+/**
+ * Send a request to the Auth API.
+ *
+ * @param {string} url The URL.
+ * @param {Object} options The fetch options.
+ * @param {string} stage The step the request belongs to.
+ * @returns {Promise.<Object>} The response body.
+ * @throws {AuthApiError} If the API could not be reached or answered with an error.
+ */
+async function request(url, options, stage){
+    let res
+    try {
+        res = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) })
+    } catch(err) {
+        throw new AuthApiError('network', err.cause?.message ?? err.message)
+    }
+    const data = await res.json().catch(() => ({}))
+    if(!res.ok){
+        throw new AuthApiError(stage, data.error || `Request failed with status ${res.status}.`, res.status)
+    }
+    return data
+}
+
+/**
+ * Check whether a failed attempt should be retried. The API is retried when it
+ * could not be reached or is temporarily unavailable, but not when it refused
+ * the player.
+ *
+ * @param {Error} err The error of the attempt.
+ * @returns {boolean} True if the attempt should be retried.
+ */
+function isRetryable(err){
+    return err instanceof AuthApiError
+        && (err.stage === 'network' || err.status === 429 || err.status >= 500)
+}
+
+/**
+ * Request a challenge.
+ *
+ * @param {string} endpoint The Auth API endpoint.
+ * @returns {Promise.<string>} The challenge.
+ */
+async function handshake(endpoint){
+    const data = await request(`${endpoint}/v1/handshake`, {}, 'handshake')
+    if(!data.challenge){
+        throw new AuthApiError('handshake', 'The handshake did not return a challenge.')
+    }
+    return data.challenge
+}
+
+/**
+ * Send a signed request with a new challenge.
+ *
+ * @param {string} endpoint The Auth API endpoint.
+ * @param {string} route The route, ex. /v1/issue.
+ * @param {Object} payload The request body, without the challenge.
+ * @param {LauncherKey} key The key pair.
+ * @returns {Promise.<Object>} The response body.
+ */
+async function signedRequest(endpoint, route, payload, key){
+    const challenge = await handshake(endpoint)
+    const body = JSON.stringify({ challenge, ...payload })
+    return await request(`${endpoint}${route}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Launcher-Key': key.publicKey,
+            'X-Launcher-Signature': exports.signRequest(key, challenge, body)
+        },
+        body
+    }, 'issue')
+}
+
+/**
+ * Register the public key with the account of a player. The access token lets
+ * the API verify the account, it is never sent to an endpoint without HTTPS.
+ *
+ * @param {string} endpoint The Auth API endpoint.
+ * @param {AuthApiPlayer} player The player.
+ * @param {string | null} accessToken The access token of a Microsoft account, or null.
+ * @param {LauncherKey} key The key pair.
+ * @param {LauncherKeyStore} store The key store.
+ */
+async function registerKey(endpoint, player, accessToken, key, store){
+    const payload = { ...player, publicKey: key.publicKey }
+    if(accessToken != null){
+        if(isSecureEndpoint(endpoint)){
+            payload.accessToken = accessToken
+        } else {
+            logger.warn(`Not sending the access token of ${player.name} to ${endpoint}, it does not use HTTPS.`)
+        }
+    }
+    await signedRequest(endpoint, '/v1/register', payload, key)
+    store.setLauncherKeyRegistered(endpoint, player.uuid, true)
+    store.save()
+    logger.info(`Registered the launcher key with ${player.name}.`)
+}
+
+/**
+ * Issue a join token.
+ *
+ * @param {string} endpoint The Auth API endpoint.
+ * @param {AuthApiPlayer} player The player.
+ * @param {LauncherKey} key The key pair.
+ * @returns {Promise.<string>} The join token.
+ */
+async function issueJoinToken(endpoint, player, key){
+    const issued = await signedRequest(endpoint, '/v1/issue', player, key)
+    if(!issued.join_token){
+        throw new AuthApiError('issue', 'The Auth API did not return a join_token.')
+    }
+    return issued.join_token
+}
+
+/**
+ * Fetch a join token for a player, registering the public key with the
+ * account first if needed. A challenge can only be used once, so each
+ * request starts with a handshake. The access token is only sent when the key
+ * is registered.
+ *
+ * @param {string} endpoint The Auth API endpoint, see getEndpoint.
+ * @param {AuthApiPlayer} player The player.
+ * @param {LauncherKeyStore} store The key store.
+ * @param {{accessToken: string, attempts: number, retryDelay: number}} options Optional. The access
+ * token of a Microsoft account, the number of attempts and the delay before the first retry in ms,
+ * which doubles after every retry.
+ * @returns {Promise.<string>} The join token.
+ * @throws {AuthApiError} If no token could be issued.
+ * @throws {LauncherKeyLockedError} If the launcher key cannot be decrypted.
+ */
+exports.fetchJoinToken = async function(endpoint, player, store, { accessToken = null, attempts = MAX_ATTEMPTS, retryDelay = BASE_RETRY_DELAY } = {}){
+    const key = getLauncherKey(store)
+    let register = !store.isLauncherKeyRegistered(endpoint, player.uuid)
+    for(let attempt = 1; ; attempt++){
+        try {
+            if(register){
+                await registerKey(endpoint, player, accessToken, key, store)
+                register = false
+            }
+            return await issueJoinToken(endpoint, player, key)
+        } catch(err) {
+            // The API does not know the key anymore, for example after its data was reset.
+            if(err.stage === 'issue' && err.status === 401 && !register && attempt < attempts){
+                logger.warn(`The launcher key is not registered with ${player.name}, registering it again.`)
+                store.setLauncherKeyRegistered(endpoint, player.uuid, false)
+                register = true
+                continue
+            }
+            if(attempt >= attempts || !isRetryable(err)){
+                logger.error(`Auth API ${err.stage} failed after ${attempt} attempt(s).`, err.message)
+                throw err
+            }
+            const delay = retryDelay * Math.pow(2, attempt - 1)
+            logger.warn(`Auth API ${err.stage} failed (${err.message}), retrying in ${delay} ms.`)
+            await new Promise(resolve => setTimeout(resolve, delay))
+        }
+    }
+}
@@ -1,8 +1,12 @@
+const crypto = require('crypto')
 const fs   = require('fs-extra')
 const { LoggerUtil } = require('helios-core')
 const os   = require('os')
 const path = require('path')
 
+const ConfigMigrations = require('./configmigrations')
+const TokenVault = require('./tokenvault')
+
 const logger = LoggerUtil.getLogger('ConfigManager')
 
 const sysRoot = process.env.APPDATA || (process.platform == 'darwin' ? process.env.HOME + '/Library/Application Support' : process.env.HOME)
@@ -84,6 +88,7 @@ function resolveSelectedRAM(ram) {
  * Resolved = Resolved externally, defaults to null.
  */
 const DEFAULT_CONFIG = {
+    configVersion: ConfigMigrations.CONFIG_VERSION,
     settings: {
         game: {
             resWidth: 1280,
@@ -95,7 +100,9 @@ const DEFAULT_CONFIG = {
         launcher: {
             allowPrerelease: false,
             dataDirectory: dataPath,
-            language: null // null means auto-detect
+            language: null, // null means auto-detect
+            sessionLogRetention: 10,
+            distributionSources: []
         }
     },
     newsCache: {
@@ -108,7 +115,18 @@ const DEFAULT_CONFIG = {
     selectedServer: null, // Resolved
     selectedAccount: null,
     authenticationDatabase: {},
+    tokenEncryption: {
+        mode: null, // null means safeStorage when available
+        salt: null,
+        check: null
+    },
+    launcherKey: {
+        publicKey: null,
+        privateKey: null,
+        registrations: {}
+    },
     modConfigurations: [],
+    launchProfiles: {},
     javaConfig: {}
 }
 
@@ -116,11 +134,119 @@ let config = null
 
 // Persistance Utility Functions
 
+const backupDir = path.join(exports.getLauncherDirectory(), 'config-backups')
+const recoveryReportPath = path.join(exports.getLauncherDirectory(), 'config-recovery.json')
+const BACKUP_REGEX = /^config-(\d+)\.json$/
+const MAX_BACKUPS = 5
+const BACKUP_INTERVAL = 60*60*1000
+
+/**
+ * Write a file atomically. The data is written to a temporary file which
+ * then replaces the destination, so the destination is never left half written.
+ * 
+ * @param {string} file The path of the file to write.
+ * @param {string} data The data to write.
+ */
+function writeFileAtomic(file, data){
+    const tmpFile = `${file}.tmp`
+    const fd = fs.openSync(tmpFile, 'w')
+    try {
+        fs.writeSync(fd, data, null, 'UTF-8')
+        fs.fsyncSync(fd)
+    } finally {
+        fs.closeSync(fd)
+    }
+    fs.renameSync(tmpFile, file)
+}
+
+/**
+ * Get the configuration backups, newest first.
+ * 
+ * @returns {Array.<{file: string, timestamp: number}>} The backups.
+ */
+function getBackups(){
+    if(!fs.existsSync(backupDir)){
+        return []
+    }
+    return fs.readdirSync(backupDir)
+        .map(f => BACKUP_REGEX.exec(f))
+        .filter(m => m != null)
+        .map(m => ({ file: path.join(backupDir, m[0]), timestamp: Number(m[1]) }))
+        .sort((a, b) => b.timestamp - a.timestamp)
+}
+
+/**
+ * Back up the configuration file currently on disk if the newest backup is
+ * older than the backup interval. Only the newest backups are kept.
+ */
+function backupConfig(){
+    if(!fs.existsSync(configPath)){
+        return
+    }
+    const backups = getBackups()
+    const now = Date.now()
+    if(backups.length > 0 && now - backups[0].timestamp < BACKUP_INTERVAL){
+        return
+    }
+    try {
+        fs.ensureDirSync(backupDir)
+        fs.copySync(configPath, path.join(backupDir, `config-${now}.json`))
+        for(const backup of backups.slice(MAX_BACKUPS - 1)){
+            fs.removeSync(backup.file)
+        }
+    } catch (err){
+        logger.warn('Failed to back up the configuration file.', err)
+    }
+}
+
+/**
+ * Attempt to read the newest valid configuration backup.
+ * 
+ * @returns {{file: string, config: Object} | null} The backup file and its contents,
+ * or null if no valid backup exists.
+ */
+function readNewestValidBackup(){
+    for(const backup of getBackups()){
+        try {
+            const data = JSON.parse(fs.readFileSync(backup.file, 'UTF-8'))
+            if(data != null && typeof data === 'object'){
+                return { file: backup.file, config: data }
+            }
+        } catch (err){
+            logger.warn(`Configuration backup ${path.basename(backup.file)} is corrupt, skipping.`)
+        }
+    }
+    return null
+}
+
 /**
  * Save the current configuration to a file.
  */
 exports.save = function(){
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 4), 'UTF-8')
+    backupConfig()
+    writeFileAtomic(configPath, JSON.stringify(config, null, 4))
+}
+
+/**
+ * Retrieve the report of the last configuration recovery and clear it. A report
+ * is created whenever load finds a corrupt configuration file. The report is
+ * stored on disk so that it can be shown by whichever process asks first.
+ * 
+ * @returns {{backup: string | null, corruptFile: string, timestamp: number} | null} The
+ * name of the restored backup (null if defaults were used), the path the corrupt file
+ * was moved to, and when the recovery happened. Null if no recovery happened.
+ */
+exports.consumeRecoveryReport = function(){
+    if(!fs.existsSync(recoveryReportPath)){
+        return null
+    }
+    try {
+        return JSON.parse(fs.readFileSync(recoveryReportPath, 'UTF-8'))
+    } catch (err){
+        return null
+    } finally {
+        fs.removeSync(recoveryReportPath)
+    }
 }
 
 /**
@@ -131,33 +257,59 @@ exports.save = function(){
  */
 exports.load = function(){
     let doLoad = true
+    // Older launchers kept config.json in the legacy data directory. A migration moves it.
+    let source = fs.existsSync(configPath) ? configPath : configPathLEGACY
 
-    if(!fs.existsSync(configPath)){
+    if(!fs.existsSync(source)){
         // Create all parent directories.
         fs.ensureDirSync(path.join(configPath, '..'))
-        if(fs.existsSync(configPathLEGACY)){
-            fs.moveSync(configPathLEGACY, configPath)
-        } else {
-            doLoad = false
-            config = DEFAULT_CONFIG
-            exports.save()
-        }
+        doLoad = false
+        config = DEFAULT_CONFIG
+        exports.save()
     }
     if(doLoad){
         let doValidate = false
         try {
-            config = JSON.parse(fs.readFileSync(configPath, 'UTF-8'))
+            config = JSON.parse(fs.readFileSync(source, 'UTF-8'))
             doValidate = true
         } catch (err){
             logger.error(err)
             logger.info('Configuration file contains malformed JSON or is corrupt.')
-            logger.info('Generating a new configuration file.')
-            fs.ensureDirSync(path.join(configPath, '..'))
-            config = DEFAULT_CONFIG
-            exports.save()
+            // Keep the corrupt file around for inspection. Moving it also
+            // prevents it from being backed up on the next save.
+            const timestamp = Date.now()
+            const corruptFile = `${source}.corrupt-${timestamp}`
+            fs.moveSync(source, corruptFile, { overwrite: true })
+            const backup = readNewestValidBackup()
+            if(backup != null){
+                logger.info(`Restored configuration from backup ${path.basename(backup.file)}.`)
+                config = backup.config
+                source = backup.file
+                doValidate = true
+            } else {
+                logger.info('No valid backup found. Generating a new configuration file.')
+                fs.ensureDirSync(path.join(configPath, '..'))
+                config = DEFAULT_CONFIG
+                exports.save()
+            }
+            try {
+                fs.writeFileSync(recoveryReportPath, JSON.stringify({
+                    backup: backup != null ? path.basename(backup.file) : null,
+                    corruptFile,
+                    timestamp
+                }), 'UTF-8')
+            } catch (err){
+                logger.warn('Failed to write the configuration recovery report.', err)
+            }
         }
         if(doValidate){
+            config = ConfigMigrations.migrate(config, {
+                source,
+                configPath,
+                legacyConfigPath: configPathLEGACY
+            }).config
             config = validateKeySet(DEFAULT_CONFIG, config)
+            encryptStoredTokens()
             exports.save()
         }
     }
@@ -303,13 +455,269 @@ exports.setSelectedServer = function(serverID){
     config.selectedServer = serverID
 }
 
+// Token Encryption
+
+/**
+ * Get the mode used to encrypt new tokens.
+ * 
+ * @returns {string | null} One of TokenVault.MODE, or null if tokens cannot
+ * currently be encrypted.
+ */
+function getActiveTokenMode(){
+    if(config.tokenEncryption.mode === TokenVault.MODE.PASSPHRASE){
+        return TokenVault.isUnlocked() ? TokenVault.MODE.PASSPHRASE : null
+    }
+    return TokenVault.isSafeStorageAvailable() ? TokenVault.MODE.SAFE_STORAGE : null
+}
+
+/**
+ * Encrypt a token if it is not already encrypted and a key is available.
+ * 
+ * @param {string} value The token.
+ * @returns {string} The encrypted token, or the plaintext token if no key is available.
+ */
+function encryptToken(value){
+    if(value == null || TokenVault.isEncrypted(value)){
+        return value
+    }
+    const mode = getActiveTokenMode()
+    return mode != null ? TokenVault.encrypt(value, mode) : value
+}
+
+/**
+ * Copy an account, transforming each of its tokens.
+ * 
+ * @param {Object} account The authenticated account.
+ * @param {function(string): string} fn The transformation to apply to each token.
+ * @returns {Object} The transformed copy of the account.
+ */
+function mapAccountTokens(account, fn){
+    const copy = { ...account }
+    if(copy.accessToken != null){
+        copy.accessToken = fn(copy.accessToken)
+    }
+    if(copy.microsoft != null){
+        copy.microsoft = { ...copy.microsoft }
+        if(copy.microsoft.access_token != null){
+            copy.microsoft.access_token = fn(copy.microsoft.access_token)
+        }
+        if(copy.microsoft.refresh_token != null){
+            copy.microsoft.refresh_token = fn(copy.microsoft.refresh_token)
+        }
+    }
+    return copy
+}
+
+/**
+ * Get a copy of a stored account with its tokens decrypted. Tokens which
+ * cannot be decrypted (for example while the passphrase is locked) are null.
+ * 
+ * @param {Object} account The stored account. May be null.
+ * @returns {Object} The decrypted copy of the account.
+ */
+function decryptAccount(account){
+    return account != null ? mapAccountTokens(account, TokenVault.decrypt) : account
+}
+
+/**
+ * Encrypt the tokens of a stored account in place.
+ * 
+ * @param {string} uuid The uuid of the authenticated account.
+ * @returns {Object} A decrypted copy of the account.
+ */
+function storeAccount(uuid){
+    config.authenticationDatabase[uuid] = mapAccountTokens(config.authenticationDatabase[uuid], encryptToken)
+    return decryptAccount(config.authenticationDatabase[uuid])
+}
+
 /**
- * Get an array of each account currently authenticated by the launcher.
+ * Encrypt any plaintext tokens left in the authentication database, for
+ * example those written by an older version of the launcher.
+ */
+function encryptStoredTokens(){
+    if(getActiveTokenMode() == null){
+        return
+    }
+    for(const uuid of Object.keys(config.authenticationDatabase)){
+        storeAccount(uuid)
+    }
+    config.launcherKey.privateKey = encryptToken(config.launcherKey.privateKey)
+}
+
+/**
+ * Get how stored tokens are encrypted.
  * 
- * @returns {Array.<Object>} An array of each stored authenticated account.
+ * @returns {string | null} One of TokenVault.MODE, or null if tokens are
+ * stored in plaintext.
+ */
+exports.getTokenEncryptionMode = function(){
+    if(config.tokenEncryption.mode === TokenVault.MODE.PASSPHRASE){
+        return TokenVault.MODE.PASSPHRASE
+    }
+    return TokenVault.isSafeStorageAvailable() ? TokenVault.MODE.SAFE_STORAGE : null
+}
+
+/**
+ * Check whether tokens are protected by a passphrase which has not been
+ * entered yet. While locked, stored tokens cannot be read.
+ * 
+ * @returns {boolean} True if the passphrase must be entered, otherwise false.
+ */
+exports.isTokenVaultLocked = function(){
+    return config.tokenEncryption.mode === TokenVault.MODE.PASSPHRASE && !TokenVault.isUnlocked()
+}
+
+/**
+ * Unlock the stored tokens with the passphrase.
+ * 
+ * @param {string} passphrase The passphrase.
+ * @returns {boolean} True if the passphrase was correct, otherwise false.
+ */
+exports.unlockTokenVault = function(passphrase){
+    const { salt, check } = config.tokenEncryption
+    if(!TokenVault.unlock(passphrase, salt, check)){
+        return false
+    }
+    encryptStoredTokens()
+    return true
+}
+
+/**
+ * Set or remove the passphrase protecting the stored tokens. Every stored
+ * token is re-encrypted. Removing the passphrase falls back to safeStorage
+ * when available. The vault must be unlocked.
+ * 
+ * @param {string | null} passphrase The new passphrase, or null to remove it.
+ */
+exports.setTokenPassphrase = function(passphrase){
+    if(exports.isTokenVaultLocked()){
+        throw new Error('Token vault is locked.')
+    }
+    const accounts = exports.getAuthAccounts()
+    const keyPair = exports.getLauncherKeyPair()
+    if(passphrase != null){
+        const salt = TokenVault.generateSalt()
+        const check = TokenVault.createPassphraseCheck(passphrase, salt)
+        config.tokenEncryption = { mode: TokenVault.MODE.PASSPHRASE, salt, check }
+        TokenVault.unlock(passphrase, salt, check)
+    } else {
+        config.tokenEncryption = { mode: null, salt: null, check: null }
+        TokenVault.lock()
+    }
+    config.authenticationDatabase = accounts
+    for(const uuid of Object.keys(accounts)){
+        storeAccount(uuid)
+    }
+    if(keyPair != null){
+        config.launcherKey.privateKey = encryptToken(keyPair.privateKey)
+    }
+}
+
+/**
+ * Forget the passphrase along with every stored account. Used when the
+ * passphrase has been lost.
+ */
+exports.resetTokenVault = function(){
+    TokenVault.lock()
+    config.tokenEncryption = { mode: null, salt: null, check: null }
+    config.authenticationDatabase = {}
+    config.selectedAccount = null
+    config.clientToken = null
+    // The private key was encrypted with the lost passphrase as well.
+    exports.resetLauncherKeyPair()
+}
+
+// Launcher Key
+
+/**
+ * Check whether this installation has a key pair. It may still be unreadable,
+ * see getLauncherKeyPair.
+ * 
+ * @returns {boolean} True if a key pair was generated, otherwise false.
+ */
+exports.hasLauncherKeyPair = function(){
+    return config.launcherKey.publicKey != null
+}
+
+/**
+ * Retrieve the key pair of this installation, used to sign requests to the
+ * Fyreth Auth API. The private key is encrypted like the stored tokens.
+ * 
+ * @returns {{publicKey: string, privateKey: string} | null} The base64 encoded SPKI public key
+ * and PKCS#8 private key, or null if there is no key pair or it cannot be decrypted, for
+ * example while the passphrase is locked or safeStorage is unavailable.
+ */
+exports.getLauncherKeyPair = function(){
+    const { publicKey, privateKey } = config.launcherKey
+    if(publicKey == null || privateKey == null){
+        return null
+    }
+    const decrypted = TokenVault.decrypt(privateKey)
+    return decrypted != null ? { publicKey, privateKey: decrypted } : null
+}
+
+/**
+ * Store a new key pair for this installation. Every registration of the
+ * previous public key is forgotten.
+ * 
+ * @param {string} publicKey The base64 encoded SPKI public key.
+ * @param {string} privateKey The base64 encoded PKCS#8 private key.
+ */
+exports.setLauncherKeyPair = function(publicKey, privateKey){
+    config.launcherKey = {
+        publicKey,
+        privateKey: encryptToken(privateKey),
+        registrations: {}
+    }
+}
+
+/**
+ * Forget the key pair of this installation along with its registrations. Used
+ * when the private key cannot be decrypted anymore, a new key pair is
+ * generated on the next launch.
+ */
+exports.resetLauncherKeyPair = function(){
+    config.launcherKey = { publicKey: null, privateKey: null, registrations: {} }
+}
+
+/**
+ * Check whether the public key has been registered with an account.
+ * 
+ * @param {string} endpoint The Auth API endpoint the key was registered with.
+ * @param {string} uuid The uuid of the account.
+ * @returns {boolean} True if the key is registered, otherwise false.
+ */
+exports.isLauncherKeyRegistered = function(endpoint, uuid){
+    return config.launcherKey.registrations[endpoint]?.includes(uuid) ?? false
+}
+
+/**
+ * Record whether the public key is registered with an account.
+ * 
+ * @param {string} endpoint The Auth API endpoint the key was registered with.
+ * @param {string} uuid The uuid of the account.
+ * @param {boolean} registered Whether the key is registered.
+ */
+exports.setLauncherKeyRegistered = function(endpoint, uuid, registered){
+    const accounts = (config.launcherKey.registrations[endpoint] ?? []).filter(u => u !== uuid)
+    if(registered){
+        accounts.push(uuid)
+    }
+    config.launcherKey.registrations[endpoint] = accounts
+}
+
+/**
+ * Get each account currently authenticated by the launcher. The returned
+ * accounts are decrypted copies, changes to them are not stored.
+ * 
+ * @returns {Object.<string, Object>} Each stored authenticated account, keyed by uuid.
  */
 exports.getAuthAccounts = function(){
-    return config.authenticationDatabase
+    const accounts = {}
+    for(const uuid of Object.keys(config.authenticationDatabase)){
+        accounts[uuid] = decryptAccount(config.authenticationDatabase[uuid])
+    }
+    return accounts
 }
 
 /**
@@ -320,7 +728,7 @@ exports.getAuthAccounts = function(){
  * @returns {Object} The authenticated account with the given uuid.
  */
 exports.getAuthAccount = function(uuid){
-    return config.authenticationDatabase[uuid]
+    return decryptAccount(config.authenticationDatabase[uuid])
 }
 
 /**
@@ -334,7 +742,7 @@ exports.getAuthAccount = function(uuid){
 exports.updateMojangAuthAccount = function(uuid, accessToken){
     config.authenticationDatabase[uuid].accessToken = accessToken
     config.authenticationDatabase[uuid].type = 'mojang' // For gradual conversion.
-    return config.authenticationDatabase[uuid]
+    return storeAccount(uuid)
 }
 
 /**
@@ -356,7 +764,7 @@ exports.addMojangAuthAccount = function(uuid, accessToken, username, displayName
         uuid: uuid.trim(),
         displayName: displayName.trim()
     }
-    return config.authenticationDatabase[uuid]
+    return storeAccount(uuid)
 }
 
 /**
@@ -384,7 +792,7 @@ exports.updateMicrosoftAuthAccount = function(uuid, accessToken, msAccessToken,
     if(isRealXuid !== null) {
         config.authenticationDatabase[uuid].microsoft.isRealXuid = isRealXuid
     }
-    return config.authenticationDatabase[uuid]
+    return storeAccount(uuid)
 }
 
 /**
@@ -398,7 +806,7 @@ exports.updateMicrosoftAuthAccount = function(uuid, accessToken, msAccessToken,
 exports.updateElyAuthAccount = function(uuid, accessToken){
     config.authenticationDatabase[uuid].accessToken = accessToken
     config.authenticationDatabase[uuid].type = 'ely'
-    return config.authenticationDatabase[uuid]
+    return storeAccount(uuid)
 }
 
 /**
@@ -426,7 +834,7 @@ exports.addElyAuthAccount = function(uuid, accessToken, username, displayName){
         uuid: formattedUuid,
         displayName: displayName.trim()
     }
-    return config.authenticationDatabase[formattedUuid]
+    return storeAccount(formattedUuid)
 }
 
 /**
@@ -460,7 +868,7 @@ exports.addMicrosoftAuthAccount = function(uuid, accessToken, name, mcExpires, m
             isRealXuid: isRealXuid // Flag indicating if xuid is real xid (not uhs)
         }
     }
-    return config.authenticationDatabase[uuid]
+    return storeAccount(uuid)
 }
 
 /**
@@ -495,7 +903,7 @@ exports.removeAuthAccount = function(uuid){
  * @returns {Object} The selected authenticated account.
  */
 exports.getSelectedAccount = function(){
-    return config.authenticationDatabase[config.selectedAccount]
+    return decryptAccount(config.authenticationDatabase[config.selectedAccount])
 }
 
 /**
@@ -511,7 +919,7 @@ exports.setSelectedAccount = function(uuid){
     if(authAcc != null) {
         config.selectedAccount = uuid
     }
-    return authAcc
+    return decryptAccount(authAcc)
 }
 
 /**
@@ -565,6 +973,324 @@ exports.setModConfiguration = function(serverid, configuration){
     cfgs.push(configuration)
 }
 
+// Launch Profiles
+
+/**
+ * Get the launch profile store for a server, creating it if needed.
+ * 
+ * @param {string} serverid The id of the server.
+ * @returns {{selected: string | null, profiles: Array.<Object>}} The launch profile store.
+ */
+function getLaunchProfileStore(serverid){
+    if(config.launchProfiles[serverid] == null){
+        config.launchProfiles[serverid] = {
+            selected: null,
+            profiles: []
+        }
+    }
+    return config.launchProfiles[serverid]
+}
+
+/**
+ * Get the launch profiles of a server. A launch profile is a named set of
+ * optional mod toggles, memory, JVM options, resolution and shaderpack.
+ * 
+ * @param {string} serverid The id of the server.
+ * @returns {Array.<Object>} An array of the launch profiles of the server.
+ */
+exports.getLaunchProfiles = function(serverid){
+    return getLaunchProfileStore(serverid).profiles
+}
+
+/**
+ * Get a launch profile of a server.
+ * 
+ * @param {string} serverid The id of the server.
+ * @param {string} profileid The id of the launch profile.
+ * @returns {Object} The launch profile, or null if it does not exist.
+ */
+exports.getLaunchProfile = function(serverid, profileid){
+    return exports.getLaunchProfiles(serverid).find(p => p.id === profileid) || null
+}
+
+/**
+ * Save the current settings of a server as a launch profile. If a profile
+ * with the same name already exists, it is overwritten.
+ * 
+ * @param {string} serverid The id of the server.
+ * @param {string} name The name of the launch profile.
+ * @param {string} shaderpack The file name of the enabled shaderpack, or null.
+ * @returns {Object} The saved launch profile.
+ */
+exports.saveLaunchProfile = function(serverid, name, shaderpack = null){
+    const profiles = exports.getLaunchProfiles(serverid)
+    const modConf = exports.getModConfiguration(serverid)
+    const profile = {
+        id: null,
+        name: name.trim(),
+        mods: modConf != null ? JSON.parse(JSON.stringify(modConf.mods)) : {},
+        minRAM: exports.getMinRAM(serverid),
+        maxRAM: exports.getMaxRAM(serverid),
+        jvmOptions: [...exports.getJVMOptions(serverid)],
+        resWidth: exports.getGameWidth(),
+        resHeight: exports.getGameHeight(),
+        fullscreen: exports.getFullscreen(),
+        shaderpack
+    }
+    const existing = profiles.findIndex(p => p.name.toLowerCase() === profile.name.toLowerCase())
+    if(existing > -1){
+        profile.id = profiles[existing].id
+        profiles[existing] = profile
+    } else {
+        profile.id = crypto.randomBytes(8).toString('hex')
+        profiles.push(profile)
+    }
+    return profile
+}
+
+/**
+ * Remove a launch profile of a server. If it was selected, the server
+ * reverts to its default settings.
+ * 
+ * @param {string} serverid The id of the server.
+ * @param {string} profileid The id of the launch profile.
+ * @returns {boolean} True if the profile was removed, otherwise false.
+ */
+exports.removeLaunchProfile = function(serverid, profileid){
+    const store = getLaunchProfileStore(serverid)
+    const index = store.profiles.findIndex(p => p.id === profileid)
+    if(index === -1){
+        return false
+    }
+    store.profiles.splice(index, 1)
+    if(store.selected === profileid){
+        store.selected = null
+    }
+    return true
+}
+
+/**
+ * Get the selected launch profile of a server.
+ * 
+ * @param {string} serverid The id of the server.
+ * @returns {Object} The selected launch profile, or null if the default settings are used.
+ */
+exports.getSelectedLaunchProfile = function(serverid){
+    const store = getLaunchProfileStore(serverid)
+    return store.selected != null ? exports.getLaunchProfile(serverid, store.selected) : null
+}
+
+/**
+ * Set the selected launch profile of a server.
+ * 
+ * @param {string} serverid The id of the server.
+ * @param {string} profileid The id of the launch profile, or null to use the default settings.
+ */
+exports.setSelectedLaunchProfile = function(serverid, profileid){
+    getLaunchProfileStore(serverid).selected = exports.getLaunchProfile(serverid, profileid) != null ? profileid : null
+}
+
+/**
+ * Update values of the selected launch profile of a server. The profile
+ * overrides the default settings on launch, so settings edited while it is
+ * selected are saved to it instead.
+ * 
+ * @param {string} serverid The id of the server.
+ * @param {Object} values The values to update, keyed as in getActiveLaunchConfig.
+ * @returns {boolean} True if a profile is selected and was updated, otherwise false.
+ */
+exports.updateSelectedLaunchProfile = function(serverid, values){
+    const profile = exports.getSelectedLaunchProfile(serverid)
+    if(profile == null){
+        return false
+    }
+    Object.assign(profile, values)
+    return true
+}
+
+/**
+ * Resolve the settings which should be used to launch a server. These are
+ * taken from the selected launch profile, falling back to the default
+ * settings of the server for any value the profile does not define.
+ * 
+ * @param {string} serverid The id of the server.
+ * @returns {{mods: Object, minRAM: string, maxRAM: string, jvmOptions: Array.<string>,
+ * resWidth: number, resHeight: number, fullscreen: boolean, shaderpack: string | null}}
+ * The launch settings.
+ */
+exports.getActiveLaunchConfig = function(serverid){
+    const modConf = exports.getModConfiguration(serverid)
+    const launchConfig = {
+        mods: modConf != null ? modConf.mods : {},
+        minRAM: exports.getMinRAM(serverid),
+        maxRAM: exports.getMaxRAM(serverid),
+        jvmOptions: exports.getJVMOptions(serverid),
+        resWidth: exports.getGameWidth(),
+        resHeight: exports.getGameHeight(),
+        fullscreen: exports.getFullscreen(),
+        shaderpack: null
+    }
+    const profile = exports.getSelectedLaunchProfile(serverid)
+    if(profile != null){
+        for(const key of Object.keys(launchConfig)){
+            if(profile[key] != null){
+                launchConfig[key] = key === 'mods' ? { ...launchConfig.mods, ...profile.mods } : profile[key]
+            }
+        }
+    }
+    return launchConfig
+}
+
+// Settings Transfer
+
+/**
+ * Export the settings which can be moved to another machine. Machine specific
+ * values such as the data directory are left out.
+ * 
+ * @param {boolean} includeAccounts Whether to include the authenticated accounts.
+ * Their tokens are left out, each account must sign in again once imported.
+ * @returns {Object} The exported settings, in the same shape as the config.
+ * @throws {Error} If accounts are included while the token vault is locked.
+ */
+exports.exportSettings = function(includeAccounts = false){
+    if(includeAccounts && exports.isTokenVaultLocked()){
+        throw new Error('Token vault is locked.')
+    }
+    const settings = JSON.parse(JSON.stringify(config.settings))
+    delete settings.launcher.dataDirectory
+    const data = {
+        configVersion: config.configVersion,
+        settings,
+        modConfigurations: JSON.parse(JSON.stringify(config.modConfigurations)),
+        launchProfiles: JSON.parse(JSON.stringify(config.launchProfiles)),
+        javaConfig: JSON.parse(JSON.stringify(config.javaConfig))
+    }
+    if(includeAccounts){
+        data.authenticationDatabase = {}
+        for(const [uuid, account] of Object.entries(config.authenticationDatabase)){
+            data.authenticationDatabase[uuid] = withoutTokens(account)
+        }
+        data.selectedAccount = config.selectedAccount
+    }
+    return data
+}
+
+/**
+ * Copy an account without its tokens. The copy is marked as expired so that
+ * it must sign in again.
+ * 
+ * @param {Object} account The stored account.
+ * @returns {Object} The copy of the account.
+ */
+function withoutTokens(account){
+    const copy = mapAccountTokens(account, () => null)
+    if(copy.expiresAt != null){
+        copy.expiresAt = 0
+    }
+    if(copy.microsoft?.expires_at != null){
+        copy.microsoft.expires_at = 0
+    }
+    return copy
+}
+
+/**
+ * Merge exported settings into the current configuration. Java executables
+ * which do not exist on this machine are dropped, keeping the current ones.
+ * Imported accounts never carry tokens, accounts which are already signed in
+ * are kept.
+ * 
+ * @param {Object} data Settings created by exportSettings.
+ * @returns {{accounts: number, droppedExecutables: Array.<{serverid: string, executable: string}>}}
+ * The number of imported accounts and the Java executables which were dropped.
+ * @throws {Error} If accounts are imported while the token vault is locked.
+ */
+exports.importSettings = function(data){
+    if(Object.keys(data?.authenticationDatabase ?? {}).length > 0 && exports.isTokenVaultLocked()){
+        throw new Error('Token vault is locked.')
+    }
+    data = ConfigMigrations.migrate(JSON.parse(JSON.stringify(data))).config
+    const result = {
+        accounts: 0,
+        droppedExecutables: []
+    }
+
+    if(data.settings != null){
+        for(const group of Object.keys(DEFAULT_CONFIG.settings)){
+            const imported = data.settings[group]
+            if(imported == null){
+                continue
+            }
+            for(const [key, def] of Object.entries(DEFAULT_CONFIG.settings[group])){
+                if(key === 'dataDirectory' || imported[key] === undefined){
+                    continue
+                }
+                if(def === null || imported[key] === null || typeof imported[key] === typeof def){
+                    config.settings[group][key] = imported[key]
+                }
+            }
+        }
+    }
+
+    if(Array.isArray(data.modConfigurations)){
+        for(const modConf of data.modConfigurations){
+            if(modConf?.id != null){
+                exports.setModConfiguration(modConf.id, modConf)
+            }
+        }
+    }
+
+    if(data.launchProfiles != null){
+        for(const [serverid, store] of Object.entries(data.launchProfiles)){
+            const profiles = exports.getLaunchProfiles(serverid)
+            for(const profile of store?.profiles || []){
+                if(profile?.id != null && !profiles.some(p => p.id === profile.id)){
+                    profiles.push(profile)
+                }
+            }
+            if(getLaunchProfileStore(serverid).selected == null && store?.selected != null){
+                exports.setSelectedLaunchProfile(serverid, store.selected)
+            }
+        }
+    }
+
+    if(data.javaConfig != null){
+        for(const [serverid, javaConfig] of Object.entries(data.javaConfig)){
+            if(javaConfig == null){
+                continue
+            }
+            const imported = { ...javaConfig }
+            if(imported.executable != null && !fs.existsSync(imported.executable)){
+                logger.info(`Dropping imported Java executable ${imported.executable} for ${serverid}, it does not exist.`)
+                result.droppedExecutables.push({ serverid, executable: imported.executable })
+                imported.executable = null
+            }
+            if(imported.executable == null){
+                // Keep the executable already configured on this machine.
+                delete imported.executable
+            }
+            config.javaConfig[serverid] = { executable: null, ...config.javaConfig[serverid], ...imported }
+        }
+    }
+
+    if(data.authenticationDatabase != null){
+        for(const account of Object.values(data.authenticationDatabase)){
+            if(account?.uuid == null || config.authenticationDatabase[account.uuid] != null){
+                continue
+            }
+            // Archives written by older versions contain plaintext tokens.
+            config.authenticationDatabase[account.uuid] = withoutTokens(account)
+            storeAccount(account.uuid)
+            result.accounts++
+        }
+        if(config.authenticationDatabase[config.selectedAccount] == null){
+            const keys = Object.keys(config.authenticationDatabase)
+            config.selectedAccount = config.authenticationDatabase[data.selectedAccount] != null ? data.selectedAccount : (keys[0] ?? null)
+        }
+    }
+
+    return result
+}
+
 // User Configurable Settings
 
 // Java Settings
@@ -693,6 +1419,43 @@ exports.setJavaExecutable = function(serverid, executable){
     config.javaConfig[serverid].executable = executable
 }
 
+/**
+ * Retrieve the Java major version a server is bound to. A bound server always
+ * uses the newest runtime of that major version, so its executable follows
+ * runtime upgrades.
+ * 
+ * @param {string} serverid The server id.
+ * @returns {number | null} The bound major version, or null if the executable is chosen manually.
+ */
+exports.getJavaRuntimeMajor = function(serverid){
+    return config.javaConfig[serverid].runtimeMajor ?? null
+}
+
+/**
+ * Bind a server to a Java major version.
+ * 
+ * @param {string} serverid The server id.
+ * @param {number | null} major The major version, or null to choose the executable manually.
+ */
+exports.setJavaRuntimeMajor = function(serverid, major){
+    config.javaConfig[serverid].runtimeMajor = major
+}
+
+/**
+ * Retrieve the Java major version of every bound server.
+ * 
+ * @returns {Object.<string, number>} The bound major versions keyed by server id.
+ */
+exports.getJavaRuntimeBindings = function(){
+    const bindings = {}
+    for(const [serverid, javaConfig] of Object.entries(config.javaConfig)){
+        if(javaConfig.runtimeMajor != null){
+            bindings[serverid] = javaConfig.runtimeMajor
+        }
+    }
+    return bindings
+}
+
 /**
  * Retrieve the additional arguments for JVM initialization. Required arguments,
  * such as memory allocation, will be dynamically resolved and will not be included
@@ -875,4 +1638,69 @@ exports.getLanguage = function(def = false){
  */
 exports.setLanguage = function(language){
     config.settings.launcher.language = language
+}
+
+/**
+ * Retrieve the number of session logs to keep.
+ * 
+ * @param {boolean} def Optional. If true, the default value will be returned.
+ * @returns {number} The number of session logs to keep.
+ */
+exports.getSessionLogRetention = function(def = false){
+    return !def ? config.settings.launcher.sessionLogRetention : DEFAULT_CONFIG.settings.launcher.sessionLogRetention
+}
+
+/**
+ * Set the number of session logs to keep.
+ * 
+ * @param {number} sessionLogRetention The new number of session logs to keep.
+ */
+exports.setSessionLogRetention = function(sessionLogRetention){
+    config.settings.launcher.sessionLogRetention = Number.parseInt(sessionLogRetention)
+}
+
+/**
+ * Validate a potential new session log retention value.
+ * 
+ * @param {number} sessionLogRetention The retention value to validate.
+ * @returns {boolean} Whether or not the value is valid.
+ */
+exports.validateSessionLogRetention = function(sessionLogRetention){
+    const nVal = Number.parseInt(sessionLogRetention)
+    return Number.isInteger(nVal) && nVal >= 1
+}
+
+/**
+ * Retrieve the distribution indices loaded in addition to the main one.
+ * 
+ * @returns {Array.<{id: string, location: string}>} The sources, each with its id and
+ * the URL or absolute path of its index.
+ */
+exports.getDistributionSources = function(){
+    return config.settings.launcher.distributionSources
+}
+
+/**
+ * Add a distribution source.
+ * 
+ * @param {string} id The id of the source.
+ * @param {string} location The URL or absolute path of the index.
+ * @returns {boolean} False if a source with this id already exists.
+ */
+exports.addDistributionSource = function(id, location){
+    const sources = config.settings.launcher.distributionSources
+    if(sources.some(s => s.id === id)){
+        return false
+    }
+    config.settings.launcher.distributionSources = [...sources, { id, location }]
+    return true
+}
+
+/**
+ * Remove a distribution source.
+ * 
+ * @param {string} id The id of the source.
+ */
+exports.removeDistributionSource = function(id){
+    config.settings.launcher.distributionSources = config.settings.launcher.distributionSources.filter(s => s.id !== id)
 }
\ No newline at end of file
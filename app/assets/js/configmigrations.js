@@ -0,0 +1,120 @@
+/**
+ * ConfigMigrations
+ *
+ * Ordered migrations which upgrade a configuration object loaded from
+ * config.json to the current schema. Each migration receives the parsed
+ * configuration, transforms it and returns the result. Migrations only touch
+ * the file system through the paths of their context, so that they can be
+ * run against fixture files.
+ *
+ * To change the schema, append a migration with the next version number.
+ * Never edit or reorder a migration which has already been released.
+ *
+ * @module configmigrations
+ */
+// Requirements
+const fs             = require('fs-extra')
+const { LoggerUtil } = require('helios-core')
+
+const logger = LoggerUtil.getLogger('ConfigMigrations')
+
+/**
+ * @typedef {Object} MigrationContext
+ * @property {string} source Optional. The path the config was read from.
+ * @property {string} configPath Optional. The path the config is saved to.
+ * @property {string} legacyConfigPath Optional. The path of config.json in the legacy .helioslauncher directory.
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version The config version after this migration is applied.
+ * @property {string} description A short description, used for logging.
+ * @property {function(Object, MigrationContext): Object} migrate Transforms the config. Returns the new config.
+ */
+
+/**
+ * @type {Array.<Migration>}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move legacy global Java settings into the per-server Java configurations.',
+        migrate: (config) => {
+            const legacy = config.settings?.java
+            if(legacy != null){
+                if(config.javaConfig == null){
+                    config.javaConfig = {}
+                }
+                for(const javaConfig of Object.values(config.javaConfig)){
+                    for(const key of ['executable', 'minRAM', 'maxRAM', 'jvmOptions']){
+                        if(javaConfig[key] == null && legacy[key] != null){
+                            javaConfig[key] = JSON.parse(JSON.stringify(legacy[key]))
+                        }
+                    }
+                }
+                delete config.settings.java
+            }
+            return config
+        }
+    },
+    {
+        version: 2,
+        description: 'Move config.json out of the legacy .helioslauncher directory.',
+        migrate: (config, context) => {
+            // The legacy file is only read when the launcher directory has no config.json.
+            if(context.source != null && context.source === context.legacyConfigPath){
+                fs.moveSync(context.legacyConfigPath, context.configPath)
+            }
+            return config
+        }
+    }
+]
+
+exports.MIGRATIONS = MIGRATIONS
+
+/**
+ * The current config version, which is the version of the last migration.
+ */
+exports.CONFIG_VERSION = MIGRATIONS[MIGRATIONS.length-1].version
+
+/**
+ * Get the version of a configuration object. Configurations written before
+ * versioning was introduced are version 0.
+ *
+ * @param {Object} config The configuration object.
+ * @returns {number} The version of the configuration.
+ */
+exports.getConfigVersion = function(config){
+    return Number.isInteger(config.configVersion) ? config.configVersion : 0
+}
+
+/**
+ * Apply every migration newer than the version of the given configuration,
+ * in order. The config version is updated after each migration.
+ *
+ * @param {Object} config The configuration object.
+ * @param {MigrationContext} context Optional. Where the config was read from and is saved to.
+ * Migrations which move files skip themselves without it, ex. for imported settings.
+ * @param {Array.<Migration>} migrations Optional. The migrations to apply, defaults to all.
+ * @returns {{config: Object, applied: Array.<number>}} The migrated configuration
+ * and the versions of the migrations which were applied.
+ */
+exports.migrate = function(config, context = {}, migrations = MIGRATIONS){
+    const applied = []
+    const from = exports.getConfigVersion(config)
+    const latest = migrations.length > 0 ? migrations[migrations.length-1].version : 0
+    if(from > latest){
+        logger.warn(`Config version ${from} is newer than the latest known version ${latest}. It was likely written by a newer launcher.`)
+        return { config, applied }
+    }
+    for(const migration of migrations){
+        if(migration.version <= exports.getConfigVersion(config)){
+            continue
+        }
+        logger.info(`Applying config migration ${migration.version}: ${migration.description}`)
+        config = migration.migrate(config, context)
+        config.configVersion = migration.version
+        applied.push(migration.version)
+    }
+    return { config, applied }
+}
@@ -0,0 +1,243 @@
+/**
+ * CrashReport
+ *
+ * Finds and parses the crash reports written when the game exits abnormally.
+ * Both Minecraft crash reports (crash-reports/*.txt) and JVM fatal error logs
+ * (hs_err_pid*.log) are supported.
+ *
+ * @module crashreport
+ */
+// Requirements
+const fs                = require('fs-extra')
+const { LoggerUtil }    = require('helios-core')
+const path              = require('path')
+
+const logger = LoggerUtil.getLogger('CrashReport')
+
+/**
+ * The types of crash report.
+ *
+ * @enum {string}
+ */
+exports.TYPE = {
+    MINECRAFT: 'minecraft',
+    JVM: 'jvm'
+}
+
+const CRASH_REPORT_DIR = 'crash-reports'
+const JVM_LOG_REGEX = /^hs_err_pid\d+\.log$/
+
+// Jars from the game and mod loaders which appear in every stacktrace.
+const PLATFORM_JAR_REGEX = /^(minecraft|client|server|forge|fmlloader|fmlcore|fmlearlydisplay|javafmllanguage|lowcodelanguage|mclanguage|eventbus|modlauncher|securejarhandler|bootstraplauncher|mixin|sponge-mixin|fabric-loader|neoforge|loader|asm|jopt-simple|datafixerupper|guava|netty|lwjgl|authlib|brigadier|log4j|launchwrapper|scala|kotlin)[-_.\d]/i
+
+/**
+ * @typedef {Object} CrashReport
+ * @property {string} file The absolute path of the report.
+ * @property {string} type The type of report, one of TYPE.
+ * @property {string} content The full content of the report.
+ * @property {string | null} description The description of the crash.
+ * @property {string | null} exception The exception or fatal error which caused the crash.
+ * @property {Array.<string>} suspectedMods The mods which likely caused the crash.
+ * @property {Array.<string>} modList The entries of the mod list.
+ */
+
+/**
+ * Check whether the game exited abnormally.
+ *
+ * @param {number | null} code The exit code of the process.
+ * @param {string | null} signal The signal which terminated the process.
+ * @returns {boolean} True if the exit was abnormal, otherwise false.
+ */
+exports.isAbnormalExit = function(code, signal){
+    if(code != null){
+        return code !== 0
+    }
+    return signal != null
+}
+
+/**
+ * Remove the padding from the columns of a mod list entry.
+ *
+ * @param {string} line The mod list entry.
+ * @returns {string} The compacted entry.
+ */
+function compactModEntry(line){
+    return line.trim().replace(/^\||\|$/g, '').trim().replace(/\s*\|\s*/g, ' | ')
+}
+
+/**
+ * Parse a Minecraft crash report.
+ *
+ * @param {string} content The content of the report.
+ * @returns {{description: string | null, exception: string | null, suspectedMods: Array.<string>, modList: Array.<string>}}
+ * The parsed report.
+ */
+function parseMinecraftReport(content){
+    const lines = content.split(/\r?\n/)
+    const result = {
+        description: null,
+        exception: null,
+        suspectedMods: [],
+        modList: []
+    }
+    const suspected = new Set()
+
+    const descIndex = lines.findIndex(l => l.startsWith('Description: '))
+    if(descIndex > -1){
+        result.description = lines[descIndex].substring('Description: '.length).trim()
+        let i = descIndex + 1
+        while(i < lines.length && lines[i].trim().length === 0){
+            i++
+        }
+        if(i < lines.length){
+            result.exception = lines[i].trim()
+            // Collect the jars of the frames in the stacktrace.
+            for(i++; i < lines.length && lines[i].trim().length > 0; i++){
+                const frame = /^\s+at .*?\[([^\]\s%!/]+?\.jar)/.exec(lines[i])
+                if(frame != null && !PLATFORM_JAR_REGEX.test(frame[1])){
+                    suspected.add(frame[1])
+                }
+            }
+        }
+    }
+
+    for(const line of lines){
+        // Reported by newer versions of Forge and Fabric.
+        const match = /^\s*Suspected Mods?: (.+)$/.exec(line)
+        if(match != null && !/^(NONE|Unknown)$/i.test(match[1].trim())){
+            match[1].split(',').map(m => m.trim()).filter(m => m.length > 0).forEach(m => suspected.add(m))
+        }
+        const section = /^-- MOD (\S+) --$/.exec(line.trim())
+        if(section != null){
+            suspected.add(section[1])
+        }
+    }
+    result.suspectedMods = [...suspected]
+
+    const listIndex = lines.findIndex(l => /^\s*(Mod List|Fabric Mods):\s*$/.test(l))
+    if(listIndex > -1){
+        const indent = lines[listIndex].search(/\S/)
+        for(let i=listIndex+1; i<lines.length; i++){
+            if(lines[i].trim().length === 0 || lines[i].search(/\S/) <= indent){
+                break
+            }
+            result.modList.push(compactModEntry(lines[i]))
+        }
+    } else {
+        // Older versions of Forge print a table of mod states instead.
+        result.modList = lines
+            .filter(l => /^\s*\|/.test(l) && !/^\s*\|[\s:|-]*$/.test(l))
+            .map(compactModEntry)
+    }
+
+    return result
+}
+
+/**
+ * Parse a JVM fatal error log.
+ *
+ * @param {string} content The content of the log.
+ * @returns {{description: string | null, exception: string | null, suspectedMods: Array.<string>, modList: Array.<string>}}
+ * The parsed log.
+ */
+function parseJvmReport(content){
+    const lines = content.split(/\r?\n/)
+    const result = {
+        description: null,
+        exception: null,
+        suspectedMods: [],
+        modList: []
+    }
+    const fatalIndex = lines.findIndex(l => l.includes('A fatal error has been detected'))
+    if(fatalIndex > -1){
+        const error = lines.slice(fatalIndex + 1).find(l => /^#\s+\S/.test(l))
+        if(error != null){
+            result.description = error.substring(1).trim()
+        }
+    }
+    const frameIndex = lines.findIndex(l => l.startsWith('# Problematic frame:'))
+    if(frameIndex > -1 && frameIndex + 1 < lines.length){
+        result.exception = lines[frameIndex + 1].substring(1).trim()
+    }
+    return result
+}
+
+/**
+ * Parse a crash report.
+ *
+ * @param {string} content The content of the report.
+ * @param {string} type The type of the report, one of TYPE.
+ * @returns {{description: string | null, exception: string | null, suspectedMods: Array.<string>, modList: Array.<string>}}
+ * The parsed report.
+ */
+exports.parse = function(content, type){
+    return type === exports.TYPE.JVM ? parseJvmReport(content) : parseMinecraftReport(content)
+}
+
+/**
+ * List the crash reports in a directory.
+ *
+ * @param {string} dir The directory to search.
+ * @param {function(string): boolean} filter Selects the file names which are reports.
+ * @param {string} type The type of the reports.
+ * @returns {Promise.<Array.<{file: string, type: string, mtime: number}>>} The reports.
+ */
+async function listReports(dir, filter, type){
+    if(!await fs.pathExists(dir)){
+        return []
+    }
+    const reports = []
+    for(const name of (await fs.readdir(dir)).filter(filter)){
+        const file = path.join(dir, name)
+        const stats = await fs.stat(file)
+        if(stats.isFile()){
+            reports.push({ file, type, mtime: stats.mtimeMs })
+        }
+    }
+    return reports
+}
+
+/**
+ * Find the newest crash report written to a game directory.
+ *
+ * @param {string} gameDir The game directory of the instance.
+ * @param {number} since Only reports modified at or after this time (in ms) are considered.
+ * @returns {Promise.<{file: string, type: string} | null>} The newest report, or null if there is none.
+ */
+exports.findCrashReport = async function(gameDir, since = 0){
+    const reports = [
+        ...await listReports(path.join(gameDir, CRASH_REPORT_DIR), n => n.endsWith('.txt'), exports.TYPE.MINECRAFT),
+        ...await listReports(gameDir, n => JVM_LOG_REGEX.test(n), exports.TYPE.JVM)
+    ].filter(r => r.mtime >= since)
+    if(reports.length === 0){
+        return null
+    }
+    const newest = reports.reduce((a, b) => b.mtime > a.mtime ? b : a)
+    return { file: newest.file, type: newest.type }
+}
+
+/**
+ * Find and parse the newest crash report written to a game directory.
+ *
+ * @param {string} gameDir The game directory of the instance.
+ * @param {number} since Only reports modified at or after this time (in ms) are considered.
+ * @returns {Promise.<CrashReport | null>} The crash report, or null if there is none.
+ */
+exports.loadCrashReport = async function(gameDir, since = 0){
+    try {
+        const report = await exports.findCrashReport(gameDir, since)
+        if(report == null){
+            return null
+        }
+        const content = await fs.readFile(report.file, 'utf8')
+        logger.info(`Found crash report ${report.file}.`)
+        return {
+            ...report,
+            content,
+            ...exports.parse(content, report.type)
+        }
+    } catch(err) {
+        logger.error('Failed to read crash report.', err)
+        return null
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * Diagnostics
+ *
+ * A database of known problems which can be recognised in the game output or
+ * in a crash report. Each rule maps one or more patterns to an id. The
+ * explanation and suggested fix of a rule are localized under
+ * js.diagnostics.<id> in the language files, with the named groups of the
+ * matching pattern available as placeholders.
+ *
+ * To add a rule, append it to RULES, add its title, explanation and fix
+ * to the language files and add a sample log to test/fixtures/logs.
+ *
+ * @module diagnostics
+ */
+
+/**
+ * @typedef {Object} DiagnosticRule
+ * @property {string} id The id of the rule, used to look up its localized text.
+ * @property {Array.<RegExp>} patterns The patterns which identify the problem.
+ * Named groups are passed to the localized text as placeholders.
+ * @property {boolean} fatal Optional. Whether the problem prevents the game from starting.
+ * @property {function(Object): Object} transform Optional. Converts the named groups into placeholders.
+ */
+
+/**
+ * @typedef {Object} DiagnosticMatch
+ * @property {string} id The id of the matching rule.
+ * @property {boolean} fatal Whether the problem prevents the game from starting.
+ * @property {Object.<string, string>} params The named groups of the matching pattern.
+ * @property {string} match The text which matched.
+ */
+
+/**
+ * Convert a class file version into the Java major version.
+ *
+ * @param {string} classVersion The class file major version.
+ * @returns {string} The Java major version.
+ */
+function classVersionToJava(classVersion){
+    return String(Number(classVersion) - 44)
+}
+
+/**
+ * @type {Array.<DiagnosticRule>}
+ */
+const RULES = [
+    {
+        id: 'launchWrapperMissing',
+        fatal: true,
+        patterns: [
+            /Could not find or load main class net\.minecraft\.launchwrapper\.Launch/
+        ]
+    },
+    {
+        id: 'unsupportedClassVersion',
+        fatal: true,
+        patterns: [
+            /UnsupportedClassVersionError: (?<className>\S+) has been compiled by a more recent version of the Java Runtime \(class file version (?<required>\d+)\.\d+\), this version of the Java Runtime only recognizes class file versions up to (?<current>\d+)\.\d+/
+        ],
+        transform: (params) => ({
+            ...params,
+            required: classVersionToJava(params.required),
+            current: classVersionToJava(params.current)
+        })
+    },
+    {
+        id: 'wrongJavaVersion',
+        fatal: true,
+        patterns: [
+            // Fabric, the Java version is a dependency of Minecraft and mods.
+            /Mod '[^']+' \([^)]+\) \S+ requires version (?:>=\s*)?(?<required>\d+)\S*(?: or later)? of (?:mod )?'?java\b/,
+            // Forge 1.12 and older on Java 9+.
+            /class jdk\.internal\.loader\.ClassLoaders\$AppClassLoader cannot be cast to class java\.net\.URLClassLoader/
+        ]
+    },
+    {
+        id: 'heapReservation',
+        fatal: true,
+        patterns: [
+            /Could not reserve enough space for (?:\d+KB )?object heap/,
+            /Invalid maximum heap size: (?<value>\S+)/
+        ]
+    },
+    {
+        id: 'outOfMemory',
+        patterns: [
+            /java\.lang\.OutOfMemoryError: (?<detail>.+)/
+        ]
+    },
+    {
+        id: 'missingDependency',
+        fatal: true,
+        patterns: [
+            // Forge 1.13 to 1.16
+            /Mod ID: '(?<dependency>[^']+)', Requested by: '(?<mod>[^']+)'/,
+            // Forge 1.17+
+            /Mod (?<mod>\S+) requires (?<dependency>\S+) .*\n\s*Currently, \S+ is not installed/,
+            // Forge 1.12
+            /Mod (?<mod>\S+) \([^)]*\) requires \[(?<dependency>[^\]@]+)/,
+            // Fabric, a missing Java version is reported by wrongJavaVersion.
+            /Mod '[^']+' \((?<mod>[^)]+)\) \S+ requires (?:any version|version \S+) of (?:mod )?'?(?!java\b)(?<dependency>[^',\s]+)/
+        ]
+    },
+    {
+        id: 'duplicateMods',
+        fatal: true,
+        patterns: [
+            /DuplicateModsFoundException|Found duplicate mods|Duplicate mods found/
+        ]
+    },
+    {
+        id: 'mixinConflict',
+        patterns: [
+            /Mixin apply for mod (?<mod>\S+) failed/,
+            /Mixin apply failed (?<mixin>\S+)/,
+            /MixinApplyError|InvalidMixinException|MixinTransformerError/
+        ]
+    },
+    {
+        id: 'graphicsInit',
+        fatal: true,
+        patterns: [
+            /GLFW error (?:before init: \[0x)?(?:65542|65543|10006|10007)/,
+            /Failed to create the GLFW window/,
+            /No OpenGL context found in the current thread/,
+            /Pixel format not accelerated/
+        ]
+    },
+    {
+        id: 'mojangRateLimit',
+        patterns: [
+            /Status: 429|Too Many Requests|request is blocked/
+        ]
+    }
+]
+
+exports.RULES = RULES
+
+/**
+ * Match a single rule against text.
+ *
+ * @param {DiagnosticRule} rule The rule.
+ * @param {string} text The text to search.
+ * @returns {DiagnosticMatch | null} The match, or null if the rule does not match.
+ */
+function matchRule(rule, text){
+    for(const pattern of rule.patterns){
+        const match = pattern.exec(text)
+        if(match != null){
+            const params = {}
+            for(const [key, value] of Object.entries(match.groups || {})){
+                if(value != null){
+                    params[key] = value.trim()
+                }
+            }
+            return {
+                id: rule.id,
+                fatal: rule.fatal === true,
+                params: rule.transform != null ? rule.transform(params) : params,
+                match: match[0]
+            }
+        }
+    }
+    return null
+}
+
+/**
+ * Find every known problem in a piece of text. Each rule matches at most once.
+ *
+ * @param {string} text The game output or crash report.
+ * @param {Array.<DiagnosticRule>} rules Optional. The rules to apply, defaults to all.
+ * @returns {Array.<DiagnosticMatch>} The matches, in the order of the rules.
+ */
+exports.diagnose = function(text, rules = RULES){
+    const matches = []
+    for(const rule of rules){
+        const match = matchRule(rule, text)
+        if(match != null){
+            matches.push(match)
+        }
+    }
+    return matches
+}
+
+/**
+ * Merge several lists of matches, keeping the first match of each rule.
+ *
+ * @param {...Array.<DiagnosticMatch>} lists The lists of matches.
+ * @returns {Array.<DiagnosticMatch>} The merged matches.
+ */
+exports.merge = function(...lists){
+    const seen = new Set()
+    const merged = []
+    for(const match of lists.flat()){
+        if(!seen.has(match.id)){
+            seen.add(match.id)
+            merged.push(match)
+        }
+    }
+    return merged
+}
@@ -1,12 +1,257 @@
-const { DistributionAPI } = require('helios-core/common')
+const crypto                = require('crypto')
+const fs                    = require('fs-extra')
+const got                   = require('got')
+const { LoggerUtil }        = require('helios-core')
+const { DistributionAPI, handleGotError, RestResponseStatus } = require('helios-core/common')
+const path                  = require('path')
 
 const ConfigManager = require('./configmanager')
+const DistroSources = require('./distrosources')
+
+const logger = LoggerUtil.getLogger('DistroManager')
 
 // Old WesterosCraft url.
 // exports.REMOTE_DISTRO_URL = 'http://mc.westeroscraft.com/WesterosCraftLauncher/distribution.json'
 exports.REMOTE_DISTRO_URL = 'https://fyrethcraft.net/distribution.json'
 
-const api = new DistributionAPI(
+// The detached signature of an index is stored next to it with this extension.
+exports.SIGNATURE_EXT = '.sig'
+
+// Separates the id of a source from the id of its servers, ex. 1a2b3c4d@Example_Server.
+exports.SOURCE_ID_SEPARATOR = DistroSources.SOURCE_ID_SEPARATOR
+
+// Ed25519 key the distribution index is signed with, see "Signature" in
+// docs/distro.md. Signatures are not enforced until the maintainers bundle the
+// public key of their release key here, ex. crypto.createPublicKey(`-----BEGIN PUBLIC KEY-----...`).
+const DISTRO_PUBLIC_KEY = null
+
+if(DISTRO_PUBLIC_KEY == null){
+    logger.warn('No distribution signing key is bundled, the distribution index is not verified.')
+}
+
+/**
+ * Raised when a distribution index is unsigned or its signature does not
+ * match. Such an index is never used or cached.
+ */
+class DistributionSignatureError extends Error {
+
+    /**
+     * @param {string} message The reason.
+     */
+    constructor(message){
+        super(message)
+        this.name = 'DistributionSignatureError'
+    }
+
+}
+
+exports.DistributionSignatureError = DistributionSignatureError
+
+/**
+ * Check the detached signature of a distribution index. Nothing is checked
+ * while no key is bundled.
+ *
+ * @param {Buffer} index The exact bytes of the index.
+ * @param {string | null} signature The base64 encoded Ed25519 signature.
+ * @param {string} source Where the index was loaded from, for the error message.
+ * @throws {DistributionSignatureError} If the index is unsigned or the signature does not match.
+ */
+function verifySignature(index, signature, source){
+    if(DISTRO_PUBLIC_KEY == null){
+        return
+    }
+    if(signature == null || signature.trim().length === 0){
+        throw new DistributionSignatureError(`The distribution index from ${source} is not signed.`)
+    }
+    if(!crypto.verify(null, index, DISTRO_PUBLIC_KEY, Buffer.from(signature.trim(), 'base64'))){
+        throw new DistributionSignatureError(`The signature of the distribution index from ${source} does not match.`)
+    }
+}
+
+/**
+ * Parse a verified distribution index.
+ *
+ * @param {Buffer} index The bytes of the index.
+ * @param {string} source Where the index was loaded from, for the error message.
+ * @returns {Object | null} The index, or null if it is not valid JSON.
+ */
+function parseIndex(index, source){
+    try {
+        return JSON.parse(index.toString('utf-8'))
+    } catch(err) {
+        logger.error(`Malformed distribution index from ${source}.`)
+        return null
+    }
+}
+
+exports.createSource = DistroSources.createSource
+exports.getSourceName = DistroSources.getSourceName
+
+/**
+ * DistributionAPI which only accepts indices signed with the bundled key. The
+ * cached copy is written with the exact bytes and signature which were
+ * received, so it is verified again when it is loaded. Indices loaded in dev
+ * mode are local files and are not verified, and no index is verified while
+ * no key is bundled.
+ *
+ * The servers of the additional sources added by the user are appended to the
+ * main index. Those indices are trusted by the user and are not signed.
+ */
+class SignedDistributionAPI extends DistributionAPI {
+
+    async pullRemote(){
+        let index, signature
+        try {
+            index = (await got.get(this.remoteUrl, { responseType: 'buffer' })).body
+        } catch(error) {
+            return handleGotError('Pull Remote', error, logger, () => null)
+        }
+        try {
+            signature = DISTRO_PUBLIC_KEY != null
+                ? (await got.get(`${this.remoteUrl}${exports.SIGNATURE_EXT}`, { responseType: 'text' })).body
+                : null
+        } catch(error) {
+            if(!(error instanceof got.HTTPError && error.response.statusCode === 404)){
+                return handleGotError('Pull Remote Signature', error, logger, () => null)
+            }
+            signature = null
+        }
+
+        verifySignature(index, signature, this.remoteUrl)
+        const data = parseIndex(index, this.remoteUrl)
+        if(data != null){
+            this.verifiedIndex = { index, signature }
+        }
+        return {
+            data,
+            responseStatus: RestResponseStatus.SUCCESS
+        }
+    }
+
+    async writeDistributionToDisk(distribution){
+        if(this.verifiedIndex == null){
+            throw new Error('Only a verified distribution index can be cached.')
+        }
+        const { index, signature } = this.verifiedIndex
+        this.verifiedIndex = null
+        await fs.writeFile(this.distroPath, index)
+        if(signature != null){
+            await fs.writeFile(`${this.distroPath}${exports.SIGNATURE_EXT}`, signature)
+        } else {
+            await fs.remove(`${this.distroPath}${exports.SIGNATURE_EXT}`)
+        }
+    }
+
+    async pullLocal(){
+        if(this.devMode){
+            logger.warn('Dev mode is enabled, the distribution index is not verified.')
+            return await super.pullLocal()
+        }
+        if(!await fs.pathExists(this.distroPath)){
+            logger.error(`No distribution file found at ${this.distroPath}!`)
+            return null
+        }
+        const index = await fs.readFile(this.distroPath)
+        const signaturePath = `${this.distroPath}${exports.SIGNATURE_EXT}`
+        const signature = await fs.pathExists(signaturePath) ? await fs.readFile(signaturePath, 'utf-8') : null
+        verifySignature(index, signature, this.distroPath)
+        return parseIndex(index, this.distroPath)
+    }
+
+    async _loadDistributionNullable(){
+        const distro = await super._loadDistributionNullable()
+        return distro != null ? await this.mergeSources(distro) : null
+    }
+
+    /**
+     * Get the source a server comes from.
+     *
+     * @param {string} serverId The id of the server.
+     * @returns {DistributionSource | null} The source, or null if the server comes from the main index.
+     */
+    getServerSource(serverId){
+        return this.serverSources?.[serverId] ?? null
+    }
+
+    /**
+     * Append the servers of the additional sources to the main index. Their
+     * ids are prefixed with the id of their source, and a source which cannot
+     * be loaded is skipped.
+     *
+     * @param {Object} distro The main index.
+     * @returns {Promise.<Object>} The merged index.
+     */
+    async mergeSources(distro){
+        const servers = [...distro.servers]
+        const serverSources = {}
+        const claimed = DistroSources.getClaimedFiles(distro.servers, this.commonDir, this.instanceDir)
+        for(const source of ConfigManager.getDistributionSources()){
+            const index = await this.pullSource(source)
+            if(index == null){
+                continue
+            }
+            for(const rawServer of index.servers){
+                let server
+                try {
+                    server = DistroSources.prepareServer(source, rawServer, this.commonDir, this.instanceDir, claimed)
+                } catch(err) {
+                    logger.warn(`Skipping the server ${rawServer?.id} of ${source.location}.`, err.message)
+                    continue
+                }
+                if(!servers.some(s => s.id === server.id)){
+                    servers.push(server)
+                    serverSources[server.id] = source
+                }
+            }
+        }
+        this.serverSources = serverSources
+        return { ...distro, servers }
+    }
+
+    /**
+     * Write the merged index for the repair process. It only loads the index
+     * from disk, so it would not know the servers of the additional sources
+     * otherwise.
+     *
+     * @returns {Promise.<string>} The directory to load the index from.
+     */
+    async writeRepairIndex(){
+        const dir = path.join(this.launcherDirectory, 'distributions', 'repair')
+        await fs.outputJson(path.join(dir, this.devMode ? this.DISTRO_FILE_DEV : this.DISTRO_FILE), this.rawDistribution)
+        return dir
+    }
+
+    /**
+     * Load the index of an additional source. Remote indices are cached and
+     * the cached copy is used when the source cannot be reached.
+     *
+     * @param {DistributionSource} source The source.
+     * @returns {Promise.<Object | null>} The index, or null if it could not be loaded.
+     */
+    async pullSource(source){
+        const cachePath = path.join(this.launcherDirectory, 'distributions', `${source.id}.json`)
+        let data = null
+        if(DistroSources.isRemoteLocation(source.location)){
+            try {
+                data = (await got.get(source.location, { responseType: 'json' })).body
+                await fs.outputJson(cachePath, data)
+            } catch(error) {
+                logger.warn(`Unable to pull ${source.location}, using the cached copy.`, error.message)
+                data = await this.readDistributionFromFile(cachePath)
+            }
+        } else {
+            data = await this.readDistributionFromFile(source.location)
+        }
+        if(data != null && !Array.isArray(data.servers)){
+            logger.warn(`The distribution index ${source.location} has no servers.`)
+            return null
+        }
+        return data
+    }
+
+}
+
+const api = new SignedDistributionAPI(
     ConfigManager.getLauncherDirectory(),
     null, // Injected forcefully by the preloader.
     null, // Injected forcefully by the preloader.
@@ -14,4 +259,4 @@ const api = new DistributionAPI(
     false
 )
 
-exports.DistroAPI = api
\ No newline at end of file
+exports.DistroAPI = api
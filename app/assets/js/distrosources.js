@@ -0,0 +1,209 @@
+/**
+ * DistroSources
+ *
+ * Additional distribution sources added by the player. Their indices are not
+ * signed, so each server is namespaced and checked before it is merged with
+ * the main index.
+ *
+ * Libraries, mods and version manifests are installed to the common directory,
+ * which is shared by every server. A server is rejected if one of its modules
+ * would be installed outside of the directory of its type, or would replace a
+ * file of the main index or of an earlier source with different content.
+ *
+ * @module distrosources
+ */
+// Requirements
+const crypto                = require('crypto')
+const { HeliosServer }      = require('helios-core/common')
+const { Type }              = require('helios-distribution-types')
+const path                  = require('path')
+
+// Separates the id of a source from the id of its servers, ex. 1a2b3c4d@Example_Server.
+exports.SOURCE_ID_SEPARATOR = '@'
+
+// Server ids of additional sources are used as directory names.
+const SAFE_SERVER_ID = /^[\w.-]+$/
+
+// Server properties which are only trusted from the signed main index.
+const MAIN_INDEX_PROPERTIES = ['authApi']
+
+/**
+ * @typedef {Object} DistributionSource
+ * @property {string} id The id of the source, derived from its location.
+ * @property {string} location The URL or absolute path of the index.
+ */
+
+/**
+ * Create a distribution source from the location of its index.
+ *
+ * @param {string} location The HTTP(S) URL or absolute path of the index.
+ * @returns {DistributionSource} The source.
+ * @throws {Error} If the location is neither an HTTP(S) URL nor an absolute path.
+ */
+exports.createSource = function(location){
+    location = location.trim()
+    if(!exports.isRemoteLocation(location) && !path.isAbsolute(location)){
+        throw new Error(`${location} is neither an HTTP(S) URL nor an absolute path.`)
+    }
+    return {
+        id: crypto.createHash('sha1').update(location).digest('hex').substring(0, 8),
+        location
+    }
+}
+
+/**
+ * Get a short name for a source, for display.
+ *
+ * @param {DistributionSource} source The source.
+ * @returns {string} The host of a remote index, or the file name of a local one.
+ */
+exports.getSourceName = function(source){
+    return exports.isRemoteLocation(source.location) ? new URL(source.location).host : path.basename(source.location)
+}
+
+/**
+ * Check whether the location of an index is a URL.
+ *
+ * @param {string} location The location.
+ * @returns {boolean} True if the location is an HTTP(S) URL.
+ */
+exports.isRemoteLocation = function(location){
+    return /^https?:\/\//i.test(location)
+}
+
+/**
+ * Get the directory a module must be installed in.
+ *
+ * @param {Object} module The HeliosModule.
+ * @param {string} commonDir The common directory.
+ * @param {string} gameDir The game directory of the server.
+ * @returns {string} The directory.
+ */
+function getInstallRoot(module, commonDir, gameDir){
+    switch(module.rawModule.type){
+        case Type.VersionManifest:
+            return path.join(commonDir, 'versions')
+        case Type.Library:
+        case Type.Forge:
+        case Type.ForgeHosted:
+        case Type.Fabric:
+        case Type.LiteLoader:
+            return path.join(commonDir, 'libraries')
+        case Type.ForgeMod:
+        case Type.LiteMod:
+            return path.join(commonDir, 'modstore')
+        case Type.FabricMod:
+            return path.join(commonDir, 'mods', 'fabric')
+        default:
+            return gameDir
+    }
+}
+
+/**
+ * Check whether a file is inside a directory.
+ *
+ * @param {string} dir The directory.
+ * @param {string} file The file.
+ * @returns {boolean} True if the file is inside the directory.
+ */
+function isInside(dir, file){
+    const relative = path.relative(dir, file)
+    return relative.length > 0 && !relative.startsWith('..') && !path.isAbsolute(relative)
+}
+
+/**
+ * Get the modules of a server and all of their submodules.
+ *
+ * @param {Array.<Object>} modules The HeliosModules.
+ * @returns {Array.<Object>} The modules.
+ */
+function flattenModules(modules){
+    return modules.flatMap(module => [module, ...flattenModules(module.subModules)])
+}
+
+/**
+ * Get the files a server installs to the common directory, with their MD5.
+ *
+ * @param {Object} server The HeliosServer.
+ * @param {string} commonDir The common directory.
+ * @returns {Map.<string, string | null>} The MD5 of each file, keyed by path.
+ */
+function getCommonFiles(server, commonDir){
+    const files = new Map()
+    for(const module of flattenModules(server.modules)){
+        if(isInside(commonDir, module.getPath())){
+            files.set(module.getPath(), module.rawModule.artifact?.MD5 ?? null)
+        }
+    }
+    return files
+}
+
+/**
+ * Get the files the servers of the main index install to the common
+ * directory. A server of the main index which cannot be parsed is ignored, it
+ * is reported when the index is loaded.
+ *
+ * @param {Array.<Object>} rawServers The raw servers of the main index.
+ * @param {string} commonDir The common directory.
+ * @param {string} instanceDir The instance directory.
+ * @returns {Map.<string, string | null>} The MD5 of each file, keyed by path.
+ */
+exports.getClaimedFiles = function(rawServers, commonDir, instanceDir){
+    const claimed = new Map()
+    for(const rawServer of rawServers){
+        try {
+            for(const [file, md5] of getCommonFiles(new HeliosServer(rawServer, commonDir, instanceDir), commonDir)){
+                claimed.set(file, md5)
+            }
+        } catch(err) {
+            continue
+        }
+    }
+    return claimed
+}
+
+/**
+ * Namespace and check a server of an additional source. The properties only
+ * trusted from the main index are removed. The common files of an accepted
+ * server are added to the claimed files.
+ *
+ * @param {DistributionSource} source The source.
+ * @param {Object} rawServer The raw server.
+ * @param {string} commonDir The common directory.
+ * @param {string} instanceDir The instance directory.
+ * @param {Map.<string, string | null>} claimed The files already claimed, see getClaimedFiles.
+ * @returns {Object} The raw server.
+ * @throws {Error} If the server is invalid.
+ */
+exports.prepareServer = function(source, rawServer, commonDir, instanceDir, claimed){
+    if(typeof rawServer?.id !== 'string' || !SAFE_SERVER_ID.test(rawServer.id)){
+        throw new Error('The server id is invalid.')
+    }
+    const server = {
+        ...rawServer,
+        id: `${source.id}${exports.SOURCE_ID_SEPARATOR}${rawServer.id}`,
+        mainServer: false
+    }
+    for(const property of MAIN_INDEX_PROPERTIES){
+        delete server[property]
+    }
+
+    // Parses the address and modules, which would otherwise fail when the whole index is loaded.
+    const heliosServer = new HeliosServer(server, commonDir, instanceDir)
+    const gameDir = path.join(instanceDir, server.id)
+    for(const module of flattenModules(heliosServer.modules)){
+        if(!isInside(getInstallRoot(module, commonDir, gameDir), module.getPath())){
+            throw new Error(`The module ${module.rawModule.id} is installed outside of its directory.`)
+        }
+    }
+    const files = getCommonFiles(heliosServer, commonDir)
+    for(const [file, md5] of files){
+        if(claimed.has(file) && (md5 == null || claimed.get(file) !== md5)){
+            throw new Error(`The module installed to ${path.relative(commonDir, file)} replaces a file of another server.`)
+        }
+    }
+    for(const [file, md5] of files){
+        claimed.set(file, md5)
+    }
+    return server
+}
@@ -0,0 +1,245 @@
+/**
+ * GameConsole
+ *
+ * Collects the output of a running game so that it can be displayed in the
+ * launcher. Lines are tagged with their log level and secrets such as access
+ * tokens are redacted before they are stored.
+ *
+ * @module gameconsole
+ */
+// Requirements
+const EventEmitter      = require('events')
+const fs                = require('fs-extra')
+
+/**
+ * The log levels, from least to most severe.
+ *
+ * @enum {string}
+ */
+exports.LEVEL = {
+    DEBUG: 'DEBUG',
+    INFO: 'INFO',
+    WARN: 'WARN',
+    ERROR: 'ERROR',
+    FATAL: 'FATAL'
+}
+
+const LEVEL_ORDER = Object.values(exports.LEVEL)
+
+const REDACTED = '**********'
+
+// Matches log4j lines such as [12:00:00] [Render thread/INFO]: or [12:00:00 INFO]:
+const LOG4J_LEVEL_REGEX = /^\[[^\]]*\] \[[^\]]*\/(TRACE|DEBUG|INFO|WARN|WARNING|ERROR|FATAL)\]|^\[[^\]]* (TRACE|DEBUG|INFO|WARN|WARNING|ERROR|FATAL)\]/
+// Stacktrace lines, which belong to the line before them.
+const CONTINUATION_REGEX = /^(\s+at |\s*\.\.\. \d+ more|Caused by: |\s+Suppressed: )/
+
+// Secrets which are passed as arguments and may be echoed by the game.
+const SECRET_ARG_REGEXES = [
+    /(-Dfyreth\.join_token=)\S+/g,
+    /(--accessToken[\s=]+)\S+/g
+]
+
+const DEFAULT_MAX_LINES = 10000
+
+/**
+ * Compare two log levels.
+ *
+ * @param {string} a A log level.
+ * @param {string} b A log level.
+ * @returns {number} Negative if a is less severe than b, positive if more, otherwise 0.
+ */
+exports.compareLevels = function(a, b){
+    return LEVEL_ORDER.indexOf(a) - LEVEL_ORDER.indexOf(b)
+}
+
+/**
+ * Detect the log level of a line of output.
+ *
+ * @param {string} line The line.
+ * @param {string} stream The stream the line was written to, stdout or stderr.
+ * @param {string | null} previous The level of the previous line on the stream.
+ * @returns {string} The log level, one of LEVEL.
+ */
+exports.detectLevel = function(line, stream, previous = null){
+    const match = LOG4J_LEVEL_REGEX.exec(line)
+    if(match != null){
+        const level = match[1] || match[2]
+        switch(level){
+            case 'TRACE':
+                return exports.LEVEL.DEBUG
+            case 'WARNING':
+                return exports.LEVEL.WARN
+            default:
+                return level
+        }
+    }
+    if(previous != null && CONTINUATION_REGEX.test(line)){
+        return previous
+    }
+    return stream === 'stderr' ? exports.LEVEL.ERROR : exports.LEVEL.INFO
+}
+
+/**
+ * Create a function which redacts secrets from text.
+ *
+ * @param {Array.<string>} secrets The secret values to redact. Empty values are ignored.
+ * @returns {function(string): string} The redaction function.
+ */
+exports.createRedactor = function(secrets){
+    const values = secrets.filter(s => typeof s === 'string' && s.length > 0)
+    return (text) => {
+        for(const value of values){
+            text = text.split(value).join(REDACTED)
+        }
+        for(const regex of SECRET_ARG_REGEXES){
+            text = text.replace(regex, `$1${REDACTED}`)
+        }
+        return text
+    }
+}
+
+/**
+ * Create a function which tests whether a line matches a filter.
+ *
+ * @param {string} query The filter text. An empty query matches every line.
+ * @param {boolean} isRegex Whether the query is a regular expression.
+ * @returns {function(string): boolean} The filter function.
+ * @throws {SyntaxError} If the query is an invalid regular expression.
+ */
+exports.createFilter = function(query, isRegex = false){
+    if(query == null || query.length === 0){
+        return () => true
+    }
+    if(isRegex){
+        const regex = new RegExp(query, 'i')
+        return (text) => regex.test(text)
+    }
+    const lower = query.toLowerCase()
+    return (text) => text.toLowerCase().includes(lower)
+}
+
+/**
+ * Format a console line for export.
+ *
+ * @param {{time: number, level: string, text: string}} line The line.
+ * @returns {string} The formatted line.
+ */
+exports.formatLine = function(line){
+    return `[${new Date(line.time).toISOString()}] [${line.level}] ${line.text}`
+}
+
+/**
+ * The output of a single game session.
+ *
+ * Emits 'line' with each new line and 'close' when the process exits.
+ */
+class GameConsoleSession extends EventEmitter {
+
+    /**
+     * @param {Array.<string>} secrets Secret values to redact from the output.
+     * @param {number} maxLines The maximum number of lines to keep.
+     */
+    constructor(secrets = [], maxLines = DEFAULT_MAX_LINES){
+        super()
+        this.redact = exports.createRedactor(secrets)
+        this.maxLines = maxLines
+        this.lines = []
+        this.startTime = Date.now()
+        this.running = false
+        this.partial = { stdout: '', stderr: '' }
+        this.lastLevel = { stdout: null, stderr: null }
+    }
+
+    /**
+     * Collect the output of a child process.
+     *
+     * @param {ChildProcess} child The game process.
+     */
+    attach(child){
+        this.running = true
+        child.stdout.on('data', data => this.write('stdout', data))
+        child.stderr.on('data', data => this.write('stderr', data))
+        child.on('close', (code, signal) => {
+            this.flush('stdout')
+            this.flush('stderr')
+            this.running = false
+            this.emit('close', code, signal)
+        })
+    }
+
+    /**
+     * Write a chunk of output. Incomplete lines are held until the rest arrives.
+     *
+     * @param {string} stream The stream, stdout or stderr.
+     * @param {string} data The chunk of output.
+     */
+    write(stream, data){
+        const pieces = (this.partial[stream] + data).split(/\r?\n/)
+        this.partial[stream] = pieces.pop()
+        for(const text of pieces){
+            this.push(stream, text)
+        }
+    }
+
+    /**
+     * Push any incomplete line left on a stream.
+     *
+     * @param {string} stream The stream, stdout or stderr.
+     */
+    flush(stream){
+        if(this.partial[stream].length > 0){
+            this.push(stream, this.partial[stream])
+            this.partial[stream] = ''
+        }
+    }
+
+    /**
+     * Add a line to the session.
+     *
+     * @param {string} stream The stream, stdout or stderr.
+     * @param {string} text The line.
+     */
+    push(stream, text){
+        text = this.redact(text)
+        const level = exports.detectLevel(text, stream, this.lastLevel[stream])
+        this.lastLevel[stream] = level
+        const line = { time: Date.now(), stream, level, text }
+        this.lines.push(line)
+        if(this.lines.length > this.maxLines){
+            this.lines.splice(0, this.lines.length - this.maxLines)
+        }
+        this.emit('line', line)
+    }
+
+    /**
+     * Get the session as text.
+     *
+     * @returns {string} Every line of the session, formatted for export.
+     */
+    toText(){
+        return this.lines.map(exports.formatLine).join('\n') + '\n'
+    }
+
+    /**
+     * Get the output of the session as it was written by the game, without
+     * timestamps or levels. Used to match problems which span several lines.
+     *
+     * @returns {string} Every line of the session.
+     */
+    getOutput(){
+        return this.lines.map(line => line.text).join('\n') + '\n'
+    }
+
+    /**
+     * Save the session to a file.
+     *
+     * @param {string} file The path of the file.
+     * @returns {Promise.<void>}
+     */
+    async export(file){
+        await fs.writeFile(file, this.toText(), 'utf8')
+    }
+
+}
+
+exports.GameConsoleSession = GameConsoleSession
@@ -0,0 +1,106 @@
+/**
+ * GameInstances
+ *
+ * Keeps track of the game processes launched by this launcher. Each instance
+ * is keyed by the server and account it was launched with, so several servers
+ * can be played at the same time. An instance directory is never used by two
+ * running instances, since the game does not support sharing its files.
+ *
+ * @module gameinstances
+ */
+// Requirements
+const path = require('path')
+
+/**
+ * @typedef {Object} GameInstance
+ * @property {string} key The key of the instance, see getKey.
+ * @property {string} serverId The id of the server.
+ * @property {string} accountUuid The uuid of the account.
+ * @property {string} displayName The name of the account.
+ * @property {string} gameDir The instance directory.
+ * @property {ChildProcess} proc The game process.
+ */
+
+/**
+ * The running instances keyed by server and account.
+ *
+ * @type {Map.<string, GameInstance>}
+ */
+const instances = new Map()
+
+/**
+ * Get the key of the instance of a server launched with an account.
+ *
+ * @param {string} serverId The id of the server.
+ * @param {string} accountUuid The uuid of the account.
+ * @returns {string} The key.
+ */
+exports.getKey = function(serverId, accountUuid){
+    return `${serverId}:${accountUuid}`
+}
+
+/**
+ * Get a running instance.
+ *
+ * @param {string} key The key of the instance.
+ * @returns {GameInstance | null} The instance, or null if it is not running.
+ */
+exports.get = function(key){
+    return instances.get(key) || null
+}
+
+/**
+ * Get every running instance, in the order they were launched.
+ *
+ * @returns {Array.<GameInstance>} The instances.
+ */
+exports.getAll = function(){
+    return [...instances.values()]
+}
+
+/**
+ * Find the running instance which blocks a launch. A launch is blocked by an
+ * instance with the same key or one which uses the same instance directory.
+ * Every account shares the instance directory of a server, so a server can
+ * only be played by one account at a time.
+ *
+ * @param {string} serverId The id of the server.
+ * @param {string} accountUuid The uuid of the account.
+ * @param {string} gameDir The instance directory.
+ * @returns {GameInstance | null} The blocking instance, or null if the launch is allowed.
+ */
+exports.getConflict = function(serverId, accountUuid, gameDir){
+    const existing = exports.get(exports.getKey(serverId, accountUuid))
+    if(existing != null){
+        return existing
+    }
+    return exports.getAll().find(i => path.resolve(i.gameDir) === path.resolve(gameDir)) || null
+}
+
+/**
+ * Register a running instance.
+ *
+ * @param {GameInstance} instance The instance. Its key is set from its server and account.
+ * @returns {GameInstance} The instance.
+ * @throws {Error} If the launch is blocked by another instance.
+ */
+exports.add = function(instance){
+    const conflict = exports.getConflict(instance.serverId, instance.accountUuid, instance.gameDir)
+    if(conflict != null){
+        throw new Error(`The instance directory ${instance.gameDir} is already used by ${conflict.key}.`)
+    }
+    instance.key = exports.getKey(instance.serverId, instance.accountUuid)
+    instances.set(instance.key, instance)
+    return instance
+}
+
+/**
+ * Remove an instance once its process has closed.
+ *
+ * @param {GameInstance} instance The instance.
+ */
+exports.remove = function(instance){
+    if(instances.get(instance.key) === instance){
+        instances.delete(instance.key)
+    }
+}
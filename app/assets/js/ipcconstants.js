@@ -37,9 +37,3 @@ exports.ELY_CONFIG = {
         FORBIDDEN_OPERATION: 'ForbiddenOperationException'
     }
 }
-
-// Fyreth Configuration
-exports.FYRETH_CONFIG = {
-    // Must match the secret on the server (Velocity).
-    LAUNCHER_SECRET: '3b990d8c14eee501c605e197602495dd3ef5f4ac16b8fed909e267c8f56429c4'
-}
@@ -0,0 +1,197 @@
+/**
+ * JavaRuntimes
+ *
+ * Lists the Java runtimes available to the launcher and manages the ones it
+ * installs itself. Managed runtimes live in the runtime directory of the data
+ * directory, every other runtime is discovered on the system and is never
+ * modified.
+ *
+ * Servers can be bound to a Java major version instead of a fixed executable.
+ * A bound server always uses the newest runtime of its major version, so
+ * installing a newer build upgrades every server bound to that version.
+ *
+ * @module javaruntimes
+ */
+// Requirements
+const fs                    = require('fs-extra')
+const { LoggerUtil }        = require('helios-core')
+const { validateLocalFile } = require('helios-core/common')
+const { downloadFile }      = require('helios-core/dl')
+const {
+    ensureJavaDirIsRoot,
+    extractJdk,
+    getLauncherRuntimeDir,
+    getValidatableJavaPaths,
+    javaExecFromRoot,
+    javaVersionToString,
+    latestOpenJDK,
+    parseJavaRuntimeVersion,
+    resolveJvmSettings
+}                           = require('helios-core/java')
+const path                  = require('path')
+
+const ConfigManager         = require('./configmanager')
+
+const logger = LoggerUtil.getLogger('JavaRuntimes')
+
+/**
+ * @typedef {Object} JavaRuntime
+ * @property {string} root The root directory of the runtime.
+ * @property {string} executable The Java executable of the runtime.
+ * @property {string} vendor The vendor of the runtime.
+ * @property {string} version The full version of the runtime, ex. 17.0.9.
+ * @property {{major: number, minor: number, patch: number}} semver The parsed version.
+ * @property {string} arch The architecture of the runtime, ex. amd64 or aarch64.
+ * @property {boolean} supported Whether the game can run on this runtime (64-bit, native architecture).
+ * @property {boolean} managed Whether the runtime was installed by the launcher.
+ */
+
+/**
+ * Get the directory the launcher installs runtimes to.
+ *
+ * @returns {string} The absolute path of the managed runtime directory.
+ */
+exports.getManagedDirectory = function(){
+    return getLauncherRuntimeDir(ConfigManager.getDataDirectory())
+}
+
+/**
+ * Check whether a runtime was installed by the launcher.
+ *
+ * @param {string} root The root directory of the runtime.
+ * @returns {boolean} True if the runtime is inside the managed runtime directory.
+ */
+exports.isManaged = function(root){
+    const relative = path.relative(exports.getManagedDirectory(), root)
+    return relative.length > 0 && !relative.startsWith('..') && !path.isAbsolute(relative)
+}
+
+/**
+ * Compare two runtimes so that the newest version comes first.
+ *
+ * @param {JavaRuntime} a The first runtime.
+ * @param {JavaRuntime} b The second runtime.
+ * @returns {number} The sort order.
+ */
+function compareRuntimes(a, b){
+    return (b.semver.major - a.semver.major)
+        || (b.semver.minor - a.semver.minor)
+        || (b.semver.patch - a.semver.patch)
+        || (b.managed - a.managed)
+        || a.root.localeCompare(b.root)
+}
+
+/**
+ * Discover every runtime on the system and in the managed runtime directory.
+ * Each candidate is started once to read its properties, so this may take a
+ * few seconds.
+ *
+ * @returns {Promise.<Array.<JavaRuntime>>} The runtimes, newest first.
+ */
+exports.discover = async function(){
+    const resolved = await resolveJvmSettings(await getValidatableJavaPaths(ConfigManager.getDataDirectory()))
+    const runtimes = []
+    for(const [root, settings] of Object.entries(resolved)){
+        const semver = parseJavaRuntimeVersion(settings['java.version'])
+        if(semver == null){
+            logger.warn(`Unable to parse the version of the runtime at ${root}.`)
+            continue
+        }
+        const arch = settings['os.arch']
+        runtimes.push({
+            root,
+            executable: javaExecFromRoot(root),
+            vendor: settings['java.vendor'],
+            version: javaVersionToString(semver),
+            semver,
+            arch,
+            supported: parseInt(settings['sun.arch.data.model']) === 64 && (process.arch !== 'arm64' || arch === 'aarch64'),
+            managed: exports.isManaged(root)
+        })
+    }
+    return runtimes.sort(compareRuntimes)
+}
+
+/**
+ * Find the runtime a server bound to a major version should use. This is the
+ * newest supported runtime of that version, preferring managed runtimes when
+ * two have the same version.
+ *
+ * @param {Array.<JavaRuntime>} runtimes The available runtimes.
+ * @param {number} major The major version.
+ * @returns {JavaRuntime | null} The runtime, or null if none is available.
+ */
+exports.findForMajor = function(runtimes, major){
+    return runtimes
+        .filter(r => r.supported && r.semver.major === major)
+        .sort(compareRuntimes)[0] || null
+}
+
+/**
+ * Point every bound server at the runtime of its major version. Servers
+ * whose major version has no runtime are left unchanged. The configuration
+ * is not saved.
+ *
+ * @param {Array.<JavaRuntime>} runtimes The available runtimes.
+ * @returns {Array.<string>} The ids of the servers whose executable changed.
+ */
+exports.applyBindings = function(runtimes){
+    const changed = []
+    for(const [serverid, major] of Object.entries(ConfigManager.getJavaRuntimeBindings())){
+        const runtime = exports.findForMajor(runtimes, major)
+        if(runtime != null && ConfigManager.getJavaExecutable(serverid) !== runtime.executable){
+            ConfigManager.setJavaExecutable(serverid, runtime.executable)
+            changed.push(serverid)
+        }
+    }
+    if(changed.length > 0){
+        logger.info(`Updated the Java executable of ${changed.join(', ')}.`)
+    }
+    return changed
+}
+
+/**
+ * Download and install the newest runtime of a major version into the
+ * managed runtime directory.
+ *
+ * @param {number} major The major version.
+ * @param {string} distribution Optional. The JDK distribution, see latestOpenJDK.
+ * @param {function(number, number)} onProgress Optional. Called with the bytes received and the total size.
+ * @returns {Promise.<string>} The root directory of the installed runtime.
+ */
+exports.install = async function(major, distribution, onProgress = () => {}){
+    const asset = await latestOpenJDK(major, ConfigManager.getDataDirectory(), distribution)
+    if(asset == null){
+        throw new Error(`No Java ${major} runtime is available for this platform.`)
+    }
+
+    let received = 0
+    await downloadFile(asset.url, asset.path, ({ transferred }) => {
+        received = transferred
+        onProgress(transferred, asset.size)
+    })
+    if(received != asset.size && !await validateLocalFile(asset.path, asset.algo, asset.hash)){
+        await fs.remove(asset.path)
+        throw new Error(`The Java ${major} download is corrupted.`)
+    }
+
+    // The archive is removed once it has been extracted.
+    const root = ensureJavaDirIsRoot(await extractJdk(asset.path))
+    logger.info(`Installed Java ${major} to ${root}.`)
+    return root
+}
+
+/**
+ * Remove a managed runtime. Runtimes which were not installed by the launcher
+ * are never removed.
+ *
+ * @param {string} root The root directory of the runtime.
+ * @throws {Error} If the runtime is not managed by the launcher.
+ */
+exports.remove = async function(root){
+    if(!exports.isManaged(root)){
+        throw new Error(`${root} is not a managed runtime.`)
+    }
+    await fs.remove(root)
+    logger.info(`Removed the runtime at ${root}.`)
+}
@@ -0,0 +1,234 @@
+/**
+ * JvmFlags
+ *
+ * Presets of JVM flags for the game and validation of custom flags. Flags are
+ * validated by starting the selected Java executable with them, so options the
+ * runtime does not support are caught before the game is launched.
+ *
+ * @module jvmflags
+ */
+// Requirements
+const child_process     = require('child_process')
+const { LoggerUtil }    = require('helios-core')
+
+const logger = LoggerUtil.getLogger('JvmFlags')
+
+const VALIDATE_TIMEOUT = 15000
+// PrintFlagsFinal writes every flag of the VM, which is well over the default buffer.
+const VALIDATE_MAX_BUFFER = 8*1024*1024
+
+/**
+ * @typedef {Object} JvmPreset
+ * @property {string} id The id of the preset, used for its label.
+ * @property {number} minMajor The lowest Java major version which supports the preset.
+ * @property {Array.<string>} flags The flags of the preset.
+ */
+
+/**
+ * The available presets.
+ *
+ * @type {Array.<JvmPreset>}
+ */
+const PRESETS = [
+    {
+        // https://docs.papermc.io/paper/aikars-flags
+        id: 'aikar',
+        minMajor: 8,
+        flags: [
+            '-XX:+UseG1GC',
+            '-XX:+ParallelRefProcEnabled',
+            '-XX:MaxGCPauseMillis=200',
+            '-XX:+UnlockExperimentalVMOptions',
+            '-XX:+DisableExplicitGC',
+            '-XX:G1NewSizePercent=30',
+            '-XX:G1MaxNewSizePercent=40',
+            '-XX:G1HeapRegionSize=8M',
+            '-XX:G1ReservePercent=20',
+            '-XX:G1HeapWastePercent=5',
+            '-XX:G1MixedGCCountTarget=4',
+            '-XX:InitiatingHeapOccupancyPercent=15',
+            '-XX:G1MixedGCLiveThresholdPercent=90',
+            '-XX:SurvivorRatio=32',
+            '-XX:+PerfDisableSharedMem',
+            '-XX:MaxTenuringThreshold=1'
+        ]
+    },
+    {
+        id: 'zgc',
+        minMajor: 21,
+        flags: [
+            '-XX:+UseZGC',
+            '-XX:+ZGenerational',
+            '-XX:+DisableExplicitGC',
+            '-XX:+PerfDisableSharedMem'
+        ]
+    },
+    {
+        id: 'shenandoah',
+        minMajor: 12,
+        flags: [
+            '-XX:+UseShenandoahGC',
+            '-XX:+ParallelRefProcEnabled',
+            '-XX:+DisableExplicitGC',
+            '-XX:+PerfDisableSharedMem'
+        ]
+    },
+    {
+        id: 'lowMemory',
+        minMajor: 8,
+        flags: [
+            '-XX:+UseG1GC',
+            '-XX:MaxGCPauseMillis=100',
+            '-XX:G1HeapRegionSize=4M',
+            '-XX:+UseStringDeduplication',
+            '-XX:SoftRefLRUPolicyMSPerMB=10',
+            '-XX:ReservedCodeCacheSize=64M'
+        ]
+    }
+]
+
+// Flags which set the heap size, which is managed by the memory settings.
+const HEAP_FLAGS = [
+    /^-Xm[sx]/,
+    /^-XX:(MaxHeapSize|InitialHeapSize|MinHeapSize|MaxRAM)=/,
+    /^-XX:(MaxRAMPercentage|InitialRAMPercentage|MinRAMPercentage|MaxRAMFraction|InitialRAMFraction|MinRAMFraction)=/
+]
+
+// Flags which set the size of the young generation.
+const YOUNG_FLAGS = /^(-Xmn|-XX:NewSize=|-XX:MaxNewSize=)(.+)$/
+
+// Lines the JVM prints on every failed start, which do not explain the failure.
+const GENERIC_ERRORS = [
+    'Error: Could not create the Java Virtual Machine.',
+    'Error: A fatal exception has occurred. Program will exit.'
+]
+
+/**
+ * @typedef {Object} MemoryConflict
+ * @property {string} option The conflicting option.
+ * @property {string} type heap if the option overrides the memory settings, young if
+ * the young generation is not smaller than the minimum memory.
+ */
+
+/**
+ * @typedef {Object} FlagValidation
+ * @property {boolean} valid Whether the JVM starts with the flags.
+ * @property {Array.<string>} errors The errors printed by the JVM if it did not start.
+ * @property {Array.<string>} warnings The warnings printed by the JVM.
+ */
+
+/**
+ * Get the available presets.
+ *
+ * @returns {Array.<JvmPreset>} The presets.
+ */
+exports.getPresets = function(){
+    return PRESETS
+}
+
+/**
+ * Get a preset.
+ *
+ * @param {string} id The id of the preset.
+ * @returns {JvmPreset | null} The preset, or null if it does not exist.
+ */
+exports.getPreset = function(id){
+    return PRESETS.find(p => p.id === id) || null
+}
+
+/**
+ * Find the preset which matches a list of options. The order of the options
+ * does not matter.
+ *
+ * @param {Array.<string>} options The JVM options.
+ * @returns {JvmPreset | null} The matching preset, or null if the options are custom.
+ */
+exports.detectPreset = function(options){
+    const set = new Set(options)
+    return PRESETS.find(p => p.flags.length === set.size && p.flags.every(f => set.has(f))) || null
+}
+
+/**
+ * Split the value of the JVM options field into options.
+ *
+ * @param {string} value The value of the field.
+ * @returns {Array.<string>} The options.
+ */
+exports.parseOptions = function(value){
+    const trimmed = value.trim()
+    return trimmed.length > 0 ? trimmed.split(/\s+/) : []
+}
+
+/**
+ * Parse a JVM memory size, ex. 4G, 512M or 1048576.
+ *
+ * @param {string} value The memory size.
+ * @returns {number | null} The size in bytes, or null if it is invalid.
+ */
+exports.parseMemory = function(value){
+    const match = /^(\d+)([kmgt]?)$/i.exec(value)
+    if(match == null){
+        return null
+    }
+    const units = { '': 0, k: 1, m: 2, g: 3, t: 4 }
+    return Number(match[1]) * Math.pow(1024, units[match[2].toLowerCase()])
+}
+
+/**
+ * Find the options which conflict with the memory set by the memory settings.
+ *
+ * @param {Array.<string>} options The JVM options.
+ * @param {string} minRAM The minimum memory, ex. 4G.
+ * @returns {Array.<MemoryConflict>} The conflicts.
+ */
+exports.findMemoryConflicts = function(options, minRAM){
+    const minHeap = exports.parseMemory(minRAM)
+    const conflicts = []
+    for(const option of options){
+        if(HEAP_FLAGS.some(r => r.test(option))){
+            conflicts.push({ option, type: 'heap' })
+            continue
+        }
+        const young = YOUNG_FLAGS.exec(option)
+        if(young != null && minHeap != null){
+            const size = exports.parseMemory(young[2])
+            if(size != null && size >= minHeap){
+                conflicts.push({ option, type: 'young' })
+            }
+        }
+    }
+    return conflicts
+}
+
+/**
+ * Check whether a Java executable starts with a set of options, using the
+ * memory the game would be launched with.
+ *
+ * @param {string} javaExecutable The Java executable.
+ * @param {Array.<string>} options The JVM options.
+ * @param {string} minRAM The minimum memory, ex. 4G.
+ * @param {string} maxRAM The maximum memory, ex. 4G.
+ * @returns {Promise.<FlagValidation>} The result of the validation.
+ * @throws {Error} If the executable could not be started.
+ */
+exports.validate = function(javaExecutable, options, minRAM, maxRAM){
+    const args = [`-Xmx${maxRAM}`, `-Xms${minRAM}`, ...options, '-XX:+PrintFlagsFinal', '-version']
+    return new Promise((resolve, reject) => {
+        child_process.execFile(javaExecutable, args, { timeout: VALIDATE_TIMEOUT, maxBuffer: VALIDATE_MAX_BUFFER, windowsHide: true }, (err, stdout, stderr) => {
+            // A code means the JVM ran and rejected the options.
+            if(err != null && typeof err.code !== 'number'){
+                reject(err)
+                return
+            }
+            const lines = stderr.split(/\r?\n/).map(l => l.trim()).filter(l => l.length > 0)
+            const warnings = lines.filter(l => /warning/i.test(l))
+            if(err == null){
+                resolve({ valid: true, errors: [], warnings })
+                return
+            }
+            const errors = lines.filter(l => !GENERIC_ERRORS.includes(l) && !warnings.includes(l))
+            logger.info(`${javaExecutable} rejected the JVM options.`, errors)
+            resolve({ valid: false, errors: errors.length > 0 ? errors : lines, warnings })
+        })
+    })
+}
@@ -0,0 +1,129 @@
+/**
+ * LaunchScript
+ *
+ * Turns a resolved launch into a script which can be run outside of the
+ * launcher. POSIX shell scripts are created for macOS and Linux, batch files
+ * for Windows.
+ *
+ * @module launchscript
+ */
+
+// Arguments made only of these characters do not need to be quoted.
+const SAFE_SHELL_ARG_REGEX = /^[\w@%+=:,./-]+$/
+const UNSAFE_BATCH_ARG_REGEX = /[\s"&|<>^%()]/
+// Marks the name of a variable inside an argument.
+const VARIABLE_MARKER = '\u0000'
+const VARIABLE_REGEX = /\u0000(\w+)\u0000/g
+
+/**
+ * @typedef {Object} ScriptVariable
+ * @property {string} name The name of the environment variable.
+ * @property {string} prompt The prompt shown when the variable is not set.
+ */
+
+/**
+ * Create a placeholder for a variable which the script reads from the
+ * environment, or prompts for if it is not set.
+ *
+ * @param {string} name The name of the variable.
+ * @returns {string} The placeholder, which can be used within an argument.
+ */
+exports.variable = function(name){
+    return VARIABLE_MARKER + name + VARIABLE_MARKER
+}
+
+/**
+ * Quote an argument for a POSIX shell.
+ *
+ * @param {string} arg The argument.
+ * @returns {string} The quoted argument.
+ */
+exports.quoteShellArg = function(arg){
+    arg = String(arg)
+    if(SAFE_SHELL_ARG_REGEX.test(arg)){
+        return arg
+    }
+    return `'${arg.replace(/'/g, '\'\\\'\'')}'`
+}
+
+/**
+ * Quote an argument for a Windows batch file.
+ *
+ * @param {string} arg The argument.
+ * @returns {string} The quoted argument.
+ */
+exports.quoteBatchArg = function(arg){
+    arg = String(arg).replace(/%/g, '%%')
+    if(arg.length > 0 && !UNSAFE_BATCH_ARG_REGEX.test(arg)){
+        return arg
+    }
+    return `"${arg.replace(/"/g, '""')}"`
+}
+
+/**
+ * Quote an argument which may contain variables for a POSIX shell.
+ *
+ * @param {string} arg The argument.
+ * @returns {string} The quoted argument, expanding its variables.
+ */
+function quoteShellArgWithVariables(arg){
+    const parts = String(arg).split(VARIABLE_MARKER)
+    if(parts.length === 1){
+        return exports.quoteShellArg(arg)
+    }
+    // Every odd part is the name of a variable.
+    return parts.map((part, i) => i % 2 === 1 ? `"$${part}"` : (part.length > 0 ? exports.quoteShellArg(part) : '')).join('')
+}
+
+/**
+ * Quote an argument which may contain variables for a Windows batch file.
+ *
+ * @param {string} arg The argument.
+ * @returns {string} The quoted argument, expanding its variables.
+ */
+function quoteBatchArgWithVariables(arg){
+    return exports.quoteBatchArg(arg).replace(VARIABLE_REGEX, '%$1%')
+}
+
+/**
+ * Get the file extension of the scripts created for a platform.
+ *
+ * @param {string} platform Optional. The platform, defaults to the current one.
+ * @returns {string} The extension, including the dot.
+ */
+exports.getScriptExtension = function(platform = process.platform){
+    return platform === 'win32' ? '.bat' : '.sh'
+}
+
+/**
+ * Create a script which launches the game.
+ *
+ * @param {{javaExecutable: string, workingDirectory: string, args: Array.<string>, variables: Array.<ScriptVariable>}} launch
+ * The resolved launch. Variables are optional.
+ * @param {string} platform Optional. The platform to create the script for, defaults to the current one.
+ * @returns {string} The content of the script.
+ */
+exports.createScript = function(launch, platform = process.platform){
+    const variables = launch.variables || []
+    if(platform === 'win32'){
+        return [
+            '@echo off',
+            ...variables.map(v => `if not defined ${v.name} set /p ${v.name}=${v.prompt}: `),
+            `cd /d ${exports.quoteBatchArg(launch.workingDirectory)}`,
+            [launch.javaExecutable, ...launch.args].map(quoteBatchArgWithVariables).join(' '),
+            ''
+        ].join('\r\n')
+    }
+    return [
+        '#!/bin/sh',
+        ...variables.map(v => [
+            `if [ -z "$${v.name}" ]; then`,
+            `    printf '%s: ' ${exports.quoteShellArg(v.prompt)}`,
+            `    read -r ${v.name}`,
+            'fi'
+        ].join('\n')),
+        `cd ${exports.quoteShellArg(launch.workingDirectory)} || exit 1`,
+        'exec ' + [launch.javaExecutable, ...launch.args].map(quoteShellArgWithVariables).join(' \\\n    '),
+        ''
+    ].join('\n')
+}
@@ -0,0 +1,232 @@
+/**
+ * MotdFormatter
+ *
+ * This module converts server MOTDs into safe, styled HTML. Both legacy
+ * section sign formatting codes and JSON chat components are supported.
+ *
+ * @module motdformatter
+ */
+
+// Named chat colors and their hex values.
+const COLORS = {
+    black: '#000000',
+    dark_blue: '#0000AA',
+    dark_green: '#00AA00',
+    dark_aqua: '#00AAAA',
+    dark_red: '#AA0000',
+    dark_purple: '#AA00AA',
+    gold: '#FFAA00',
+    gray: '#AAAAAA',
+    dark_gray: '#555555',
+    blue: '#5555FF',
+    green: '#55FF55',
+    aqua: '#55FFFF',
+    red: '#FF5555',
+    light_purple: '#FF55FF',
+    yellow: '#FFFF55',
+    white: '#FFFFFF'
+}
+
+// Legacy color codes mapped to their named colors.
+const COLOR_CODES = {
+    '0': 'black',
+    '1': 'dark_blue',
+    '2': 'dark_green',
+    '3': 'dark_aqua',
+    '4': 'dark_red',
+    '5': 'dark_purple',
+    '6': 'gold',
+    '7': 'gray',
+    '8': 'dark_gray',
+    '9': 'blue',
+    'a': 'green',
+    'b': 'aqua',
+    'c': 'red',
+    'd': 'light_purple',
+    'e': 'yellow',
+    'f': 'white'
+}
+
+// Legacy format codes mapped to their style properties.
+const FORMAT_CODES = {
+    'k': 'obfuscated',
+    'l': 'bold',
+    'm': 'strikethrough',
+    'n': 'underlined',
+    'o': 'italic'
+}
+
+const FORMATS = Object.values(FORMAT_CODES)
+
+const SECTION_SIGN = '§'
+
+/**
+ * Resolve a chat color to a hex value. Unknown values are discarded
+ * so that nothing unsafe ends up in the style attribute.
+ *
+ * @param {string} color A named color or a hex color.
+ * @returns {string | null} The hex color, or null if invalid.
+ */
+function resolveColor(color){
+    if(typeof color !== 'string'){
+        return null
+    }
+    if(/^#[0-9a-f]{6}$/i.test(color)){
+        return color
+    }
+    return COLORS[color.toLowerCase()] ?? null
+}
+
+/**
+ * Split text containing legacy formatting codes into styled segments.
+ *
+ * @param {string} text The text to parse.
+ * @param {Object} baseStyle The style the text starts with. Reset codes return to it.
+ * @param {{text: string, style: Object}[]} out The array to push the segments to.
+ */
+function parseLegacy(text, baseStyle, out){
+    let style = { ...baseStyle }
+    let buffer = ''
+    for(let i=0; i<text.length; i++){
+        if(text[i] === SECTION_SIGN && i + 1 < text.length){
+            const code = text[i + 1].toLowerCase()
+            if(COLOR_CODES[code] != null || FORMAT_CODES[code] != null || code === 'r'){
+                if(buffer.length > 0){
+                    out.push({ text: buffer, style })
+                    buffer = ''
+                }
+                if(COLOR_CODES[code] != null){
+                    // Color codes also reset the formatting.
+                    style = { color: COLORS[COLOR_CODES[code]] }
+                } else if(FORMAT_CODES[code] != null){
+                    style = { ...style, [FORMAT_CODES[code]]: true }
+                } else {
+                    style = { ...baseStyle }
+                }
+                i++
+                continue
+            }
+        }
+        buffer += text[i]
+    }
+    if(buffer.length > 0){
+        out.push({ text: buffer, style })
+    }
+}
+
+/**
+ * Walk a chat component and its children, collecting styled segments.
+ *
+ * @param {string | Object | Array} component The chat component.
+ * @param {Object} parentStyle The style inherited from the parent component.
+ * @param {{text: string, style: Object}[]} out The array to push the segments to.
+ */
+function walkComponent(component, parentStyle, out){
+    if(component == null){
+        return
+    }
+    if(typeof component === 'string' || typeof component === 'number'){
+        parseLegacy(String(component), parentStyle, out)
+        return
+    }
+    if(Array.isArray(component)){
+        // The first element of an array is the parent of the rest.
+        if(component.length > 0){
+            walkComponent({ ...(typeof component[0] === 'object' ? component[0] : { text: component[0] }), extra: component.slice(1) }, parentStyle, out)
+        }
+        return
+    }
+    const style = { ...parentStyle }
+    const color = resolveColor(component.color)
+    if(color != null){
+        style.color = color
+    }
+    for(const format of FORMATS){
+        if(component[format] != null){
+            style[format] = component[format] === true || component[format] === 'true'
+        }
+    }
+    if(component.text != null){
+        parseLegacy(String(component.text), style, out)
+    } else if(component.translate != null){
+        parseLegacy(String(component.translate), style, out)
+    }
+    if(Array.isArray(component.extra)){
+        for(const child of component.extra){
+            walkComponent(child, style, out)
+        }
+    }
+}
+
+/**
+ * Escape text for safe insertion into HTML.
+ *
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text){
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+}
+
+/**
+ * Parse a MOTD into styled segments.
+ *
+ * @param {string | Object} motd A legacy formatted string or a chat component.
+ * @returns {{text: string, style: Object}[]} The styled segments.
+ */
+exports.parse = function(motd){
+    const out = []
+    walkComponent(motd, {}, out)
+    return out
+}
+
+/**
+ * Convert a MOTD into plain text, removing all formatting.
+ *
+ * @param {string | Object} motd A legacy formatted string or a chat component.
+ * @returns {string} The plain text.
+ */
+exports.toPlainText = function(motd){
+    return exports.parse(motd).map(s => s.text).join('')
+}
+
+/**
+ * Convert a MOTD into HTML. Each styled segment becomes a span. All text is
+ * escaped and only known colors are emitted, so the result is safe to assign
+ * to innerHTML. Obfuscated segments receive the motdObfuscated class.
+ *
+ * @param {string | Object} motd A legacy formatted string or a chat component.
+ * @returns {string} The HTML.
+ */
+exports.toHtml = function(motd){
+    return exports.parse(motd).map(({ text, style }) => {
+        const css = []
+        if(style.color != null){
+            css.push(`color: ${style.color}`)
+        }
+        if(style.bold){
+            css.push('font-weight: bold')
+        }
+        if(style.italic){
+            css.push('font-style: italic')
+        }
+        const decorations = []
+        if(style.underlined){
+            decorations.push('underline')
+        }
+        if(style.strikethrough){
+            decorations.push('line-through')
+        }
+        if(decorations.length > 0){
+            css.push(`text-decoration: ${decorations.join(' ')}`)
+        }
+        const cls = style.obfuscated ? ' class="motdObfuscated"' : ''
+        const attr = css.length > 0 ? ` style="${css.join('; ')}"` : ''
+        return `<span${cls}${attr}>${escapeHtml(text).replace(/\n/g, '<br>')}</span>`
+    }).join('')
+}
@@ -0,0 +1,201 @@
+/**
+ * Playtime
+ *
+ * This module records every play session of the game with the server and
+ * account it was launched with. The sessions are stored in the launcher
+ * directory and are used to compute the playtime per server and per account.
+ *
+ * @module playtime
+ */
+// Requirements
+const fs                = require('fs-extra')
+const { LoggerUtil }    = require('helios-core')
+const path              = require('path')
+
+const ConfigManager     = require('./configmanager')
+
+const logger = LoggerUtil.getLogger('Playtime')
+
+const PLAYTIME_FILE = 'playtime.json'
+const DAY = 24*60*60*1000
+const WEEK = 7*DAY
+
+/**
+ * @typedef {Object} PlaySession
+ * @property {string} server The id of the server.
+ * @property {string} account The uuid of the account.
+ * @property {number} start The time the game was started, in ms.
+ * @property {number} end The time the game closed, in ms.
+ * @property {number | null} code The exit code of the game.
+ */
+
+/**
+ * @typedef {Object} PlaytimeFilter
+ * @property {string} server Optional. Only count sessions on this server.
+ * @property {string} account Optional. Only count sessions of this account.
+ */
+
+/**
+ * The recorded sessions, oldest first.
+ *
+ * @type {Array.<PlaySession>}
+ */
+let sessions = null
+
+/**
+ * Get the path of the playtime file.
+ *
+ * @returns {string} The absolute path of the playtime file.
+ */
+function getPlaytimePath(){
+    return path.join(ConfigManager.getLauncherDirectory(), PLAYTIME_FILE)
+}
+
+/**
+ * Check whether a stored session is well formed.
+ *
+ * @param {Object} session The stored session.
+ * @returns {boolean} True if the session can be used.
+ */
+function isValidSession(session){
+    return session != null
+        && typeof session.server === 'string'
+        && typeof session.account === 'string'
+        && typeof session.start === 'number'
+        && typeof session.end === 'number'
+        && session.end >= session.start
+}
+
+/**
+ * Load the playtime file. Invalid or missing files result in no sessions.
+ */
+exports.load = function(){
+    sessions = []
+    const playtimePath = getPlaytimePath()
+    if(!fs.existsSync(playtimePath)){
+        return
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(playtimePath, 'UTF-8'))
+        if(Array.isArray(data.sessions)){
+            sessions = data.sessions.filter(isValidSession)
+        }
+    } catch(err) {
+        logger.warn('Playtime file is malformed, starting without play sessions.', err)
+    }
+}
+
+/**
+ * Save the playtime file.
+ */
+exports.save = function(){
+    try {
+        fs.writeFileSync(getPlaytimePath(), JSON.stringify({ sessions: sessions || [] }), 'UTF-8')
+    } catch(err) {
+        logger.error('Failed to save playtime.', err)
+    }
+}
+
+/**
+ * Record a play session.
+ *
+ * @param {string} server The id of the server.
+ * @param {string} account The uuid of the account.
+ * @param {number} start The time the game was started, in ms.
+ * @param {number} end The time the game closed, in ms.
+ * @param {number | null} code The exit code of the game.
+ */
+exports.addSession = function(server, account, start, end, code){
+    if(sessions == null){
+        exports.load()
+    }
+    sessions.push({ server, account, start, end: Math.max(end, start), code })
+}
+
+/**
+ * Get the recorded sessions which match a filter, oldest first.
+ *
+ * @param {PlaytimeFilter} filter Optional. The filter.
+ * @returns {Array.<PlaySession>} The sessions.
+ */
+exports.getSessions = function(filter = {}){
+    if(sessions == null){
+        exports.load()
+    }
+    return sessions.filter(s => (filter.server == null || s.server === filter.server)
+        && (filter.account == null || s.account === filter.account))
+}
+
+/**
+ * Get the time played within a period.
+ *
+ * @param {Array.<PlaySession>} list The sessions.
+ * @param {number} from The start of the period, in ms.
+ * @param {number} to The end of the period, in ms.
+ * @returns {number} The time played, in ms.
+ */
+function getPlayedBetween(list, from, to){
+    let total = 0
+    for(const s of list){
+        total += Math.max(0, Math.min(s.end, to) - Math.max(s.start, from))
+    }
+    return total
+}
+
+/**
+ * Get the total and recent playtime of the sessions which match a filter.
+ *
+ * @param {PlaytimeFilter} filter Optional. The filter.
+ * @param {number} now Optional. The current time, in ms.
+ * @returns {{total: number, recent: number, sessions: number, lastPlayed: number | null}} The total playtime,
+ * the playtime of the last 7 days, the number of sessions and the time the game was last closed.
+ */
+exports.getSummary = function(filter = {}, now = Date.now()){
+    const list = exports.getSessions(filter)
+    return {
+        total: getPlayedBetween(list, 0, Infinity),
+        recent: getPlayedBetween(list, now - WEEK, now),
+        sessions: list.length,
+        lastPlayed: list.length > 0 ? Math.max(...list.map(s => s.end)) : null
+    }
+}
+
+/**
+ * Get the start of the week (Monday, local time) which contains a time.
+ *
+ * @param {number} time The time, in ms.
+ * @returns {number} The start of the week, in ms.
+ */
+exports.getWeekStart = function(time){
+    const date = new Date(time)
+    date.setHours(0, 0, 0, 0)
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7)
+    return date.getTime()
+}
+
+/**
+ * Get the playtime of each of the last weeks. Sessions which span several
+ * weeks are split between them.
+ *
+ * @param {PlaytimeFilter} filter Optional. The filter.
+ * @param {number} weeks Optional. The number of weeks, including the current one.
+ * @param {number} now Optional. The current time, in ms.
+ * @returns {Array.<{start: number, played: number}>} The start of each week and the time played during it, oldest first.
+ */
+exports.getWeeklyBreakdown = function(filter = {}, weeks = 8, now = Date.now()){
+    const list = exports.getSessions(filter)
+    const current = exports.getWeekStart(now)
+    const breakdown = []
+    for(let i = weeks - 1; i >= 0; i--){
+        // Dates are used instead of adding WEEK so that DST changes are respected.
+        const start = new Date(current)
+        start.setDate(start.getDate() - 7 * i)
+        const end = new Date(start)
+        end.setDate(end.getDate() + 7)
+        breakdown.push({
+            start: start.getTime(),
+            played: getPlayedBetween(list, start.getTime(), end.getTime())
+        })
+    }
+    return breakdown
+}
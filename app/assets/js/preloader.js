@@ -4,7 +4,7 @@ const os             = require('os')
 const path           = require('path')
 
 const ConfigManager  = require('./configmanager')
-const { DistroAPI }  = require('./distromanager')
+const { DistroAPI, DistributionSignatureError } = require('./distromanager')
 const LangLoader     = require('./langloader')
 const { LoggerUtil } = require('helios-core')
 // eslint-disable-next-line no-unused-vars
@@ -28,8 +28,9 @@ LangLoader.setupLanguage()
 /**
  * 
  * @param {HeliosDistribution} data 
+ * @param {string} reason Optional. Why the index could not be loaded, signature if it was not trusted.
  */
-function onDistroLoad(data){
+function onDistroLoad(data, reason = null){
     if(data != null){
         
         // Resolve the selected server if its value has yet to be set.
@@ -39,7 +40,7 @@ function onDistroLoad(data){
             ConfigManager.save()
         }
     }
-    ipcRenderer.send('distributionIndexDone', data != null)
+    ipcRenderer.send('distributionIndexDone', data != null, reason)
 }
 
 // Ensure Distribution is downloaded and cached.
@@ -54,7 +55,7 @@ DistroAPI.getDistribution()
         logger.info('Application cannot run.')
         logger.error(err)
 
-        onDistroLoad(null)
+        onDistroLoad(null, err instanceof DistributionSignatureError ? 'signature' : null)
     })
 
 // Clean up temp dir incase previous launches ended unexpectedly. 
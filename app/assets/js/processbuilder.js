@@ -8,10 +8,34 @@ const { Type }              = require('helios-distribution-types')
 const os                    = require('os')
 const path                  = require('path')
 
+const AuthApi                  = require('./authapi')
 const ConfigManager            = require('./configmanager')
+const { DistroAPI }            = require('./distromanager')
+const DropinModUtil            = require('./dropinmodutil')
+const LaunchScript             = require('./launchscript')
+const SrvResolver              = require('./srvresolver')
 
 const logger = LoggerUtil.getLogger('ProcessBuilder')
 
+// Used in place of the join token when the launch is only previewed.
+const JOIN_TOKEN_PLACEHOLDER = 'dry-run'
+// The exported launch script and the folder it keeps the natives in, relative to the instance.
+const SCRIPT_NAME = 'launch'
+const SCRIPT_NATIVES_DIR = 'natives'
+
+/**
+ * @typedef {Object} LaunchPreview
+ * @property {string} javaExecutable The Java executable which would be used.
+ * @property {string} workingDirectory The working directory of the game.
+ * @property {Array.<string>} args The full argument list, with secrets hidden.
+ * @property {Array.<string>} jvmArgs The JVM arguments, without the classpath.
+ * @property {Array.<{file: string, exists: boolean}>} classpath The classpath entries.
+ * @property {string | null} mainClass The main class.
+ * @property {Array.<string>} gameArgs The game arguments.
+ * @property {Array.<string>} natives The extracted native library files.
+ * @property {Array.<{id: string, name: string, file: string, exists: boolean}>} mods The enabled mods.
+ */
+
 /**
  * Format UUID to ensure it has dashes (required for Microsoft accounts)
  * @param {string} uuid - UUID string
@@ -192,9 +216,10 @@ function getResourcePath(resourcePath) {
 class ProcessBuilder {
 
     constructor(distroServer, vanillaManifest, modManifest, authUser, launcherVersion){
-        this.gameDir = path.join(ConfigManager.getInstanceDirectory(), distroServer.rawServer.id)
+        this.gameDir = ProcessBuilder.getGameDirectory(distroServer.rawServer.id)
         this.commonDir = ConfigManager.getCommonDirectory()
         this.server = distroServer
+        this.launchConfig = ConfigManager.getActiveLaunchConfig(distroServer.rawServer.id)
         this.vanillaManifest = vanillaManifest
         this.modManifest = modManifest
         this.authUser = authUser
@@ -207,20 +232,27 @@ class ProcessBuilder {
         this.usingLiteLoader = false
         this.usingFabricLoader = false
         this.llPath = null
+        this.serverAddress = null
+        this.joinToken = null
+        this.loggableArgs = null
     }
 
     /**
-     * Convienence method to run the functions typically used to build a process.
+     * Resolve everything required to launch the game: the enabled mods, the
+     * native libraries and the full argument list.
+     *
+     * @param {string} tempNativePath The path to store the native libraries.
+     * @param {boolean} dryRun Optional. If true, no join token is requested and a placeholder is used instead.
+     * @returns {Promise.<{args: Array.<string>, mods: Array.<Object>}>} The arguments and the enabled mods.
      */
-    async build(){
+    async prepare(tempNativePath, dryRun = false){
         fs.ensureDirSync(this.gameDir)
-        const tempNativePath = path.join(os.tmpdir(), ConfigManager.getTempNativeFolder(), crypto.pseudoRandomBytes(16).toString('hex'))
         process.throwDeprecation = true
         this.setupLiteLoader()
         logger.info('Using liteloader:', this.usingLiteLoader)
         this.usingFabricLoader = this.server.modules.some(mdl => mdl.rawModule.type === Type.Fabric)
         logger.info('Using fabric loader:', this.usingFabricLoader)
-        const modObj = this.resolveModConfiguration(ConfigManager.getModConfiguration(this.server.rawServer.id).mods, this.server.modules)
+        const modObj = this.resolveModConfiguration(this.launchConfig.mods, this.server.modules)
 
         // Mod list below 1.13
         // Fabric only supports 1.14+
@@ -233,8 +265,21 @@ class ProcessBuilder {
 
         const uberModArr = modObj.fMods.concat(modObj.lMods)
 
+        // Apply the shaderpack of the active launch profile.
+        if(this.launchConfig.shaderpack != null){
+            DropinModUtil.setEnabledShaderpack(this.gameDir, this.launchConfig.shaderpack)
+        }
+
+        // Resolve the SRV record of the server (if any) for auto connect.
+        this.serverAddress = await SrvResolver.resolveServer(this.server)
+
         // Fyreth: Fetch join_token before building arguments
-        const joinToken = await this._fetchJoinToken()
+        // A dry run must not issue a token, so a placeholder is used instead.
+        let joinToken = null
+        if(this.usesJoinToken()){
+            joinToken = dryRun ? JOIN_TOKEN_PLACEHOLDER : await this._fetchJoinToken()
+        }
+        this.joinToken = joinToken
 
         let args = await this.constructJVMArguments(uberModArr, tempNativePath, joinToken)
 
@@ -243,22 +288,115 @@ class ProcessBuilder {
             args = args.concat(this.constructModList(modObj.fMods))
         }
 
-        // Hide access token
+        return {
+            args,
+            mods: uberModArr
+        }
+    }
+
+    /**
+     * Hide the access token and join token in an argument list so that it can be logged.
+     *
+     * @param {Array.<string>} args The launch arguments.
+     * @param {string} accessToken Optional. The text which replaces the access token.
+     * @param {string} joinToken Optional. The text which replaces the join token.
+     * @returns {Array.<string>} A copy of the arguments with the secrets hidden.
+     */
+    redactArguments(args, accessToken = '**********', joinToken = '**********'){
         const loggableArgs = [...args]
+
+        // Hide access token
         const accessTokenIndex = loggableArgs.findIndex(x => x === this.authUser.accessToken)
         if (accessTokenIndex > -1) {
-            loggableArgs[accessTokenIndex] = '**********'
+            loggableArgs[accessTokenIndex] = accessToken
         }
 
         // Hide join token
         const joinTokenArgPrefix = '-Dfyreth.join_token='
         const joinTokenIndex = loggableArgs.findIndex(x => x.startsWith(joinTokenArgPrefix))
         if (joinTokenIndex > -1) {
-            loggableArgs[joinTokenIndex] = joinTokenArgPrefix + '**********'
+            loggableArgs[joinTokenIndex] = joinTokenArgPrefix + joinToken
         }
 
-        logger.info('Launch Arguments:', loggableArgs)
+        return loggableArgs
+    }
+
+    /**
+     * Resolve the launch without starting the game. Natives are extracted to a
+     * temporary directory which is removed afterwards.
+     *
+     * @returns {Promise.<LaunchPreview>} The resolved launch.
+     */
+    async dryRun(){
+        const tempNativePath = path.join(os.tmpdir(), ConfigManager.getTempNativeFolder(), crypto.pseudoRandomBytes(16).toString('hex'))
+        try {
+            const { args, mods } = await this.prepare(tempNativePath, true)
+            const loggableArgs = this.redactArguments(args)
+            const groups = ProcessBuilder.groupArguments(loggableArgs, this.modManifest.mainClass)
+            return {
+                javaExecutable: ConfigManager.getJavaExecutable(this.server.rawServer.id),
+                workingDirectory: this.gameDir,
+                args: loggableArgs,
+                jvmArgs: groups.jvmArgs,
+                classpath: groups.classpath.map(file => ({ file, exists: fs.existsSync(file) })),
+                mainClass: groups.mainClass,
+                gameArgs: groups.gameArgs,
+                natives: (await fs.readdir(tempNativePath)).sort(),
+                mods: mods.map(mdl => ({
+                    id: mdl.rawModule.id,
+                    name: mdl.rawModule.name,
+                    file: mdl.getPath(),
+                    exists: fs.existsSync(mdl.getPath())
+                }))
+            }
+        } finally {
+            await fs.remove(tempNativePath)
+        }
+    }
 
+    /**
+     * Write a script to the instance directory which launches the game without
+     * the launcher. The natives are extracted to a persistent folder next to
+     * it. The access token and join token are read from the ACCESS_TOKEN and
+     * JOIN_TOKEN environment variables, or prompted for when they are not set.
+     *
+     * @returns {Promise.<string>} The path of the script.
+     */
+    async exportScript(){
+        const nativesPath = path.join(this.gameDir, SCRIPT_NATIVES_DIR)
+        await fs.emptyDir(nativesPath)
+        const { args } = await this.prepare(nativesPath, true)
+
+        const script = LaunchScript.createScript({
+            javaExecutable: ConfigManager.getJavaExecutable(this.server.rawServer.id),
+            workingDirectory: this.gameDir,
+            args: this.redactArguments(args, LaunchScript.variable('ACCESS_TOKEN'), LaunchScript.variable('JOIN_TOKEN')),
+            variables: [
+                { name: 'ACCESS_TOKEN', prompt: 'Access token' },
+                ...(this.usesJoinToken() ? [{ name: 'JOIN_TOKEN', prompt: 'Join token' }] : [])
+            ]
+        })
+        const file = path.join(this.gameDir, SCRIPT_NAME + LaunchScript.getScriptExtension())
+        await fs.writeFile(file, script, 'utf8')
+        if(process.platform !== 'win32'){
+            await fs.chmod(file, 0o755)
+        }
+        logger.info(`Exported launch script to ${file}.`)
+        return file
+    }
+
+    /**
+     * Convienence method to run the functions typically used to build a process.
+     */
+    async build(){
+        // Every process gets its own natives folder so that instances can run side by side.
+        const tempNativePath = path.join(os.tmpdir(), ConfigManager.getTempNativeFolder(), crypto.pseudoRandomBytes(16).toString('hex'))
+        this.tempNativePath = tempNativePath
+        const { args } = await this.prepare(tempNativePath)
+
+        const loggableArgs = this.redactArguments(args)
+        logger.info('Launch Arguments:', loggableArgs)
+        this.loggableArgs = loggableArgs
 
         const child = child_process.spawn(ConfigManager.getJavaExecutable(this.server.rawServer.id), args, {
             cwd: this.gameDir,
@@ -318,6 +456,45 @@ class ProcessBuilder {
         return process.platform === 'win32' ? ';' : ':'
     }
 
+    /**
+     * Get the instance directory of a server.
+     *
+     * @param {string} serverId The id of the server.
+     * @returns {string} The absolute path of the instance directory.
+     */
+    static getGameDirectory(serverId) {
+        return path.join(ConfigManager.getInstanceDirectory(), serverId)
+    }
+
+    /**
+     * Split a launch argument list into its JVM arguments, classpath entries,
+     * main class and game arguments.
+     *
+     * @param {Array.<string>} args The launch arguments.
+     * @param {string} mainClass The main class of the game.
+     * @returns {{jvmArgs: Array.<string>, classpath: Array.<string>, mainClass: string | null, gameArgs: Array.<string>}}
+     * The grouped arguments.
+     */
+    static groupArguments(args, mainClass) {
+        const mainIndex = args.indexOf(mainClass)
+        const jvmArgs = mainIndex > -1 ? args.slice(0, mainIndex) : [...args]
+        const gameArgs = mainIndex > -1 ? args.slice(mainIndex + 1) : []
+
+        let classpath = []
+        const cpIndex = jvmArgs.findIndex(x => x === '-cp' || x === '-classpath')
+        if(cpIndex > -1 && cpIndex + 1 < jvmArgs.length){
+            classpath = jvmArgs[cpIndex + 1].split(ProcessBuilder.getClasspathSeparator()).filter(x => x.length > 0)
+            jvmArgs.splice(cpIndex, 2)
+        }
+
+        return {
+            jvmArgs,
+            classpath,
+            mainClass: mainIndex > -1 ? mainClass : null,
+            gameArgs
+        }
+    }
+
     /**
      * Determine if an optional mod is enabled from its configuration value. If the
      * configuration value is null, the required object will be used to
@@ -349,7 +526,7 @@ class ProcessBuilder {
         for(let ll of this.server.modules){
             if(ll.rawModule.type === Type.LiteLoader){
                 if(!ll.getRequired().value){
-                    const modCfg = ConfigManager.getModConfiguration(this.server.rawServer.id).mods
+                    const modCfg = this.launchConfig.mods
                     if(ProcessBuilder.isModEnabled(modCfg[ll.getVersionlessMavenIdentifier()], ll.getRequired())){
                         if(fs.existsSync(ll.getPath())){
                             this.usingLiteLoader = true
@@ -525,28 +702,38 @@ class ProcessBuilder {
 
     _processAutoConnectArg(args){
         if(ConfigManager.getAutoConnect() && this.server.rawServer.autoconnect){
+            const { hostname, port } = this.serverAddress ?? this.server
             if(mcVersionAtLeast('1.20', this.server.rawServer.minecraftVersion)){
                 args.push('--quickPlayMultiplayer')
-                args.push(`${this.server.hostname}:${this.server.port}`)
+                args.push(SrvResolver.formatAddress(hostname, port))
             } else {
                 args.push('--server')
-                args.push(this.server.hostname)
+                args.push(hostname)
                 args.push('--port')
-                args.push(this.server.port)
+                args.push(port)
             }
         }
     }
 
     /**
-     * Fetch a Fyreth join token from the Auth API.
+     * Check whether the server is joined with a Fyreth join token. Tokens are
+     * only requested for the servers of the signed main index, since the
+     * request carries the access token of the account. The servers of the
+     * additional sources have no Auth API.
+     *
+     * @returns {boolean} True if a join token is required.
+     */
+    usesJoinToken() {
+        return DistroAPI.getServerSource(this.server.rawServer.id) == null
+    }
+
+    /**
+     * Fetch a Fyreth join token from the Auth API of the server.
      *
      * @returns {Promise<string>} The generated token.
-     * @throws {Error} If token acquisition fails.
+     * @throws {AuthApiError} If token acquisition fails.
      */
     async _fetchJoinToken() {
-        const baseUrl = 'http://216.230.233.112:28080'
-        const timeout = 5000
-
         if (!this.authUser.uuid || !this.authUser.displayName) {
             throw new Error('Incomplete authUser data. uuid and displayName are required.')
         }
@@ -556,69 +743,25 @@ class ProcessBuilder {
             'ely': 'ely',
             'mojang': 'mojang'
         }
-        const userType = userTypeMap[this.authUser.type] || 'mojang'
-
-        try {
-            // 1. Handshake
-            const handshakeRes = await fetch(`${baseUrl}/v1/handshake`, { signal: AbortSignal.timeout(timeout) })
-            if (!handshakeRes.ok) {
-                throw new Error(`Handshake failed with status ${handshakeRes.status}`)
-            }
-            const handshakeData = await handshakeRes.json()
-            const challenge = handshakeData.challenge
-
-            if (!challenge) {
-                throw new Error('Auth API handshake did not return a challenge.')
-            }
-
-            // 2. Issue Token
-            // Prepare request body
-            // Ensure UUID is in the correct format (with dashes) for Velocity
-            const formattedUuid = formatUUID(this.authUser.uuid.trim())
-            const requestBody = {
-                    challenge: challenge,
-                uuid: formattedUuid,
-                    name: this.authUser.displayName,
-                    userType: userType
-            }
-            
-            // Add XUID and accessToken for Microsoft accounts (server may need them for skin loading)
-            if(this.authUser.type === 'microsoft') {
-                // Add XUID if available
-                if(this.authUser.microsoft?.xuid) {
-                    requestBody.xuid = this.authUser.microsoft.xuid.toString()
-                }
-                
-                // Add accessToken so Velocity can load skin directly from Mojang API
-                if(this.authUser.accessToken) {
-                    requestBody.accessToken = this.authUser.accessToken
-                }
-            }
-            
-            const issueRes = await fetch(`${baseUrl}/v1/issue`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestBody),
-                signal: AbortSignal.timeout(timeout)
-            })
 
-            if (!issueRes.ok) {
-                const errorData = await issueRes.json().catch(() => ({}))
-                throw new Error(errorData.error || `Issue token failed with status ${issueRes.status}`)
-            }
-
-            const issueData = await issueRes.json()
-            const joinToken = issueData.join_token
+        // Ensure UUID is in the correct format (with dashes) for Velocity
+        const player = {
+            uuid: formatUUID(this.authUser.uuid.trim()),
+            name: this.authUser.displayName,
+            userType: userTypeMap[this.authUser.type] || 'mojang'
+        }
 
-            if (!joinToken) {
-                throw new Error('Auth API did not return a join_token.')
+        // Add XUID for Microsoft accounts (server may need it for skin loading)
+        let accessToken = null
+        if(this.authUser.type === 'microsoft') {
+            if(this.authUser.microsoft?.xuid) {
+                player.xuid = this.authUser.microsoft.xuid.toString()
             }
-
-            return joinToken
-        } catch (err) {
-            logger.error('Error fetching join_token:', err)
-            throw new Error(`Auth API error: ${err.message}`)
+            // The accessToken is only sent when the launcher key is registered with the account
+            accessToken = this.authUser.accessToken || null
         }
+
+        return await AuthApi.fetchJoinToken(AuthApi.getEndpoint(this.server), player, ConfigManager, { accessToken })
     }
 
     /**
@@ -660,9 +803,9 @@ class ProcessBuilder {
             args.push('-Xdock:name=HeliosLauncher')
             args.push('-Xdock:icon=' + path.join(__dirname, '..', 'images', 'minecraft.icns'))
         }
-        args.push('-Xmx' + ConfigManager.getMaxRAM(this.server.rawServer.id))
-        args.push('-Xms' + ConfigManager.getMinRAM(this.server.rawServer.id))
-        args = args.concat(ConfigManager.getJVMOptions(this.server.rawServer.id))
+        args.push('-Xmx' + this.launchConfig.maxRAM)
+        args.push('-Xms' + this.launchConfig.minRAM)
+        args = args.concat(this.launchConfig.jvmOptions)
         args.push('-Djava.library.path=' + tempNativePath)
 
         // Fyreth: Add join_token
@@ -736,9 +879,9 @@ class ProcessBuilder {
             args.push('-Xdock:name=HeliosLauncher')
             args.push('-Xdock:icon=' + path.join(__dirname, '..', 'images', 'minecraft.icns'))
         }
-        args.push('-Xmx' + ConfigManager.getMaxRAM(this.server.rawServer.id))
-        args.push('-Xms' + ConfigManager.getMinRAM(this.server.rawServer.id))
-        args = args.concat(ConfigManager.getJVMOptions(this.server.rawServer.id))
+        args.push('-Xmx' + this.launchConfig.maxRAM)
+        args.push('-Xms' + this.launchConfig.minRAM)
+        args = args.concat(this.launchConfig.jvmOptions)
 
         // Fyreth: Add join_token
         if (joinToken) {
@@ -793,7 +936,7 @@ class ProcessBuilder {
                         // We don't have many 'features' in the index at the moment.
                         // This should be fine for a while.
                         if(rule.features.has_custom_resolution != null && rule.features.has_custom_resolution === true){
-                            if(ConfigManager.getFullscreen()){
+                            if(this.launchConfig.fullscreen){
                                 args[i].value = [
                                     '--fullscreen',
                                     'true'
@@ -880,10 +1023,10 @@ class ProcessBuilder {
                             val = this.vanillaManifest.type
                             break
                         case 'resolution_width':
-                            val = ConfigManager.getGameWidth()
+                            val = this.launchConfig.resWidth
                             break
                         case 'resolution_height':
-                            val = ConfigManager.getGameHeight()
+                            val = this.launchConfig.resHeight
                             break
                         case 'natives_directory':
                             val = args[i].replace(argDiscovery, tempNativePath)
@@ -1182,14 +1325,14 @@ class ProcessBuilder {
         this._processAutoConnectArg(mcArgs)
 
         // Prepare game resolution
-        if(ConfigManager.getFullscreen()){
+        if(this.launchConfig.fullscreen){
             mcArgs.push('--fullscreen')
             mcArgs.push(true)
         } else {
             mcArgs.push('--width')
-            mcArgs.push(ConfigManager.getGameWidth())
+            mcArgs.push(this.launchConfig.resWidth)
             mcArgs.push('--height')
-            mcArgs.push(ConfigManager.getGameHeight())
+            mcArgs.push(this.launchConfig.resHeight)
         }
 
         // Mod List File Argument
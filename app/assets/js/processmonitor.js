@@ -0,0 +1,236 @@
+/**
+ * ProcessMonitor
+ *
+ * Reads the CPU and memory usage of the game process and stops it on request.
+ * Usage is read from /proc on Linux, from ps on macOS and from PowerShell on
+ * Windows.
+ *
+ * Detached launches run in their own process group on macOS and Linux, so
+ * the whole group is signalled to make sure nothing is left behind when the
+ * launcher is not its parent anymore.
+ *
+ * @module processmonitor
+ */
+// Requirements
+const child_process     = require('child_process')
+const fs                = require('fs-extra')
+const { LoggerUtil }    = require('helios-core')
+const os                = require('os')
+
+const logger = LoggerUtil.getLogger('ProcessMonitor')
+
+// Clock ticks per second used by /proc/<pid>/stat. This is 100 on every
+// Linux platform the launcher supports.
+const CLOCK_TICKS = 100
+const COMMAND_TIMEOUT = 5000
+const DEFAULT_STOP_TIMEOUT = 10000
+
+/**
+ * @typedef {Object} ProcessUsage
+ * @property {number | null} cpuTime The total CPU time used by the process, in seconds.
+ * @property {number | null} cpuPercent The CPU usage reported by the platform, as a percentage of one core.
+ * @property {number | null} rss The resident memory of the process, in bytes.
+ */
+
+/**
+ * Run a command and resolve with its output.
+ *
+ * @param {string} file The command.
+ * @param {Array.<string>} args The arguments.
+ * @returns {Promise.<string>} The standard output.
+ */
+function execFile(file, args){
+    return new Promise((resolve, reject) => {
+        child_process.execFile(file, args, { timeout: COMMAND_TIMEOUT, windowsHide: true }, (err, stdout) => {
+            if(err){
+                reject(err)
+            } else {
+                resolve(stdout)
+            }
+        })
+    })
+}
+
+/**
+ * Parse the content of /proc/<pid>/stat and /proc/<pid>/status.
+ *
+ * @param {string} stat The content of /proc/<pid>/stat.
+ * @param {string} status The content of /proc/<pid>/status.
+ * @returns {ProcessUsage} The usage of the process.
+ */
+exports.parseProcStat = function(stat, status){
+    // The command name may contain spaces, the fields start after it.
+    const fields = stat.substring(stat.lastIndexOf(')') + 2).split(' ')
+    // utime and stime are fields 14 and 15, counting from the pid.
+    const cpuTime = (Number(fields[11]) + Number(fields[12])) / CLOCK_TICKS
+    const rss = /^VmRSS:\s+(\d+) kB/m.exec(status)
+    return {
+        cpuTime: Number.isFinite(cpuTime) ? cpuTime : null,
+        cpuPercent: null,
+        rss: rss != null ? Number(rss[1]) * 1024 : null
+    }
+}
+
+/**
+ * Read the usage of a process.
+ *
+ * @param {number} pid The process id.
+ * @returns {Promise.<ProcessUsage>} The usage of the process.
+ */
+async function readUsage(pid){
+    switch(process.platform){
+        case 'linux': {
+            const [stat, status] = await Promise.all([
+                fs.readFile(`/proc/${pid}/stat`, 'utf8'),
+                fs.readFile(`/proc/${pid}/status`, 'utf8')
+            ])
+            return exports.parseProcStat(stat, status)
+        }
+        case 'win32': {
+            const out = await execFile('powershell.exe', [
+                '-NoProfile',
+                '-NonInteractive',
+                '-Command',
+                `$p = Get-Process -Id ${pid}; "$($p.CPU) $($p.WorkingSet64)"`
+            ])
+            const [cpuTime, rss] = out.trim().split(/\s+/).map(Number)
+            return {
+                cpuTime: Number.isFinite(cpuTime) ? cpuTime : null,
+                cpuPercent: null,
+                rss: Number.isFinite(rss) ? rss : null
+            }
+        }
+        default: {
+            const out = await execFile('ps', ['-o', '%cpu=,rss=', '-p', String(pid)])
+            const [cpuPercent, rss] = out.trim().split(/\s+/).map(Number)
+            return {
+                cpuTime: null,
+                cpuPercent: Number.isFinite(cpuPercent) ? cpuPercent : null,
+                rss: Number.isFinite(rss) ? rss * 1024 : null
+            }
+        }
+    }
+}
+
+/**
+ * Samples the resource usage of a running process.
+ */
+class ProcessMonitor {
+
+    /**
+     * @param {number} pid The id of the process to monitor.
+     */
+    constructor(pid){
+        this.pid = pid
+        this.cpuCount = Math.max(os.cpus().length, 1)
+        this.lastCpuTime = null
+        this.lastSampleTime = null
+    }
+
+    /**
+     * Read the current usage of the process. CPU usage is reported as a
+     * percentage of the whole machine and is only known from the second
+     * sample on some platforms.
+     *
+     * @returns {Promise.<{cpu: number | null, rss: number | null}>} The CPU usage and resident memory in bytes.
+     * Values which cannot be read are null.
+     */
+    async sample(){
+        let usage
+        try {
+            usage = await readUsage(this.pid)
+        } catch(err) {
+            logger.debug(`Unable to read the usage of process ${this.pid}.`, err)
+            return { cpu: null, rss: null }
+        }
+
+        const now = Date.now()
+        let cpu = null
+        if(usage.cpuPercent != null){
+            cpu = usage.cpuPercent / this.cpuCount
+        } else if(usage.cpuTime != null){
+            if(this.lastCpuTime != null && now > this.lastSampleTime){
+                cpu = ((usage.cpuTime - this.lastCpuTime) * 1000 / (now - this.lastSampleTime)) * 100 / this.cpuCount
+            }
+            this.lastCpuTime = usage.cpuTime
+            this.lastSampleTime = now
+        }
+
+        return {
+            cpu: cpu != null ? Math.min(Math.max(cpu, 0), 100) : null,
+            rss: usage.rss
+        }
+    }
+
+}
+
+exports.ProcessMonitor = ProcessMonitor
+
+/**
+ * Send a signal to a process. Detached processes are signalled as a group.
+ * Windows has no signals, so taskkill is used instead; it asks the process to
+ * close unless SIGKILL is requested.
+ *
+ * @param {ChildProcess} child The process.
+ * @param {string} signal SIGTERM or SIGKILL.
+ * @param {boolean} detached Whether the process was launched detached.
+ */
+function sendSignal(child, signal, detached){
+    if(process.platform === 'win32'){
+        const args = ['/pid', String(child.pid), '/T']
+        if(signal === 'SIGKILL'){
+            args.push('/F')
+        }
+        execFile('taskkill', args).catch(err => logger.warn(`taskkill failed for process ${child.pid}.`, err))
+        return
+    }
+    try {
+        // process.kill is used instead of child.kill so that child.killed is
+        // only set once the process has actually exited.
+        process.kill(detached ? -child.pid : child.pid, signal)
+    } catch(err) {
+        if(detached){
+            process.kill(child.pid, signal)
+        } else {
+            throw err
+        }
+    }
+}
+
+/**
+ * Stop a process. It is asked to exit with SIGTERM first and killed with
+ * SIGKILL if it is still running after the timeout.
+ *
+ * @param {ChildProcess} child The process.
+ * @param {boolean} detached Whether the process was launched detached.
+ * @param {number} timeout Optional. How long to wait before killing the process, in ms.
+ * @returns {Promise.<string | null>} The signal which stopped the process, or null if it was not running.
+ */
+exports.stopProcess = function(child, detached = false, timeout = DEFAULT_STOP_TIMEOUT){
+    return new Promise((resolve, reject) => {
+        if(child.exitCode != null || child.signalCode != null){
+            resolve(null)
+            return
+        }
+        let signal = 'SIGTERM'
+        const timer = setTimeout(() => {
+            logger.warn(`Process ${child.pid} did not exit after ${timeout} ms, killing it.`)
+            signal = 'SIGKILL'
+            try {
+                sendSignal(child, signal, detached)
+            } catch(err) {
+                logger.error(`Failed to kill process ${child.pid}.`, err)
+            }
+        }, timeout)
+        child.once('exit', () => {
+            clearTimeout(timer)
+            resolve(signal)
+        })
+        try {
+            sendSignal(child, signal, detached)
+        } catch(err) {
+            clearTimeout(timer)
+            reject(err)
+        }
+    })
+}
@@ -0,0 +1,248 @@
+/**
+ * Script for console.ejs
+ */
+// Requirements
+const GameConsole = require('./assets/js/gameconsole')
+const Diagnostics = require('./assets/js/diagnostics')
+
+// DOM Cache
+const consoleOutput        = document.getElementById('consoleOutput')
+const consoleStatus        = document.getElementById('consoleStatus')
+const consoleInstanceSelect = document.getElementById('consoleInstanceSelect')
+const consoleFilterInput   = document.getElementById('consoleFilterInput')
+const consoleFilterRegex   = document.getElementById('consoleFilterRegex')
+const consoleLevelSelect   = document.getElementById('consoleLevelSelect')
+const consoleAutoscroll    = document.getElementById('consoleAutoscroll')
+const consolePauseButton   = document.getElementById('consolePauseButton')
+const consoleExportButton  = document.getElementById('consoleExportButton')
+
+// The console session of each game instance, keyed by instance.
+const gameConsoleSessions = new Map()
+// The session which is displayed.
+let gameConsoleSession = null
+let consolePaused = false
+let consolePendingLines = 0
+let consoleFilter = GameConsole.createFilter('')
+let consoleStatusMessage = null
+
+/**
+ * Check whether a line passes the level and text filters.
+ *
+ * @param {Object} line The console line.
+ * @returns {boolean} True if the line should be displayed.
+ */
+function isConsoleLineVisible(line){
+    return GameConsole.compareLevels(line.level, consoleLevelSelect.value) >= 0 && consoleFilter(line.text)
+}
+
+/**
+ * Create the element which displays a console line.
+ *
+ * @param {Object} line The console line.
+ * @returns {HTMLElement} The element.
+ */
+function createConsoleLineElement(line){
+    const el = document.createElement('div')
+    el.className = 'consoleLine'
+    el.setAttribute('level', line.level)
+    el.textContent = line.text
+    return el
+}
+
+/**
+ * Scroll to the newest line if autoscroll is enabled.
+ */
+function scrollConsoleToBottom(){
+    if(consoleAutoscroll.checked){
+        consoleOutput.scrollTop = consoleOutput.scrollHeight
+    }
+}
+
+/**
+ * Display the state of the console session.
+ */
+function updateConsoleStatus(){
+    if(consoleStatusMessage != null){
+        consoleStatus.textContent = consoleStatusMessage
+    } else if(gameConsoleSession == null){
+        consoleStatus.textContent = Lang.queryJS('console.noSession')
+    } else if(consolePaused){
+        consoleStatus.textContent = Lang.queryJS('console.paused', { count: consolePendingLines })
+    } else {
+        consoleStatus.textContent = Lang.queryJS(gameConsoleSession.running ? 'console.running' : 'console.stopped', { count: gameConsoleSession.lines.length })
+    }
+}
+
+/**
+ * Redraw every line of the session which passes the filters.
+ */
+function renderConsole(){
+    const fragment = document.createDocumentFragment()
+    if(gameConsoleSession != null){
+        for(const line of gameConsoleSession.lines){
+            if(isConsoleLineVisible(line)){
+                fragment.appendChild(createConsoleLineElement(line))
+            }
+        }
+    }
+    consoleOutput.innerHTML = ''
+    consoleOutput.appendChild(fragment)
+    consolePendingLines = 0
+    updateConsoleStatus()
+    scrollConsoleToBottom()
+}
+
+/**
+ * Display a new line of the session.
+ *
+ * @param {Object} line The console line.
+ */
+function appendConsoleLine(line){
+    if(consolePaused){
+        consolePendingLines++
+    } else if(isConsoleLineVisible(line)){
+        consoleOutput.appendChild(createConsoleLineElement(line))
+        while(consoleOutput.childElementCount > gameConsoleSession.maxLines){
+            consoleOutput.removeChild(consoleOutput.firstChild)
+        }
+        scrollConsoleToBottom()
+    }
+    updateConsoleStatus()
+}
+
+/**
+ * List the console session of each instance in the instance select.
+ */
+function updateConsoleInstanceSelect(){
+    consoleInstanceSelect.innerHTML = ''
+    for(const [key, entry] of gameConsoleSessions){
+        const option = document.createElement('option')
+        option.value = key
+        option.textContent = entry.session.running ? entry.label : Lang.queryJS('console.instanceStopped', { label: entry.label })
+        option.selected = entry.session === gameConsoleSession
+        consoleInstanceSelect.appendChild(option)
+    }
+    consoleInstanceSelect.disabled = gameConsoleSessions.size < 2
+}
+
+/**
+ * Display the console session of an instance.
+ *
+ * @param {string} key The key of the instance.
+ */
+function showGameConsoleSession(key){
+    const entry = gameConsoleSessions.get(key)
+    if(entry == null){
+        return
+    }
+    gameConsoleSession = entry.session
+    consoleStatusMessage = null
+    updateConsoleInstanceSelect()
+    renderConsole()
+}
+
+/**
+ * Start showing the output of a new game process. The previous session of
+ * the same instance is discarded, sessions of other instances are kept.
+ *
+ * @param {ChildProcess} child The game process.
+ * @param {Array.<string>} secrets Secret values to redact from the output.
+ * @param {string} key The key of the game instance.
+ * @param {string} label The name of the instance shown in the instance select.
+ * @returns {GameConsoleSession} The new session.
+ */
+function startGameConsoleSession(child, secrets, key, label){
+    const previous = gameConsoleSessions.get(key)
+    if(previous != null){
+        previous.session.removeAllListeners()
+        // Keep the new session at the end of the list.
+        gameConsoleSessions.delete(key)
+    }
+    const session = new GameConsole.GameConsoleSession(secrets)
+    session.on('line', line => {
+        if(session === gameConsoleSession){
+            appendConsoleLine(line)
+        }
+    })
+    session.on('close', () => {
+        updateConsoleInstanceSelect()
+        if(session === gameConsoleSession){
+            updateConsoleStatus()
+        }
+    })
+    session.attach(child)
+    gameConsoleSessions.set(key, { label, session })
+    showGameConsoleSession(key)
+    return session
+}
+
+/**
+ * Apply the text filter. Invalid regular expressions are flagged on the input.
+ */
+function applyConsoleFilter(){
+    try {
+        consoleFilter = GameConsole.createFilter(consoleFilterInput.value, consoleFilterRegex.checked)
+        consoleFilterInput.removeAttribute('invalid')
+        consoleFilterInput.title = ''
+    } catch (err) {
+        consoleFilterInput.setAttribute('invalid', '')
+        consoleFilterInput.title = Lang.queryJS('console.invalidRegex')
+        return
+    }
+    renderConsole()
+}
+
+consoleInstanceSelect.addEventListener('change', () => showGameConsoleSession(consoleInstanceSelect.value))
+consoleFilterInput.addEventListener('input', applyConsoleFilter)
+consoleFilterRegex.addEventListener('change', applyConsoleFilter)
+consoleLevelSelect.addEventListener('change', renderConsole)
+
+consoleAutoscroll.addEventListener('change', scrollConsoleToBottom)
+
+consolePauseButton.onclick = () => {
+    consolePaused = !consolePaused
+    consolePauseButton.innerHTML = Lang.queryJS(consolePaused ? 'console.resume' : 'console.pause')
+    if(consolePaused){
+        updateConsoleStatus()
+    } else {
+        renderConsole()
+    }
+}
+
+consoleExportButton.onclick = async () => {
+    if(gameConsoleSession == null){
+        return
+    }
+    const res = await remote.dialog.showSaveDialog(remote.getCurrentWindow(), {
+        title: Lang.queryJS('console.exportDialogTitle'),
+        defaultPath: `game-${new Date(gameConsoleSession.startTime).toISOString().replace(/[:.]/g, '-')}.log`,
+        filters: [{ name: Lang.queryJS('console.exportFilterName'), extensions: ['log', 'txt'] }]
+    })
+    if(res.canceled || res.filePath == null){
+        return
+    }
+    try {
+        await gameConsoleSession.export(res.filePath)
+        consoleStatusMessage = Lang.queryJS('console.exported', { file: res.filePath })
+    } catch (err) {
+        consoleStatusMessage = Lang.queryJS('console.exportFailed', { error: err.message })
+    }
+    updateConsoleStatus()
+    setTimeout(() => {
+        consoleStatusMessage = null
+        updateConsoleStatus()
+    }, 5000)
+}
+
+document.getElementById('consoleDiagnoseButton').onclick = () => {
+    if(gameConsoleSession != null){
+        showDiagnostics(Diagnostics.diagnose(gameConsoleSession.getOutput()))
+    }
+}
+
+document.getElementById('consoleBackButton').onclick = () => {
+    switchView(getCurrentView(), VIEWS.landing)
+}
+
+updateConsoleInstanceSelect()
+updateConsoleStatus()
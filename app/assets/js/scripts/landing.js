@@ -4,8 +4,7 @@
 // Requirements
 const { URL }                 = require('url')
 const {
-    MojangRestAPI,
-    getServerStatus
+    MojangRestAPI
 }                             = require('helios-core/mojang')
 const {
     RestResponseStatus,
@@ -24,6 +23,16 @@ const {
     latestOpenJDK,
     extractJdk
 }                             = require('helios-core/java')
+const ServerStatus            = require('./assets/js/serverstatus')
+const SrvResolver             = require('./assets/js/srvresolver')
+const MotdFormatter           = require('./assets/js/motdformatter')
+const ServerHistory           = require('./assets/js/serverhistory')
+const Playtime                = require('./assets/js/playtime')
+const CrashReport             = require('./assets/js/crashreport')
+const Diagnostics             = require('./assets/js/diagnostics')
+const ProcessMonitor          = require('./assets/js/processmonitor')
+const GameInstances           = require('./assets/js/gameinstances')
+const AuthApi                 = require('./assets/js/authapi')
 // Note: validateSelectedJvm and ensureJavaDirIsRoot are already exported in uibinder.js
 // They are available via window.validateSelectedJvm and window.ensureJavaDirIsRoot
 
@@ -55,6 +64,7 @@ const getAuthManager = () => require('./assets/js/authmanager')
 // Note: DistroAPI is loaded in uibinder.js and used directly in this file
 // Access it through require() when needed to avoid conflicts
 const getDistroAPI = () => require('./assets/js/distromanager').DistroAPI
+const { DistributionSignatureError } = require('./assets/js/distromanager')
 
 // Launch Elements
 const launch_content          = document.getElementById('launch_content')
@@ -63,7 +73,21 @@ const launch_progress         = document.getElementById('launch_progress')
 const launch_progress_label   = document.getElementById('launch_progress_label')
 const launch_details_text     = document.getElementById('launch_details_text')
 const server_selection_button = document.getElementById('server_selection_button')
+const launch_profile_select   = document.getElementById('launch_profile_select')
 const user_text               = document.getElementById('user_text')
+const game_panel              = document.getElementById('game_panel')
+const game_panel_stats        = document.getElementById('game_panel_stats')
+const game_stop_button        = document.getElementById('game_stop_button')
+const game_restart_button     = document.getElementById('game_restart_button')
+const game_servers_button     = document.getElementById('game_servers_button')
+
+const GAME_PANEL_INTERVAL = 1000
+
+// Whether a launch is being prepared, its progress is shown meanwhile.
+let launchLoading = false
+// The running instance shown in the game panel.
+let panelInstance = null
+let gamePanelInterval = null
 
 const loggerLanding = LoggerUtil.getLogger('Landing')
 
@@ -75,9 +99,11 @@ const loggerLanding = LoggerUtil.getLogger('Landing')
  * @param {boolean} loading True if the loading area should be shown, otherwise false.
  */
 function toggleLaunchArea(loading){
+    launchLoading = loading
     if(loading){
         launch_details.style.display = 'flex'
         launch_content.style.display = 'none'
+        game_panel.style.display = 'none'
         // Show progress bar and percentage when loading
         if(launch_progress) {
             launch_progress.style.display = 'block'
@@ -86,15 +112,38 @@ function toggleLaunchArea(loading){
             launch_progress_label.style.display = 'block'
         }
     } else {
+        refreshLaunchArea()
+    }
+}
+
+/**
+ * Show the launch button, or the panel of the selected instance if the
+ * selected server is already running with the selected account. Nothing
+ * changes while a launch is being prepared.
+ */
+function refreshLaunchArea(){
+    if(launchLoading){
+        return
+    }
+    const instance = getSelectedInstance()
+    if(instance == null){
+        hideGamePanel()
         launch_details.style.display = 'none'
-        // Only show launch button if game is not running
-        if(!isGameRunning()){
-            launch_content.style.display = 'inline-flex'
-        } else {
-            // Keep button hidden if game is running
-            launch_content.style.display = 'none'
-        }
+        launch_content.style.display = 'inline-flex'
+        setLaunchEnabled(ConfigManager.getSelectedServer() != null)
+        return
+    }
+    launch_content.style.display = 'none'
+    launch_details.style.display = 'flex'
+    // Hide progress bar and percentage when game is running
+    launch_progress.style.display = 'none'
+    launch_progress_label.style.display = 'none'
+    if(instance.stopRequested){
+        setLaunchDetails(Lang.queryJS(instance.restartRequested ? 'landing.gamePanel.restarting' : 'landing.gamePanel.stopping'))
+    } else {
+        setLaunchDetails(Lang.queryJS('landing.launch.running'))
     }
+    showGamePanel(instance)
 }
 
 /**
@@ -154,43 +203,72 @@ function setLaunchEnabled(val){
 }
 
 /**
- * Check if game is currently running.
- * @returns {boolean} True if game process is active, false otherwise.
+ * Get the key of the instance of the selected server and account.
+ *
+ * @returns {string | null} The key, or null if no server or account is selected.
  */
-function isGameRunning(){
-    if(proc == null) return false
-    try {
-        // Check if process is still running
-        // exitCode is null while process is running, and set to a number when it exits
-        // killed is true if process was killed, false otherwise
-        // Also check if process has been spawned (stdout/stderr exist)
-        const isRunning = proc.exitCode == null && !proc.killed && proc.stdout != null
-        return isRunning
-    } catch(err) {
-        // If we can't check the process, assume it's not running
-        return false
+function getSelectedInstanceKey(){
+    const authUser = ConfigManager.getSelectedAccount()
+    const serverId = ConfigManager.getSelectedServer()
+    if(authUser == null || serverId == null){
+        return null
     }
+    return GameInstances.getKey(serverId, authUser.uuid)
 }
 
-// Bind launch button
-document.getElementById('launch_button').addEventListener('click', async e => {
-    // Prevent launching if game is already running
-    if(isGameRunning()){
-        loggerLanding.warn('Game is already running, ignoring launch request.')
-        e.preventDefault()
-        e.stopPropagation()
-        return false
+/**
+ * Get the running instance of the selected server and account.
+ *
+ * @returns {Object | null} The instance, or null if it is not running.
+ */
+function getSelectedInstance(){
+    const key = getSelectedInstanceKey()
+    return key != null ? GameInstances.get(key) : null
+}
+
+/**
+ * Check if game is currently running for the selected server and account.
+ * Other servers and accounts can still be launched meanwhile.
+ *
+ * @returns {boolean} True if the selected instance is running, false otherwise.
+ */
+function isGameRunning(){
+    return getSelectedInstance() != null
+}
+
+/**
+ * Show that a launch is blocked because its instance directory is in use.
+ *
+ * @param {Object} instance The running instance which uses the directory.
+ */
+function showInstanceInUse(instance){
+    showLaunchFailure(
+        Lang.queryJS('landing.instances.inUseTitle'),
+        Lang.queryJS('landing.instances.inUseText', { account: escapeHtml(instance.displayName) })
+    )
+}
+
+/**
+ * Launch the selected server with the selected account, unless its instance
+ * directory is in use. The Java executable is validated first, or searched
+ * for if it is missing. Used by the launch button and to restart the game.
+ */
+async function launchSelected(){
+    // The instance directory may be used by the same server with another account.
+    const selectedServer = ConfigManager.getSelectedServer()
+    const selectedAccount = ConfigManager.getSelectedAccount()
+    const conflict = selectedAccount != null
+        ? GameInstances.getConflict(selectedServer, selectedAccount.uuid, ProcessBuilder.getGameDirectory(selectedServer))
+        : null
+    if(conflict != null){
+        showInstanceInUse(conflict)
+        return
     }
     
     loggerLanding.info('Launching game..')
     // Disable and hide button immediately when clicked - BEFORE any async operations
     setLaunchEnabled(false)
-    if(launch_content) {
-        launch_content.style.display = 'none'
-    }
-    if(launch_details) {
-        launch_details.style.display = 'flex'
-    }
+    toggleLaunchArea(true)
     
     try {
         const server = (await DistroAPI.getDistribution()).getServerById(ConfigManager.getSelectedServer())
@@ -203,7 +281,10 @@ document.getElementById('launch_button').addEventListener('click', async e => {
             toggleLaunchArea(true)
             setLaunchPercentage(0, 100)
 
-            const details = await window.validateSelectedJvm(window.ensureJavaDirIsRoot(jExe), server.effectiveJavaOptions.supported)
+            let details = await window.validateSelectedJvm(window.ensureJavaDirIsRoot(jExe), server.effectiveJavaOptions.supported)
+            if(details == null && ConfigManager.getJavaRuntimeMajor(server.rawServer.id) != null){
+                details = await rebindJavaRuntimes(server)
+            }
             if(details != null){
                 loggerLanding.info('Jvm Details', details)
                 await dlAsync()
@@ -219,6 +300,18 @@ document.getElementById('launch_button').addEventListener('click', async e => {
         setLaunchEnabled(true)
         toggleLaunchArea(false)
     }
+}
+
+// Bind launch button
+document.getElementById('launch_button').addEventListener('click', async e => {
+    // Prevent launching if game is already running
+    if(isGameRunning() || launchLoading){
+        loggerLanding.warn('Game is already running, ignoring launch request.')
+        e.preventDefault()
+        e.stopPropagation()
+        return false
+    }
+    await launchSelected()
 })
 
 // Bind settings button
@@ -227,6 +320,11 @@ document.getElementById('settingsMediaButton').onclick = async e => {
     switchView(getCurrentView(), VIEWS.settings)
 }
 
+// Bind game console button.
+document.getElementById('consoleMediaButton').onclick = e => {
+    switchView(getCurrentView(), VIEWS.console)
+}
+
 // Bind avatar overlay button.
 document.getElementById('avatarOverlay').onclick = async e => {
     // prepareSettings may not be loaded yet, check if available
@@ -268,6 +366,8 @@ function updateSelectedAccount(authUser){
         }
     }
     user_text.innerHTML = username
+    // Another account may have a running instance of the selected server.
+    refreshLaunchArea()
 }
 updateSelectedAccount(ConfigManager.getSelectedAccount())
 
@@ -286,15 +386,120 @@ function updateSelectedServer(serv){
     }
     ConfigManager.setSelectedServer(serv != null ? serv.rawServer.id : null)
     ConfigManager.save()
-    const buttonText = serv != null ? serv.rawServer.name : Lang.queryJS('landing.noSelection')
+    const buttonText = serv != null ? escapeHtml(serv.rawServer.name) : Lang.queryJS('landing.noSelection')
     server_selection_button.innerHTML = '&#8226; ' + buttonText
     loggerLanding.debug('Updated server selection button text:', buttonText)
     if(getCurrentView() === VIEWS.settings){
         animateSettingsTabRefresh()
     }
-    // Only enable button if server is selected AND game is not running
-    setLaunchEnabled(serv != null && !isGameRunning())
+    // Show the launch button, or the panel if this server is running with the selected account
+    refreshLaunchArea()
     checkAndShowShopButton(serv)
+    populateLaunchProfiles()
+}
+
+const LAUNCH_PROFILE_SAVE = '__save'
+const LAUNCH_PROFILE_DELETE = '__delete'
+
+/**
+ * Populate the launch profile select with the profiles of the selected server.
+ */
+function populateLaunchProfiles(){
+    const serverId = ConfigManager.getSelectedServer()
+    if(serverId == null){
+        launch_profile_select.style.display = 'none'
+        return
+    }
+    launch_profile_select.style.display = ''
+    const selected = ConfigManager.getSelectedLaunchProfile(serverId)
+    let htmlString = `<option value="">${Lang.queryJS('landing.launchProfile.default')}</option>`
+    for(const profile of ConfigManager.getLaunchProfiles(serverId)){
+        htmlString += `<option value="${profile.id}">${escapeHtml(profile.name)}</option>`
+    }
+    htmlString += `<option value="${LAUNCH_PROFILE_SAVE}">${Lang.queryJS('landing.launchProfile.saveCurrent')}</option>`
+    if(selected != null){
+        htmlString += `<option value="${LAUNCH_PROFILE_DELETE}">${Lang.queryJS('landing.launchProfile.deleteSelected')}</option>`
+    }
+    launch_profile_select.innerHTML = htmlString
+    launch_profile_select.value = selected != null ? selected.id : ''
+}
+
+/**
+ * Show an overlay prompting for a profile name, then save the current
+ * settings of the selected server under that name.
+ */
+function promptSaveLaunchProfile(){
+    const serverId = ConfigManager.getSelectedServer()
+    const selected = ConfigManager.getSelectedLaunchProfile(serverId)
+    setOverlayContent(
+        Lang.queryJS('landing.launchProfile.saveTitle'),
+        `${Lang.queryJS('landing.launchProfile.saveDesc')}<br><input id="launchProfileNameInput" type="text" maxlength="32" placeholder="${Lang.queryJS('landing.launchProfile.namePlaceholder')}">`,
+        Lang.queryJS('landing.launchProfile.saveButton'),
+        Lang.queryJS('landing.launchProfile.cancelButton')
+    )
+    setOverlayHandler(() => {
+        const name = document.getElementById('launchProfileNameInput').value.trim()
+        if(name.length === 0){
+            return
+        }
+        const shaderpack = DropinModUtil.getEnabledShaderpack(path.join(ConfigManager.getInstanceDirectory(), serverId))
+        const profile = ConfigManager.saveLaunchProfile(serverId, name, shaderpack)
+        ConfigManager.setSelectedLaunchProfile(serverId, profile.id)
+        ConfigManager.save()
+        populateLaunchProfiles()
+        toggleOverlay(false)
+    })
+    setDismissHandler(() => {
+        populateLaunchProfiles()
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+    const input = document.getElementById('launchProfileNameInput')
+    input.value = selected != null ? selected.name : ''
+    input.focus()
+}
+
+/**
+ * Show an overlay confirming the deletion of the selected launch profile.
+ */
+function promptDeleteLaunchProfile(){
+    const serverId = ConfigManager.getSelectedServer()
+    const selected = ConfigManager.getSelectedLaunchProfile(serverId)
+    if(selected == null){
+        populateLaunchProfiles()
+        return
+    }
+    setOverlayContent(
+        Lang.queryJS('landing.launchProfile.deleteTitle'),
+        Lang.queryJS('landing.launchProfile.deleteDesc', { name: escapeHtml(selected.name) }),
+        Lang.queryJS('landing.launchProfile.deleteButton'),
+        Lang.queryJS('landing.launchProfile.cancelButton')
+    )
+    setOverlayHandler(() => {
+        ConfigManager.removeLaunchProfile(serverId, selected.id)
+        ConfigManager.save()
+        populateLaunchProfiles()
+        toggleOverlay(false)
+    })
+    setDismissHandler(() => {
+        populateLaunchProfiles()
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+}
+
+launch_profile_select.onchange = () => {
+    const value = launch_profile_select.value
+    launch_profile_select.blur()
+    if(value === LAUNCH_PROFILE_SAVE){
+        promptSaveLaunchProfile()
+    } else if(value === LAUNCH_PROFILE_DELETE){
+        promptDeleteLaunchProfile()
+    } else {
+        ConfigManager.setSelectedLaunchProfile(ConfigManager.getSelectedServer(), value || null)
+        ConfigManager.save()
+        populateLaunchProfiles()
+    }
 }
 
 /**
@@ -473,6 +678,76 @@ function serverStatusToHex(status) {
     return statusToHex(status)
 }
 
+/**
+ * Update the server status tooltip. The tooltip is hidden if there is no MOTD.
+ *
+ * @param {string} motd The formatted MOTD HTML, or null if the server is offline.
+ * @param {string} version The version reported by the server.
+ */
+function updateServerStatusTooltip(motd, version){
+    const tooltip = document.getElementById('serverStatusTooltip')
+    if(!tooltip) return
+    if(motd == null || motd.length === 0){
+        tooltip.style.display = 'none'
+        return
+    }
+    document.getElementById('serverStatusTooltipMotd').innerHTML = motd
+    document.getElementById('serverStatusTooltipVersion').textContent = version || ''
+    tooltip.style.display = ''
+    updateObfuscatedMotdAnimation()
+}
+
+const OBFUSCATED_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+
+// Interval animating obfuscated MOTD text, only set while some is visible.
+let motdObfuscatedListener = null
+
+/**
+ * Get the obfuscated MOTD text which is currently visible.
+ *
+ * @returns {Array.<HTMLElement>} The visible obfuscated elements.
+ */
+function getVisibleObfuscatedMotds(){
+    return Array.from(document.getElementsByClassName('motdObfuscated'))
+        .filter(el => el.checkVisibility({ visibilityProperty: true }))
+}
+
+/**
+ * Scramble all visible obfuscated MOTD text, mimicking the vanilla client.
+ * The animation stops once none is visible.
+ */
+function scrambleObfuscatedMotds(){
+    const elements = getVisibleObfuscatedMotds()
+    if(elements.length === 0){
+        updateObfuscatedMotdAnimation()
+        return
+    }
+    for(const el of elements){
+        let text = ''
+        for(const c of el.textContent){
+            text += c === ' ' ? c : OBFUSCATED_CHARS[Math.floor(Math.random() * OBFUSCATED_CHARS.length)]
+        }
+        el.textContent = text
+    }
+}
+
+/**
+ * Start animating obfuscated MOTD text if any is visible, otherwise stop.
+ * Called whenever a MOTD is shown or hidden.
+ */
+function updateObfuscatedMotdAnimation(){
+    const visible = getVisibleObfuscatedMotds().length > 0
+    if(visible && motdObfuscatedListener == null){
+        motdObfuscatedListener = setInterval(scrambleObfuscatedMotds, 100)
+    } else if(!visible && motdObfuscatedListener != null){
+        clearInterval(motdObfuscatedListener)
+        motdObfuscatedListener = null
+    }
+}
+
+// The tooltip, and its MOTD, is only visible while hovered.
+document.getElementById('server_status_wrapper').addEventListener('mouseenter', updateObfuscatedMotdAnimation)
+
 const refreshServerStatus = async (fade = false) => {
     loggerLanding.info('Refreshing Server Status')
     const serv = (await DistroAPI.getDistribution()).getServerById(ConfigManager.getSelectedServer())
@@ -480,12 +755,17 @@ const refreshServerStatus = async (fade = false) => {
     let pLabel = Lang.queryJS('landing.serverStatus.server')
     let pVal = Lang.queryJS('landing.serverStatus.offline')
     let serverStatus = 'offline'
+    let motd = null
+    let version = null
 
     try {
-        const servStat = await getServerStatus(47, serv.hostname, serv.port)
+        const { hostname, port } = await SrvResolver.resolveServer(serv)
+        const servStat = await ServerStatus.getStatus(hostname, port)
         pLabel = Lang.queryJS('landing.serverStatus.players')
-        pVal = servStat.players.online + '/' + servStat.players.max
+        pVal = servStat.onlinePlayers + '/' + servStat.maxPlayers
         serverStatus = 'online'
+        motd = MotdFormatter.toHtml(servStat.description)
+        version = servStat.version
     } catch (err) {
         loggerLanding.warn('Unable to refresh server status, assuming offline.')
         loggerLanding.debug(err)
@@ -503,6 +783,7 @@ const refreshServerStatus = async (fade = false) => {
             if (serverStatusIcon) {
                 serverStatusIcon.style.color = statusColor
             }
+            updateServerStatusTooltip(motd, version)
             $('#server_status_wrapper').fadeIn(500)
         })
     } else {
@@ -511,8 +792,41 @@ const refreshServerStatus = async (fade = false) => {
         if (serverStatusIcon) {
             serverStatusIcon.style.color = statusColor
         }
+        updateServerStatusTooltip(motd, version)
+    }
+
+}
+
+/**
+ * Ping a server from the distribution, resolving its SRV record first.
+ *
+ * @param {HeliosServer} serv The server to ping.
+ * @returns {Promise.<Object | null>} The server status, or null if the server is offline.
+ */
+async function pingServer(serv){
+    try {
+        const { hostname, port } = await SrvResolver.resolveServer(serv)
+        const status = await ServerStatus.getStatus(hostname, port)
+        return status.online ? status : null
+    } catch (err) {
+        loggerLanding.debug(`Unable to ping server ${serv.rawServer.id}.`, err)
+        return null
     }
+}
 
+/**
+ * Ping every server in the distribution in parallel and record
+ * the player counts in the server history.
+ */
+async function sampleServerStatuses(){
+    const servers = (await DistroAPI.getDistribution()).servers
+    const statuses = await Promise.all(servers.map(pingServer))
+    const now = Date.now()
+    servers.forEach((serv, i) => {
+        const status = statuses[i]
+        ServerHistory.addSample(serv.rawServer.id, status ? status.onlinePlayers : null, status ? status.maxPlayers : null, now)
+    })
+    ServerHistory.save()
 }
 
 // Assign to window after function is defined
@@ -526,7 +840,10 @@ refreshMojangStatuses()
 // Refresh statuses every hour. The status page itself refreshes every day so...
 let mojangStatusListener = setInterval(() => refreshMojangStatuses(true), 60*60*1000)
 // Set refresh rate to once every 5 minutes.
-let serverStatusListener = setInterval(() => refreshServerStatus(true), 300000)
+let serverStatusListener = setInterval(() => {
+    refreshServerStatus(true)
+    sampleServerStatuses()
+}, 300000)
 
 /**
  * Shows an error overlay, toggles off the launch area.
@@ -545,8 +862,65 @@ function showLaunchFailure(title, desc){
     toggleLaunchArea(false)
 }
 
+/**
+ * Show why the Auth API did not issue a join token. Handshake, issue and
+ * network failures have their own message.
+ *
+ * @param {AuthApiError} err The error.
+ */
+function showAuthApiFailure(err){
+    showLaunchFailure(
+        Lang.queryJS(`landing.authApi.${err.stage}Title`),
+        Lang.queryJS(`landing.authApi.${err.stage}Text`, { error: escapeHtml(err.message) })
+    )
+}
+
+/**
+ * Show that the launcher key cannot be decrypted. A locked passphrase is
+ * asked for, otherwise the key can be replaced by a new one which is
+ * registered with each account again the next time it joins.
+ */
+function showLauncherKeyLocked(){
+    toggleLaunchArea(false)
+    if(ConfigManager.isTokenVaultLocked()){
+        promptTokenVaultUnlock(() => {})
+        return
+    }
+    setOverlayContent(
+        Lang.queryJS('landing.launcherKey.lockedTitle'),
+        Lang.queryJS('landing.launcherKey.lockedText'),
+        Lang.queryJS('landing.launcherKey.resetButton'),
+        Lang.queryJS('landing.launcherKey.cancelButton')
+    )
+    setOverlayHandler(() => {
+        ConfigManager.resetLauncherKeyPair()
+        ConfigManager.save()
+        toggleOverlay(false)
+    })
+    setDismissHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+}
+
 /* System (Java) Scan */
 
+/**
+ * Point the servers bound to a Java version at an installed runtime of that
+ * version, for example after the runtime they used was removed.
+ *
+ * @param {Object} server The selected server.
+ * @returns {Promise.<Object | null>} The details of the new runtime of the selected server, or null if it has none.
+ */
+async function rebindJavaRuntimes(server){
+    if(JavaRuntimes.applyBindings(await JavaRuntimes.discover()).length === 0){
+        return null
+    }
+    ConfigManager.save()
+    const jExe = ConfigManager.getJavaExecutable(server.rawServer.id)
+    return await window.validateSelectedJvm(window.ensureJavaDirIsRoot(jExe), server.effectiveJavaOptions.supported)
+}
+
 /**
  * Asynchronously scan the system for valid Java installations.
  *
@@ -689,22 +1063,149 @@ async function downloadJava(effectiveJavaOptions, launchAfter = true) {
 
 }
 
-// Keep reference to Minecraft Process
-let proc
-// Is DiscordRPC enabled
-let hasRPC = false
 // Joined server regex
 // Change this if your server uses something different.
 const GAME_JOINED_REGEX = /\[.+\]: Sound engine started/
 const GAME_LAUNCH_REGEX = /^\[.+\]: (?:MinecraftForge .+ Initialized|ModLauncher .+ starting: .+|Loading Minecraft .+ with Fabric Loader .+)$/
 const MIN_LINGER = 5000
 
+/* Running Game Panel */
+
+/**
+ * Format a duration as h:mm:ss.
+ *
+ * @param {number} ms The duration in ms.
+ * @returns {string} The formatted duration.
+ */
+function formatElapsed(ms){
+    const total = Math.max(Math.floor(ms / 1000), 0)
+    const minutes = String(Math.floor(total / 60) % 60).padStart(2, '0')
+    const seconds = String(total % 60).padStart(2, '0')
+    return `${Math.floor(total / 3600)}:${minutes}:${seconds}`
+}
+
+/**
+ * Format an amount of memory in MB, or GB above 1 GB.
+ *
+ * @param {number} bytes The amount of memory in bytes.
+ * @returns {string} The formatted amount.
+ */
+function formatMemory(bytes){
+    if(bytes >= 1024 ** 3){
+        return (bytes / 1024 ** 3).toFixed(1) + ' GB'
+    }
+    return Math.round(bytes / 1024 ** 2) + ' MB'
+}
+
+/**
+ * Display the elapsed time and the last resource usage of the instance shown
+ * in the panel, and sample the usage again unless a sample is still being read.
+ */
+function updateGamePanel(){
+    const instance = panelInstance
+    if(instance == null){
+        return
+    }
+    const unavailable = Lang.queryJS('landing.gamePanel.unavailable')
+    game_panel_stats.innerHTML = Lang.queryJS('landing.gamePanel.stats', {
+        elapsed: formatElapsed(Date.now() - instance.startTime),
+        cpu: instance.usage.cpu != null ? instance.usage.cpu.toFixed(0) + '%' : unavailable,
+        memory: instance.usage.rss != null ? formatMemory(instance.usage.rss) : unavailable
+    })
+
+    if(!instance.sampling){
+        instance.sampling = true
+        instance.monitor.sample().then(usage => {
+            instance.usage = usage
+        }).finally(() => {
+            instance.sampling = false
+        })
+    }
+}
+
+/**
+ * Show the panel of a running instance.
+ *
+ * @param {Object} instance The game instance.
+ */
+function showGamePanel(instance){
+    if(panelInstance !== instance){
+        panelInstance = instance
+        game_stop_button.disabled = instance.stopRequested
+        game_restart_button.disabled = instance.stopRequested
+        updateGamePanel()
+    }
+    game_panel.style.display = 'flex'
+    if(gamePanelInterval == null){
+        gamePanelInterval = setInterval(updateGamePanel, GAME_PANEL_INTERVAL)
+    }
+}
+
+/**
+ * Hide the panel when the selected instance is not running.
+ */
+function hideGamePanel(){
+    clearInterval(gamePanelInterval)
+    gamePanelInterval = null
+    panelInstance = null
+    game_panel.style.display = 'none'
+}
+
+/**
+ * Stop the instance shown in the panel. It is asked to exit first and killed
+ * if it does not exit in time. The game is launched again once it has closed
+ * if a restart is requested.
+ *
+ * @param {boolean} restart Whether to launch the game again.
+ */
+async function stopGame(restart){
+    const instance = panelInstance
+    if(instance == null || instance.stopRequested){
+        return
+    }
+    loggerLanding.info(`${restart ? 'Restarting' : 'Stopping'} instance ${instance.key}..`)
+    instance.stopRequested = true
+    instance.restartRequested = restart
+    game_stop_button.disabled = true
+    game_restart_button.disabled = true
+    setLaunchDetails(Lang.queryJS(restart ? 'landing.gamePanel.restarting' : 'landing.gamePanel.stopping'))
+    try {
+        const signal = await ProcessMonitor.stopProcess(instance.proc, instance.detached)
+        loggerLanding.info(`Instance ${instance.key} stopped with ${signal}.`)
+    } catch(err) {
+        loggerLanding.error(`Failed to stop instance ${instance.key}.`, err)
+        instance.stopRequested = false
+        instance.restartRequested = false
+        if(panelInstance === instance){
+            game_stop_button.disabled = false
+            game_restart_button.disabled = false
+            setLaunchDetails(Lang.queryJS('landing.launch.running'))
+        }
+        setOverlayContent(
+            Lang.queryJS('landing.gamePanel.stopFailedTitle'),
+            Lang.queryJS('landing.gamePanel.stopFailedText', { error: escapeHtml(err.message) }),
+            Lang.queryJS('landing.launch.okay')
+        )
+        setOverlayHandler(null)
+        toggleOverlay(true)
+    }
+}
+
+game_stop_button.onclick = () => stopGame(false)
+game_restart_button.onclick = () => stopGame(true)
+game_servers_button.onclick = async e => {
+    e.target.blur()
+    await toggleServerSelection(true)
+}
+
 async function dlAsync(login = true) {
 
     // Login parameter is temporary for debug purposes. Allows testing the validation/downloads without
     // launching the game.
 
     const loggerLaunchSuite = LoggerUtil.getLogger('LaunchSuite')
+    const sessionLog = await SessionLog.startSession()
+    sessionLog.event('launch', { launcherVersion: remote.app.getVersion(), server: ConfigManager.getSelectedServer() })
 
     setLaunchDetails(Lang.queryJS('landing.dlAsync.loadingServerInfo'))
 
@@ -713,9 +1214,14 @@ async function dlAsync(login = true) {
     try {
         distro = await DistroAPI.refreshDistributionOrFallback()
         onDistroRefresh(distro)
+        sessionLog.event('distroRefresh', { servers: distro.servers.length })
     } catch(err) {
         loggerLaunchSuite.error('Unable to refresh distribution index.', err)
-        showLaunchFailure(Lang.queryJS('landing.dlAsync.fatalError'), Lang.queryJS('landing.dlAsync.unableToLoadDistributionIndex'))
+        sessionLog.event('distroRefreshFailed', { error: err.message })
+        showLaunchFailure(
+            Lang.queryJS('landing.dlAsync.fatalError'),
+            Lang.queryJS(err instanceof DistributionSignatureError ? 'landing.dlAsync.untrustedDistributionIndex' : 'landing.dlAsync.unableToLoadDistributionIndex')
+        )
         return
     }
 
@@ -744,7 +1250,7 @@ async function dlAsync(login = true) {
     const fullRepairModule = new FullRepair(
         ConfigManager.getCommonDirectory(),
         ConfigManager.getInstanceDirectory(),
-        ConfigManager.getLauncherDirectory(),
+        await DistroAPI.writeRepairIndex(),
         ConfigManager.getSelectedServer(),
         DistroAPI.isDevMode()
     )
@@ -770,8 +1276,10 @@ async function dlAsync(login = true) {
             setLaunchPercentage(percent)
         })
         setLaunchPercentage(100)
+        sessionLog.event('fileVerification', { invalidFiles: invalidFileCount })
     } catch (err) {
         loggerLaunchSuite.error('Error during file validation.')
+        sessionLog.event('fileVerificationFailed', { error: err.message })
         showLaunchFailure(Lang.queryJS('landing.dlAsync.errorDuringFileVerificationTitle'), err.displayable || Lang.queryJS('landing.dlAsync.seeConsoleForDetails'))
         return
     }
@@ -786,8 +1294,10 @@ async function dlAsync(login = true) {
                 setDownloadPercentage(percent)
             })
             setDownloadPercentage(100)
+            sessionLog.event('download', { files: invalidFileCount })
         } catch(err) {
             loggerLaunchSuite.error('Error during file download.')
+            sessionLog.event('downloadFailed', { error: err.message })
             showLaunchFailure(Lang.queryJS('landing.dlAsync.errorDuringFileDownloadTitle'), err.displayable || Lang.queryJS('landing.dlAsync.seeConsoleForDetails'))
             return
         }
@@ -818,42 +1328,43 @@ async function dlAsync(login = true) {
         const authUser = ConfigManager.getSelectedAccount()
         loggerLaunchSuite.info(`Sending selected account (${authUser.displayName}) to ProcessBuilder.`)
         let pb = new ProcessBuilder(serv, versionData, modLoaderData, authUser, remote.app.getVersion())
+
+        // Never launch the same instance directory twice.
+        const conflict = GameInstances.getConflict(serv.rawServer.id, authUser.uuid, pb.gameDir)
+        if(conflict != null){
+            loggerLaunchSuite.warn(`Instance directory ${pb.gameDir} is already used by ${conflict.key}.`)
+            sessionLog.event('launchBlocked', { instance: conflict.key })
+            showInstanceInUse(conflict)
+            return
+        }
+
+        const javaExecutable = ConfigManager.getJavaExecutable(serv.rawServer.id)
+        const jvmDetails = await window.validateSelectedJvm(window.ensureJavaDirIsRoot(javaExecutable), serv.effectiveJavaOptions.supported)
+        sessionLog.event('java', {
+            path: javaExecutable,
+            version: jvmDetails != null ? jvmDetails.semverStr : null,
+            vendor: jvmDetails != null ? jvmDetails.vendor : null
+        })
         setLaunchDetails(Lang.queryJS('landing.dlAsync.launchingGame'))
 
         // const SERVER_JOINED_REGEX = /\[.+\]: \[CHAT\] [a-zA-Z0-9_]{1,16} joined the game/
         const SERVER_JOINED_REGEX = new RegExp(`\\[.+\\]: \\[CHAT\\] ${authUser.displayName} joined the game`)
 
+        let instance = null
+
         const onLoadComplete = () => {
-            // Show "Running" status - game is running
-            if(launch_details) {
-                launch_details.style.display = 'flex'
-                setLaunchDetails(Lang.queryJS('landing.launch.running'))
-                // Hide progress bar and percentage when game is running
-                if(launch_progress) {
-                    launch_progress.style.display = 'none'
-                }
-                if(launch_progress_label) {
-                    launch_progress_label.style.display = 'none'
-                }
-            }
-            // Keep button hidden
-            if(launch_content) {
-                launch_content.style.display = 'none'
-            }
-            
-            if(hasRPC){
+            if(instance.hasRPC){
                 DiscordWrapper.updateDetails(Lang.queryJS('landing.discord.loading'))
-                proc.stdout.on('data', gameStateChange)
+                instance.proc.stdout.on('data', gameStateChange)
             }
-            proc.stdout.removeListener('data', tempListener)
-            proc.stderr.removeListener('data', gameErrorListener)
+            instance.proc.stdout.removeListener('data', tempListener)
+            instance.loaded = true
         }
         const start = Date.now()
 
         // Attach a temporary listener to the client output.
         // Will wait for a certain bit of text meaning that
-        // the client application has started, and we can hide
-        // the progress bar stuff.
+        // the client application has started.
         const tempListener = function(data){
             if(GAME_LAUNCH_REGEX.test(data.trim())){
                 const diff = Date.now()-start
@@ -875,97 +1386,96 @@ async function dlAsync(login = true) {
             }
         }
 
-        const gameErrorListener = function(data){
-            data = data.trim()
-            if(data.indexOf('Could not find or load main class net.minecraft.launchwrapper.Launch') > -1){
-                loggerLaunchSuite.error('Game launch failed, LaunchWrapper was not downloaded properly.')
-                showLaunchFailure(Lang.queryJS('landing.dlAsync.errorDuringLaunchTitle'), Lang.queryJS('landing.dlAsync.launchWrapperNotDownloaded'))
-            }
-        }
-
         try {
             // Build Minecraft process.
-            proc = await pb.build()
+            const launchTime = Date.now()
+            const proc = await pb.build()
+
+            instance = GameInstances.add({
+                serverId: serv.rawServer.id,
+                accountUuid: authUser.uuid,
+                displayName: authUser.displayName,
+                gameDir: pb.gameDir,
+                nativesPath: pb.tempNativePath,
+                proc,
+                detached: ConfigManager.getLaunchDetached(),
+                startTime: launchTime,
+                monitor: new ProcessMonitor.ProcessMonitor(proc.pid),
+                usage: { cpu: null, rss: null },
+                sampling: false,
+                stopRequested: false,
+                restartRequested: false,
+                loaded: false,
+                hasRPC: false
+            })
 
-            // Immediately disable and hide button once process is created
-            // This MUST happen immediately after process creation
-            setLaunchEnabled(false)
-            if(launch_content) {
-                launch_content.style.display = 'none'
-            }
-            
-            // Show "Running" status instead of hiding
-            if(launch_details) {
-                launch_details.style.display = 'flex'
-                setLaunchDetails(Lang.queryJS('landing.launch.running'))
-                // Hide progress bar and percentage when game is running
-                if(launch_progress) {
-                    launch_progress.style.display = 'none'
-                }
-                if(launch_progress_label) {
-                    launch_progress_label.style.display = 'none'
-                }
-            }
+            // Show the panel of the new instance.
+            toggleLaunchArea(false)
 
             // Bind listeners to stdout.
             proc.stdout.on('data', tempListener)
-            proc.stderr.on('data', gameErrorListener)
-            
-            // Set up periodic check to ensure button stays disabled and status is shown
-            const buttonCheckInterval = setInterval(() => {
-                if(isGameRunning()) {
-                    // Force button to stay disabled and hidden
-                    setLaunchEnabled(false)
-                    if(launch_content) {
-                        launch_content.style.display = 'none'
-                    }
-                    // Show "Running" status
-                    if(launch_details) {
-                        launch_details.style.display = 'flex'
-                        setLaunchDetails(Lang.queryJS('landing.launch.running'))
-                        if(launch_progress) {
-                            launch_progress.style.display = 'none'
-                        }
-                        if(launch_progress_label) {
-                            launch_progress_label.style.display = 'none'
-                        }
-                    }
-                } else {
-                    // Game stopped, clear interval
-                    clearInterval(buttonCheckInterval)
-                }
-            }, 1000) // Check every second
+            const consoleSession = startGameConsoleSession(proc, [authUser.accessToken, pb.joinToken], instance.key, `${serv.rawServer.name} (${authUser.displayName})`)
+            sessionLog.event('gameStarted', { pid: proc.pid, gameDir: pb.gameDir, arguments: pb.loggableArgs })
+            sessionLog.attachGame(proc, [authUser.accessToken, pb.joinToken])
 
             // Handle process close event
             const onProcessClose = async (code, signal) => {
-                loggerLaunchSuite.info('Game process closed.')
-                
-                // Clear button check interval
-                clearInterval(buttonCheckInterval)
-                
-                proc = null
+                loggerLaunchSuite.info(`Game process of ${instance.key} closed.`)
+                GameInstances.remove(instance)
+
+                // Record the play session.
+                Playtime.addSession(instance.serverId, instance.accountUuid, launchTime, Date.now(), code)
+                Playtime.save()
                 
-                // Shutdown Discord RPC if enabled
-                if(hasRPC){
+                // Shutdown Discord RPC if this instance owns it
+                if(instance.hasRPC){
                     loggerLaunchSuite.info('Shutting down Discord Rich Presence..')
                     DiscordWrapper.shutdownRPC()
-                    hasRPC = false
+                    instance.hasRPC = false
                 }
                 
-                // Re-enable and show launch button when game closes
-                setLaunchEnabled(true)
-                toggleLaunchArea(false)
+                // Show the launch button again if this instance is selected
+                refreshLaunchArea()
                 
                 // Restore server selection button text
                 const distro = await DistroAPI.getDistribution()
                 const serv = distro.getServerById(ConfigManager.getSelectedServer())
                 updateSelectedServer(serv)
+
+                // Look for a crash report written by this launch.
+                const report = await CrashReport.loadCrashReport(pb.gameDir, launchTime)
+                // Exits caused by stopping the game from the panel are not crashes.
+                if(!instance.stopRequested){
+                    // The whole output is matched once, known problems may span several lines.
+                    const diagnostics = Diagnostics.merge(
+                        report != null ? Diagnostics.diagnose(report.content) : [],
+                        Diagnostics.diagnose(consoleSession.getOutput())
+                    )
+                    const fatal = diagnostics.filter(m => m.fatal)
+                    if(!instance.loaded && report == null && fatal.length > 0){
+                        loggerLaunchSuite.error(`Game launch failed, known problem detected: ${fatal[0].id}.`)
+                        showLaunchFailure(Lang.queryJS('landing.dlAsync.errorDuringLaunchTitle'), buildDiagnosticsHtml(fatal))
+                    } else if(report != null || CrashReport.isAbnormalExit(code, signal)){
+                        loggerLaunchSuite.warn(`Game crashed (code ${code}, signal ${signal}).`)
+                        showCrashReport(report, code, signal, diagnostics)
+                    }
+                }
+
+                if(instance.restartRequested){
+                    // The game is launched again like with the launch button, for the selected server and account.
+                    if(getSelectedInstanceKey() === instance.key && !launchLoading){
+                        loggerLaunchSuite.info('Launching the game again.')
+                        await launchSelected()
+                    } else {
+                        loggerLaunchSuite.info(`Not restarting ${instance.key}, the selection has changed.`)
+                    }
+                }
             }
 
-            // Init Discord Hook
-            if(distro.rawDistribution.discord != null && serv.rawServer.discord != null){
+            // Init Discord Hook, only one instance can own the Rich Presence.
+            if(distro.rawDistribution.discord != null && serv.rawServer.discord != null && !GameInstances.getAll().some(i => i.hasRPC)){
                 DiscordWrapper.initRPC(distro.rawDistribution.discord, serv.rawServer.discord)
-                hasRPC = true
+                instance.hasRPC = true
             }
             
             // Always listen for process close to re-enable button
@@ -974,11 +1484,17 @@ async function dlAsync(login = true) {
         } catch(err) {
 
             loggerLaunchSuite.error('Error during launch', err)
-            showLaunchFailure(Lang.queryJS('landing.dlAsync.errorDuringLaunchTitle'), err.message || Lang.queryJS('landing.dlAsync.checkConsoleForDetails'))
-            // Re-enable button on error
-            proc = null
-            setLaunchEnabled(true)
-            toggleLaunchArea(false)
+            sessionLog.event('launchFailed', { error: err.message })
+            if(instance != null){
+                GameInstances.remove(instance)
+            }
+            if(err instanceof AuthApi.AuthApiError){
+                showAuthApiFailure(err)
+            } else if(err instanceof AuthApi.LauncherKeyLockedError){
+                showLauncherKeyLocked()
+            } else {
+                showLaunchFailure(Lang.queryJS('landing.dlAsync.errorDuringLaunchTitle'), err.message || Lang.queryJS('landing.dlAsync.checkConsoleForDetails'))
+            }
 
         }
     }
@@ -1270,10 +1786,11 @@ function renderNewsList(articles){
     }).join('')
 }
 
+// Quotes are escaped too, so the result can be used in attribute values.
 function escapeHtml(str){
     const div = document.createElement('div')
     div.textContent = str
-    return div.innerHTML
+    return div.innerHTML.replace(/"/g, '&quot;')
 }
 
 /**
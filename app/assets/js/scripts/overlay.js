@@ -91,6 +91,7 @@ function toggleOverlay(toggleState, dismissable = false, content = 'overlayConte
                 if(getCurrentView() === VIEWS.settings){
                     document.getElementById('settingsContainer').style.backgroundColor = 'transparent'
                 }
+                updateObfuscatedMotdAnimation()
             }
         })
     } else {
@@ -112,6 +113,7 @@ function toggleOverlay(toggleState, dismissable = false, content = 'overlayConte
                 } else {
                     $('#overlayDismiss').hide()
                 }
+                updateObfuscatedMotdAnimation()
             }
         })
     }
@@ -271,17 +273,27 @@ async function populateServerListings(){
     const distro = await DistroAPI.getDistribution()
     const giaSel = ConfigManager.getSelectedServer()
     const servers = distro.servers
+    // Servers are grouped by source once additional sources are loaded, they follow the order of the sources.
+    const grouped = servers.some(s => DistroAPI.getServerSource(s.rawServer.id) != null)
+    let group
     let htmlString = ''
     for(const serv of servers){
+        const source = DistroAPI.getServerSource(serv.rawServer.id)
+        if(grouped && source?.id !== group){
+            group = source?.id
+            const groupName = source != null ? escapeHtml(DistroManager.getSourceName(source)) : Lang.queryJS('overlay.mainSourceGroup')
+            htmlString += `<span class="serverListingGroup">${groupName}</span>`
+        }
         const iconUrl = serv.rawServer.icon || ''
-        htmlString += `<button class="serverListing" servid="${serv.rawServer.id}" ${serv.rawServer.id === giaSel ? 'selected' : ''}>
-            <img class="serverListingImg" src="${iconUrl}"/>
+        htmlString += `<button class="serverListing" servid="${escapeHtml(serv.rawServer.id)}" ${serv.rawServer.id === giaSel ? 'selected' : ''}>
+            <img class="serverListingImg" src="${escapeHtml(iconUrl)}"/>
             <div class="serverListingDetails">
-                <span class="serverListingName">${serv.rawServer.name}</span>
-                <span class="serverListingDescription">${serv.rawServer.description}</span>
+                <span class="serverListingName">${escapeHtml(serv.rawServer.name)}</span>
+                <span class="serverListingDescription">${MotdFormatter.toHtml(serv.rawServer.description || '')}</span>
                 <div class="serverListingInfo">
-                    <div class="serverListingVersion">${serv.rawServer.minecraftVersion}</div>
-                    <div class="serverListingRevision">${serv.rawServer.version}</div>
+                    <div class="serverListingVersion">${escapeHtml(serv.rawServer.minecraftVersion)}</div>
+                    <div class="serverListingRevision">${escapeHtml(serv.rawServer.version)}</div>
+                    ${buildServerPlaytime(serv.rawServer.id)}
                     ${serv.rawServer.mainServer ? `<div class="serverListingStarWrapper">
                         <svg id="Layer_1" viewBox="0 0 107.45 104.74" width="20px" height="20px">
                             <defs>
@@ -294,10 +306,109 @@ async function populateServerListings(){
                     </div>` : ''}
                 </div>
             </div>
+            <div class="serverListingStatus">
+                <div class="serverListingLatency" title="${Lang.queryJS('overlay.serverStatus.pinging')}">
+                    ${'<div class="serverListingLatencyBar"></div>'.repeat(5)}
+                </div>
+                <span class="serverListingPlayers">${Lang.queryJS('overlay.serverStatus.pinging')}</span>
+                ${buildPlayerSparkline(ServerHistory.getSamples(serv.rawServer.id))}
+            </div>
         </button>`
     }
     document.getElementById('serverSelectListScrollable').innerHTML = htmlString
 
+    // Ping all servers in parallel, each listing is updated as its result arrives.
+    for(const serv of servers){
+        pingServer(serv).then(status => updateServerListingStatus(serv.rawServer.id, status))
+    }
+
+}
+
+/**
+ * Get the number of latency bars to display, following the vanilla client.
+ *
+ * @param {number} latency The latency in milliseconds.
+ * @returns {number} The number of bars, from 1 to 5.
+ */
+function latencyToBars(latency){
+    if(latency < 150) return 5
+    if(latency < 300) return 4
+    if(latency < 600) return 3
+    if(latency < 1000) return 2
+    return 1
+}
+
+/**
+ * Build an SVG sparkline of the player counts in the given samples.
+ *
+ * @param {{t: number, online: number | null, max: number | null}[]} samples The samples, oldest first.
+ * @returns {string} The SVG markup, or an empty string if there are not enough samples.
+ */
+function buildPlayerSparkline(samples){
+    if(samples.length < 2){
+        return ''
+    }
+    const width = 60
+    const height = 14
+    const peak = Math.max(1, ...samples.map(s => s.online || 0))
+    const start = samples[0].t
+    const span = Math.max(1, samples[samples.length - 1].t - start)
+    const points = samples.map(s => {
+        const x = ((s.t - start) / span) * width
+        const y = height - 1 - ((s.online || 0) / peak) * (height - 2)
+        return `${x.toFixed(1)},${y.toFixed(1)}`
+    }).join(' ')
+    return `<svg class="serverListingSparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <polyline points="${points}"/>
+    </svg>`
+}
+
+/**
+ * Build the total and recent playtime of a server listing.
+ *
+ * @param {string} serverId The id of the server.
+ * @returns {string} The markup, or an empty string if the server was never played.
+ */
+function buildServerPlaytime(serverId){
+    const summary = Playtime.getSummary({ server: serverId })
+    if(summary.sessions === 0){
+        return ''
+    }
+    return `<div class="serverListingPlaytime" title="${Lang.queryJS('overlay.playtime.tooltip', { sessions: summary.sessions, lastPlayed: new Date(summary.lastPlayed).toLocaleString() })}">
+        ${Lang.queryJS('overlay.playtime.summary', { total: formatPlaytime(summary.total), recent: formatPlaytime(summary.recent) })}
+    </div>`
+}
+
+/**
+ * Update the live status shown on a server listing.
+ *
+ * @param {string} serverId The id of the server.
+ * @param {Object | null} status The server status, or null if the server is offline.
+ */
+function updateServerListingStatus(serverId, status){
+    const listing = Array.from(document.getElementsByClassName('serverListing')).find(l => l.getAttribute('servid') === serverId)
+    if(listing == null){
+        return
+    }
+    const latency = listing.getElementsByClassName('serverListingLatency')[0]
+    const players = listing.getElementsByClassName('serverListingPlayers')[0]
+    const bars = status != null ? latencyToBars(status.latency) : 0
+    Array.from(latency.children).forEach((bar, i) => {
+        if(i < bars){
+            bar.setAttribute('active', '')
+        } else {
+            bar.removeAttribute('active')
+        }
+    })
+    if(status != null){
+        latency.title = Lang.queryJS('overlay.serverStatus.latency', { latency: status.latency })
+        latency.removeAttribute('offline')
+        players.textContent = Lang.queryJS('overlay.serverStatus.players', { online: status.onlinePlayers, max: status.maxPlayers })
+    } else {
+        latency.title = Lang.queryJS('overlay.serverStatus.offline')
+        latency.setAttribute('offline', '')
+        players.textContent = Lang.queryJS('overlay.serverStatus.offline')
+    }
 }
 
 async function populateAccountListings(){
@@ -332,4 +443,186 @@ async function prepareServerSelectionList(){
 async function prepareAccountSelectionList(){
     await populateAccountListings()
     setAccountListingHandlers()
-}
\ No newline at end of file
+}
+/* Crash Report View */
+
+let shownCrashReport = null
+
+/**
+ * Build a section of the crash report details.
+ * 
+ * @param {string} title The title of the section.
+ * @param {string} content The HTML content of the section.
+ * @returns {string} The HTML of the section.
+ */
+function buildCrashReportSection(title, content){
+    return `<div class="crashReportSection">
+        <span class="crashReportSectionTitle">${title}</span>
+        ${content}
+    </div>`
+}
+
+/**
+ * Build the list of known problems found by Diagnostics.
+ * 
+ * @param {Array.<Object>} matches The matches returned by Diagnostics.diagnose.
+ * @returns {string} The HTML of the list.
+ */
+function buildDiagnosticsHtml(matches){
+    return matches.map(m => {
+        const params = {}
+        for(const [key, value] of Object.entries(m.params)){
+            params[key] = escapeHtml(value)
+        }
+        return `<div class="diagnosticEntry">
+            <span class="diagnosticTitle">${Lang.queryJS(`diagnostics.${m.id}.title`)}</span>
+            <span class="diagnosticExplanation">${Lang.queryJS(`diagnostics.${m.id}.explanation`, params)}</span>
+            <span class="diagnosticFix"><b>${Lang.queryJS('diagnostics.fix')}</b> ${Lang.queryJS(`diagnostics.${m.id}.fix`, params)}</span>
+            <div class="crashReportCode">${escapeHtml(m.match)}</div>
+        </div>`
+    }).join('')
+}
+
+/**
+ * Show the known problems found in the game output.
+ * 
+ * @param {Array.<Object>} matches The matches returned by Diagnostics.diagnose.
+ */
+function showDiagnostics(matches){
+    setOverlayContent(
+        Lang.queryJS('diagnostics.title'),
+        matches.length > 0 ? `<div class="diagnosticList">${buildDiagnosticsHtml(matches)}</div>` : Lang.queryJS('diagnostics.noMatches'),
+        Lang.queryJS('diagnostics.okButton')
+    )
+    setOverlayHandler(null)
+    toggleOverlay(true)
+}
+
+/**
+ * Show the crash report overlay after the game exited abnormally.
+ * 
+ * @param {Object} report The crash report loaded by CrashReport, or null if none was found.
+ * @param {number} code The exit code of the game.
+ * @param {string} signal The signal which terminated the game.
+ * @param {Array.<Object>} diagnostics Optional. The known problems found by Diagnostics.
+ */
+function showCrashReport(report, code, signal, diagnostics = []){
+    shownCrashReport = report
+
+    let summary
+    if(code != null && code !== 0){
+        summary = Lang.queryJS('overlay.crashReport.exitCode', { code })
+    } else if(signal != null){
+        summary = Lang.queryJS('overlay.crashReport.signal', { signal })
+    } else {
+        summary = Lang.queryJS('overlay.crashReport.newReport')
+    }
+    if(report == null){
+        summary += '<br>' + Lang.queryJS('overlay.crashReport.noReport')
+    }
+    document.getElementById('crashReportSummary').innerHTML = summary
+
+    let details = ''
+    if(diagnostics.length > 0){
+        details += buildCrashReportSection(Lang.queryJS('overlay.crashReport.knownProblems'), buildDiagnosticsHtml(diagnostics))
+    }
+    if(report != null){
+        if(report.description != null){
+            details += buildCrashReportSection(Lang.queryJS('overlay.crashReport.description'), escapeHtml(report.description))
+        }
+        if(report.exception != null){
+            details += buildCrashReportSection(Lang.queryJS('overlay.crashReport.exception'), `<div class="crashReportCode">${escapeHtml(report.exception)}</div>`)
+        }
+        if(report.suspectedMods.length > 0){
+            details += buildCrashReportSection(Lang.queryJS('overlay.crashReport.suspectedMods'), `<ul>${report.suspectedMods.map(m => `<li>${escapeHtml(m)}</li>`).join('')}</ul>`)
+        }
+        if(report.modList.length > 0){
+            details += buildCrashReportSection(Lang.queryJS('overlay.crashReport.modList'), `<div class="crashReportCode">${report.modList.map(escapeHtml).join('<br>')}</div>`)
+        }
+    }
+    document.getElementById('crashReportDetails').innerHTML = details
+    document.getElementById('crashReportFileActions').style.display = report != null ? 'flex' : 'none'
+    document.getElementById('crashReportCopy').innerHTML = Lang.queryEJS('overlay.crashReportCopy')
+
+    toggleOverlay(true, 'crashReportContent')
+}
+
+document.getElementById('crashReportOpen').addEventListener('click', () => {
+    if(shownCrashReport != null){
+        shell.openPath(shownCrashReport.file)
+    }
+})
+
+document.getElementById('crashReportCopy').addEventListener('click', (e) => {
+    if(shownCrashReport != null){
+        remote.clipboard.writeText(shownCrashReport.content)
+        e.target.innerHTML = Lang.queryJS('overlay.crashReport.copied')
+    }
+})
+
+document.getElementById('crashReportClose').addEventListener('click', () => {
+    shownCrashReport = null
+    toggleOverlay(false)
+})
+
+/* Launch Preview View */
+
+let shownLaunchPreview = null
+
+/**
+ * Build a list of files, flagging those which are missing.
+ * 
+ * @param {Array.<{file: string, exists: boolean}>} entries The files.
+ * @param {function(Object): string} label Optional. Creates the text of an entry.
+ * @returns {string} The HTML of the list.
+ */
+function buildLaunchPreviewFileList(entries, label = e => e.file){
+    return `<div class="crashReportCode">${entries.map(e => {
+        const text = escapeHtml(label(e))
+        return e.exists ? text : `<span class="launchPreviewMissing">${text} (${Lang.queryJS('overlay.launchPreview.missing')})</span>`
+    }).join('<br>')}</div>`
+}
+
+/**
+ * Show the overlay which previews a launch without starting the game.
+ * 
+ * @param {Object} preview The resolved launch returned by ProcessBuilder.dryRun.
+ */
+function showLaunchPreview(preview){
+    shownLaunchPreview = preview
+
+    const missingClasspath = preview.classpath.filter(e => !e.exists).length
+    const missingMods = preview.mods.filter(e => !e.exists).length
+    let summary = Lang.queryJS('overlay.launchPreview.java', { java: escapeHtml(preview.javaExecutable || '') })
+    if(missingClasspath > 0 || missingMods > 0){
+        summary += '<br>' + Lang.queryJS('overlay.launchPreview.missingSummary', { classpath: missingClasspath, mods: missingMods })
+    }
+    document.getElementById('launchPreviewSummary').innerHTML = summary
+
+    const code = lines => `<div class="crashReportCode">${lines.map(escapeHtml).join('<br>')}</div>`
+    let details = ''
+    details += buildCrashReportSection(Lang.queryJS('overlay.launchPreview.jvmArgs'), code(preview.jvmArgs))
+    details += buildCrashReportSection(Lang.queryJS('overlay.launchPreview.classpath', { count: preview.classpath.length }), buildLaunchPreviewFileList(preview.classpath))
+    details += buildCrashReportSection(Lang.queryJS('overlay.launchPreview.mainClass'), code([preview.mainClass || '']))
+    details += buildCrashReportSection(Lang.queryJS('overlay.launchPreview.gameArgs'), code(preview.gameArgs))
+    if(preview.mods.length > 0){
+        details += buildCrashReportSection(Lang.queryJS('overlay.launchPreview.mods', { count: preview.mods.length }), buildLaunchPreviewFileList(preview.mods, e => `${e.name || e.id} - ${e.file}`))
+    }
+    details += buildCrashReportSection(Lang.queryJS('overlay.launchPreview.natives', { count: preview.natives.length }), code(preview.natives))
+    document.getElementById('launchPreviewDetails').innerHTML = details
+    document.getElementById('launchPreviewCopy').innerHTML = Lang.queryEJS('overlay.launchPreviewCopy')
+
+    toggleOverlay(true, 'launchPreviewContent')
+}
+
+document.getElementById('launchPreviewCopy').addEventListener('click', (e) => {
+    if(shownLaunchPreview != null){
+        remote.clipboard.writeText(LaunchScript.createScript(shownLaunchPreview))
+        e.target.innerHTML = Lang.queryJS('overlay.launchPreview.copied')
+    }
+})
+
+document.getElementById('launchPreviewClose').addEventListener('click', () => {
+    shownLaunchPreview = null
+    toggleOverlay(false)
+})
@@ -8,6 +8,12 @@ const semver = require('semver')
 /* global ipcRenderer, shell, remote, isDev, Lang */
 
 const DropinModUtil  = require('./assets/js/dropinmodutil')
+const SettingsArchive = require('./assets/js/settingsarchive')
+const SessionLog = require('./assets/js/sessionlog')
+const LaunchScript = require('./assets/js/launchscript')
+const JavaRuntimes = require('./assets/js/javaruntimes')
+const JvmFlags = require('./assets/js/jvmflags')
+const DistroManager = require('./assets/js/distromanager')
 const { MSFT_OPCODE, MSFT_REPLY_TYPE, MSFT_ERROR } = require('./assets/js/ipcconstants')
 
 const settingsState = {
@@ -105,7 +111,9 @@ function bindFileSelectors(){
             if(!res.canceled) {
                 ele.previousElementSibling.value = res.filePaths[0]
                 if(isJavaExecSel) {
+                    clearJavaRuntimeBinding()
                     await populateJavaExecDetails(ele.previousElementSibling.value)
+                    validateJvmOpts()
                 }
             }
         }
@@ -156,16 +164,77 @@ function initSettingsValidators(){
     })
 }
 
+// Settings which are part of launch profiles, mapped to their key in the profile.
+const LAUNCH_PROFILE_SETTINGS = {
+    MinRAM: 'minRAM',
+    MaxRAM: 'maxRAM',
+    JVMOptions: 'jvmOptions',
+    GameWidth: 'resWidth',
+    GameHeight: 'resHeight',
+    Fullscreen: 'fullscreen'
+}
+
+/**
+ * Get the function which reads a setting. Settings which are part of launch
+ * profiles are read from the selected profile of the selected server, if any.
+ * 
+ * @param {string} cVal The name of the setting.
+ * @returns {Function} The getter, or undefined if there is none.
+ */
+function getSettingGetter(cVal){
+    const key = LAUNCH_PROFILE_SETTINGS[cVal]
+    if(key == null){
+        return ConfigManager['get' + cVal]
+    }
+    return () => ConfigManager.getActiveLaunchConfig(ConfigManager.getSelectedServer())[key]
+}
+
+/**
+ * Get the function which saves a setting. Settings which are part of launch
+ * profiles are saved to the selected profile of the selected server, if any.
+ * 
+ * @param {string} cVal The name of the setting.
+ * @returns {Function} The setter, or undefined if there is none.
+ */
+function getSettingSetter(cVal){
+    const key = LAUNCH_PROFILE_SETTINGS[cVal]
+    const sFn = ConfigManager['set' + cVal]
+    if(key == null){
+        return sFn
+    }
+    return (...args) => {
+        if(!ConfigManager.updateSelectedLaunchProfile(ConfigManager.getSelectedServer(), { [key]: args[args.length - 1] })){
+            sFn.apply(null, args)
+        }
+    }
+}
+
+/**
+ * Show which launch profile the settings of the selected server are saved to.
+ */
+function updateLaunchProfileNotice(){
+    const profile = ConfigManager.getSelectedLaunchProfile(ConfigManager.getSelectedServer())
+    for(const el of document.getElementsByClassName('settingsLaunchProfileNotice')){
+        if(profile != null){
+            el.innerHTML = Lang.queryJS('settings.launchProfileNotice', { name: escapeHtml(profile.name) })
+            el.style.display = ''
+        } else {
+            el.style.display = 'none'
+        }
+    }
+}
+
 /**
  * Load configuration values onto the UI. This is an automated process.
  */
 async function initSettingsValues(){
     const sEls = document.getElementById('settingsContainer').querySelectorAll('[cValue]')
+    updateLaunchProfileNotice()
 
     for(const v of sEls) {
         const cVal = v.getAttribute('cValue')
         const serverDependent = v.hasAttribute('serverDependent') // Means the first argument is the server id.
-        const gFn = ConfigManager['get' + cVal]
+        const gFn = getSettingGetter(cVal)
         const gFnOpts = []
         if(serverDependent) {
             gFnOpts.push(ConfigManager.getSelectedServer())
@@ -233,7 +302,7 @@ function saveSettingsValues(){
     Array.from(sEls).map((v, index, arr) => {
         const cVal = v.getAttribute('cValue')
         const serverDependent = v.hasAttribute('serverDependent') // Means the first argument is the server id.
-        const sFn = ConfigManager['set' + cVal]
+        const sFn = getSettingSetter(cVal)
         const sFnOpts = []
         if(serverDependent) {
             sFnOpts.push(ConfigManager.getSelectedServer())
@@ -362,6 +431,7 @@ function settingsNavItemListener(ele, fade = true){
                     settingsTabScrollListener({
                         target: document.getElementById(selectedSettingsTab)
                     })
+                    updateObfuscatedMotdAnimation()
                 }
             })
         })
@@ -373,6 +443,7 @@ function settingsNavItemListener(ele, fade = true){
                     settingsTabScrollListener({
                         target: document.getElementById(selectedSettingsTab)
                     })
+                    updateObfuscatedMotdAnimation()
                 }
             })
         })
@@ -398,9 +469,9 @@ function settingsSaveDisabled(v){
 function fullSettingsSave() {
     saveSettingsValues()
     saveModConfiguration()
+    saveShaderpackSettings()
     ConfigManager.save()
     saveDropinModConfiguration()
-    saveShaderpackSettings()
 }
 
 /* Closes the settings view and saves all data. */
@@ -805,6 +876,78 @@ async function populateAuthAccounts(){
     }
 }
 
+const settingsPlaytimeAccounts = document.getElementById('settingsPlaytimeAccounts')
+
+const PLAYTIME_CHART_WEEKS = 8
+
+/**
+ * Format a playtime as hours and minutes.
+ *
+ * @param {number} ms The playtime in ms.
+ * @returns {string} The formatted playtime.
+ */
+function formatPlaytime(ms){
+    const minutes = Math.floor(ms / 60000)
+    const hours = Math.floor(minutes / 60)
+    if(hours > 0){
+        return Lang.queryJS('settings.playtime.hoursMinutes', { hours, minutes: minutes % 60 })
+    }
+    return Lang.queryJS('settings.playtime.minutes', { minutes })
+}
+
+/**
+ * Build an SVG bar chart of the playtime of each week.
+ *
+ * @param {Array.<{start: number, played: number}>} breakdown The playtime of each week, oldest first.
+ * @returns {string} The SVG markup.
+ */
+function buildPlaytimeChart(breakdown){
+    const width = 240
+    const height = 40
+    const gap = 4
+    const barWidth = (width - gap * (breakdown.length - 1)) / breakdown.length
+    const peak = Math.max(1, ...breakdown.map(w => w.played))
+    const bars = breakdown.map((w, i) => {
+        const barHeight = w.played > 0 ? Math.max(2, (w.played / peak) * height) : 1
+        const tooltip = Lang.queryJS('settings.playtime.weekTooltip', {
+            week: new Date(w.start).toLocaleDateString(),
+            played: formatPlaytime(w.played)
+        })
+        return `<rect x="${(i * (barWidth + gap)).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" ${w.played > 0 ? '' : 'empty'}>
+            <title>${tooltip}</title>
+        </rect>`
+    }).join('')
+    return `<svg class="settingsPlaytimeChart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${bars}</svg>`
+}
+
+/**
+ * Display the playtime and weekly breakdown of each account.
+ */
+function populatePlaytime(){
+    const authAccounts = Object.values(ConfigManager.getAuthAccounts())
+    const now = Date.now()
+    let htmlString = ''
+    for(const acc of authAccounts){
+        const summary = Playtime.getSummary({ account: acc.uuid }, now)
+        if(summary.sessions === 0){
+            continue
+        }
+        htmlString += `<div class="settingsPlaytimeAccount">
+            <div class="settingsPlaytimeAccountDetails">
+                <span class="settingsPlaytimeAccountName">${acc.displayName}</span>
+                <span class="settingsPlaytimeAccountTotals">${Lang.queryJS('settings.playtime.totals', { total: formatPlaytime(summary.total), recent: formatPlaytime(summary.recent), sessions: summary.sessions })}</span>
+            </div>
+            <div class="settingsPlaytimeAccountChart">
+                ${buildPlaytimeChart(Playtime.getWeeklyBreakdown({ account: acc.uuid }, PLAYTIME_CHART_WEEKS, now))}
+                <span class="settingsPlaytimeChartCaption">${Lang.queryJS('settings.playtime.chartCaption', { weeks: PLAYTIME_CHART_WEEKS })}</span>
+            </div>
+        </div>`
+    }
+    settingsPlaytimeAccounts.innerHTML = htmlString.length > 0
+        ? htmlString
+        : `<span class="settingsPlaytimeEmpty">${Lang.queryJS('settings.playtime.noPlaytime')}</span>`
+}
+
 /**
  * Prepare the accounts tab for display.
  */
@@ -812,6 +955,7 @@ async function prepareAccountsTab() {
     await populateAuthAccounts()
     bindAuthAccountSelect()
     bindAuthAccountLogOut()
+    populatePlaytime()
 }
 
 /**
@@ -845,9 +989,9 @@ async function resolveModsForUI(){
     const serv = ConfigManager.getSelectedServer()
 
     const distro = await DistroAPI.getDistribution()
-    const servConf = ConfigManager.getModConfiguration(serv)
+    const mods = ConfigManager.getActiveLaunchConfig(serv).mods
 
-    const modStr = parseModulesForUI(distro.getServerById(serv).modules, false, servConf.mods)
+    const modStr = parseModulesForUI(distro.getServerById(serv).modules, false, mods)
 
     document.getElementById('settingsReqModsContent').innerHTML = modStr.reqMods
     document.getElementById('settingsOptModsContent').innerHTML = modStr.optMods
@@ -950,13 +1094,18 @@ function bindModsToggleSwitch(){
 
 
 /**
- * Save the mod configuration based on the UI values.
+ * Save the mod configuration based on the UI values. The toggles are saved
+ * to the selected launch profile, if any.
  */
 function saveModConfiguration(){
     const serv = ConfigManager.getSelectedServer()
-    const modConf = ConfigManager.getModConfiguration(serv)
-    modConf.mods = _saveModConfiguration(modConf.mods)
-    ConfigManager.setModConfiguration(serv, modConf)
+    // The active mods share objects with the default configuration, so a copy is edited.
+    const mods = _saveModConfiguration(JSON.parse(JSON.stringify(ConfigManager.getActiveLaunchConfig(serv).mods)))
+    if(!ConfigManager.updateSelectedLaunchProfile(serv, { mods })){
+        const modConf = ConfigManager.getModConfiguration(serv)
+        modConf.mods = mods
+        ConfigManager.setModConfiguration(serv, modConf)
+    }
 }
 
 /**
@@ -1135,7 +1284,7 @@ async function resolveShaderpacksForUI(){
     const serv = (await DistroAPI.getDistribution()).getServerById(ConfigManager.getSelectedServer())
     CACHE_SETTINGS_INSTANCE_DIR = path.join(ConfigManager.getInstanceDirectory(), serv.rawServer.id)
     CACHE_SHADERPACKS = DropinModUtil.scanForShaderpacks(CACHE_SETTINGS_INSTANCE_DIR)
-    CACHE_SELECTED_SHADERPACK = DropinModUtil.getEnabledShaderpack(CACHE_SETTINGS_INSTANCE_DIR)
+    CACHE_SELECTED_SHADERPACK = ConfigManager.getActiveLaunchConfig(serv.rawServer.id).shaderpack ?? DropinModUtil.getEnabledShaderpack(CACHE_SETTINGS_INSTANCE_DIR)
 
     setShadersOptions(CACHE_SHADERPACKS, CACHE_SELECTED_SHADERPACK)
 }
@@ -1171,6 +1320,7 @@ function saveShaderpackSettings(){
         }
     }
     DropinModUtil.setEnabledShaderpack(CACHE_SETTINGS_INSTANCE_DIR, sel)
+    ConfigManager.updateSelectedLaunchProfile(ConfigManager.getSelectedServer(), { shaderpack: sel })
 }
 
 function bindShaderpackButton() {
@@ -1213,13 +1363,13 @@ async function loadSelectedServerOnModsTab(){
     for(const el of document.getElementsByClassName('settingsSelServContent')) {
         const iconUrl = serv.rawServer.icon || ''
         el.innerHTML = `
-            <img class="serverListingImg" src="${iconUrl}"/>
+            <img class="serverListingImg" src="${escapeHtml(iconUrl)}"/>
             <div class="serverListingDetails">
-                <span class="serverListingName">${serv.rawServer.name}</span>
-                <span class="serverListingDescription">${serv.rawServer.description}</span>
+                <span class="serverListingName">${escapeHtml(serv.rawServer.name)}</span>
+                <span class="serverListingDescription">${MotdFormatter.toHtml(serv.rawServer.description || '')}</span>
                 <div class="serverListingInfo">
-                    <div class="serverListingVersion">${serv.rawServer.minecraftVersion}</div>
-                    <div class="serverListingRevision">${serv.rawServer.version}</div>
+                    <div class="serverListingVersion">${escapeHtml(serv.rawServer.minecraftVersion)}</div>
+                    <div class="serverListingRevision">${escapeHtml(serv.rawServer.version)}</div>
                     ${serv.rawServer.mainServer ? `<div class="serverListingStarWrapper">
                         <svg id="Layer_1" viewBox="0 0 107.45 104.74" width="20px" height="20px">
                             <defs>
@@ -1518,6 +1668,480 @@ function bindMinMaxRam(server) {
     settingsMinRAMRange.setAttribute('min', SETTINGS_MIN_MEMORY)
 }
 
+// Delay before the JVM options are validated after a change, in ms.
+const JVM_OPTS_VALIDATE_DELAY = 750
+
+const settingsJVMOptsVal          = document.getElementById('settingsJVMOptsVal')
+const settingsJVMOptsStatus       = document.getElementById('settingsJVMOptsStatus')
+const settingsJvmPresetSelected   = document.getElementById('settingsJvmPresetSelected')
+const settingsJvmPresetOptions    = document.getElementById('settingsJvmPresetOptions')
+
+let jvmOptsValidateTimeout = null
+let jvmOptsValidation = 0
+
+/**
+ * Get the memory selected on a memory slider, as passed to the JVM.
+ * 
+ * @param {HTMLElement} range The range slider.
+ * @returns {string} The memory, ex. 4G or 4608M.
+ */
+function getRangeSliderRAM(range){
+    const val = Number(range.getAttribute('value'))
+    return val%1 > 0 ? val*1024 + 'M' : val + 'G'
+}
+
+/**
+ * Update the validation state of the JVM options. Saving is disabled while
+ * the options are checked and when they are invalid.
+ * 
+ * @param {string} state checking, invalid or valid.
+ */
+function setJvmOptsState(state){
+    if(state === 'valid'){
+        settingsJVMOptsVal.removeAttribute('error')
+        settingsState.invalid.delete(settingsJVMOptsVal.id)
+        if(settingsState.invalid.size === 0){
+            settingsSaveDisabled(false)
+        }
+    } else {
+        settingsJVMOptsVal.toggleAttribute('error', state === 'invalid')
+        settingsState.invalid.add(settingsJVMOptsVal.id)
+        settingsSaveDisabled(true)
+    }
+}
+
+/**
+ * Show the result of the JVM options validation.
+ * 
+ * @param {string} message The message, or null for none.
+ * @param {Array.<string>} errors The errors printed by the JVM.
+ * @param {Array.<string>} warnings The warnings, as HTML.
+ */
+function showJvmOptsStatus(message, errors, warnings){
+    settingsJVMOptsStatus.innerHTML = [
+        message != null ? `<span>${message}</span>` : '',
+        ...errors.map(e => `<span class="settingsJVMOptsError">${escapeHtml(e)}</span>`),
+        ...warnings.map(w => `<span class="settingsJVMOptsWarning">${w}</span>`)
+    ].join('')
+}
+
+/**
+ * Check the JVM options with the selected Java executable and show the
+ * result. Options which conflict with the memory settings only produce
+ * warnings.
+ */
+async function validateJvmOpts(){
+    clearTimeout(jvmOptsValidateTimeout)
+    const validation = ++jvmOptsValidation
+    const options = JvmFlags.parseOptions(settingsJVMOptsVal.value)
+    const minRAM = getRangeSliderRAM(settingsMinRAMRange)
+    const maxRAM = getRangeSliderRAM(settingsMaxRAMRange)
+    const warnings = JvmFlags.findMemoryConflicts(options, minRAM)
+        .map(c => Lang.queryJS(`settings.jvmFlags.${c.type}Conflict`, { option: escapeHtml(c.option) }))
+
+    const javaExec = settingsJavaExecVal.value
+    if(options.length === 0 || javaExec.length === 0){
+        setJvmOptsState('valid')
+        showJvmOptsStatus(options.length > 0 ? Lang.queryJS('settings.jvmFlags.noJava') : null, [], warnings)
+        return
+    }
+
+    setJvmOptsState('checking')
+    showJvmOptsStatus(Lang.queryJS('settings.jvmFlags.checking'), [], warnings)
+    let result
+    try {
+        result = await JvmFlags.validate(javaExec, options, minRAM, maxRAM)
+    } catch(err) {
+        if(validation === jvmOptsValidation){
+            // The options cannot be blamed if Java does not start at all.
+            setJvmOptsState('valid')
+            showJvmOptsStatus(Lang.queryJS('settings.jvmFlags.unchecked', { error: escapeHtml(err.message) }), [], warnings)
+        }
+        return
+    }
+    if(validation !== jvmOptsValidation){
+        return
+    }
+    setJvmOptsState(result.valid ? 'valid' : 'invalid')
+    showJvmOptsStatus(
+        Lang.queryJS(result.valid ? 'settings.jvmFlags.valid' : 'settings.jvmFlags.invalid'),
+        result.errors,
+        [...warnings, ...result.warnings.map(w => escapeHtml(w))]
+    )
+}
+
+/**
+ * Validate the JVM options once they stop changing. Saving is disabled
+ * until then.
+ */
+function scheduleJvmOptsValidation(){
+    setJvmOptsState('checking')
+    clearTimeout(jvmOptsValidateTimeout)
+    jvmOptsValidateTimeout = setTimeout(validateJvmOpts, JVM_OPTS_VALIDATE_DELAY)
+}
+
+/**
+ * Display the JVM flag presets, selecting the one which matches the current
+ * options.
+ */
+function populateJvmPresets(){
+    const preset = JvmFlags.detectPreset(JvmFlags.parseOptions(settingsJVMOptsVal.value))
+    populateSettingsSelect(
+        settingsJvmPresetSelected,
+        settingsJvmPresetOptions,
+        [
+            { value: '', label: Lang.queryJS('settings.jvmFlags.custom') },
+            ...JvmFlags.getPresets().map(p => ({ value: p.id, label: Lang.queryJS(`settings.jvmFlags.presets.${p.id}`, { major: p.minMajor }) }))
+        ],
+        preset != null ? preset.id : '',
+        value => {
+            const selected = JvmFlags.getPreset(value)
+            if(selected != null){
+                settingsJVMOptsVal.value = selected.flags.join(' ')
+                validateJvmOpts()
+            }
+        }
+    )
+}
+
+settingsJVMOptsVal.addEventListener('input', () => {
+    populateJvmPresets()
+    scheduleJvmOptsValidation()
+})
+settingsMinRAMRange.addEventListener('change', scheduleJvmOptsValidation)
+settingsMaxRAMRange.addEventListener('change', scheduleJvmOptsValidation)
+
+// Java major versions offered for installation, in addition to the one
+// suggested by the selected server.
+const JAVA_RUNTIME_INSTALL_MAJORS = [8, 17, 21]
+
+const settingsJavaRuntimesList            = document.getElementById('settingsJavaRuntimesList')
+const settingsJavaRuntimeBindingSelected  = document.getElementById('settingsJavaRuntimeBindingSelected')
+const settingsJavaRuntimeBindingOptions   = document.getElementById('settingsJavaRuntimeBindingOptions')
+const settingsJavaRuntimeInstallSelected  = document.getElementById('settingsJavaRuntimeInstallSelected')
+const settingsJavaRuntimeInstallOptions   = document.getElementById('settingsJavaRuntimeInstallOptions')
+const settingsJavaRuntimeInstallButton    = document.getElementById('settingsJavaRuntimeInstallButton')
+
+/**
+ * The runtimes found by the last scan, newest first.
+ * 
+ * @type {Array.<Object>}
+ */
+let javaRuntimes = []
+let javaRuntimeScan = null
+
+/**
+ * Fill a settings select with options and call a handler when one is picked.
+ * 
+ * @param {HTMLElement} selectedDiv The div which displays the selected option.
+ * @param {HTMLElement} optionsDiv The div which holds the options.
+ * @param {Array.<{value: string, label: string}>} options The options.
+ * @param {string} selected The value of the selected option.
+ * @param {function(string)} onSelect Called with the value of the picked option.
+ */
+function populateSettingsSelect(selectedDiv, optionsDiv, options, selected, onSelect){
+    optionsDiv.innerHTML = options.map(o => `<div class="settingsSelectOption" data-value="${o.value}"${o.value === selected ? ' selected' : ''}>${o.label}</div>`).join('')
+    const current = options.find(o => o.value === selected) || options[0]
+    selectedDiv.innerHTML = current.label
+    selectedDiv.setAttribute('value', current.value)
+    for(const option of optionsDiv.children){
+        option.onclick = (e) => {
+            e.stopPropagation()
+            for(const sib of optionsDiv.children){
+                sib.removeAttribute('selected')
+            }
+            option.setAttribute('selected', '')
+            selectedDiv.innerHTML = option.innerHTML
+            selectedDiv.setAttribute('value', option.getAttribute('data-value'))
+            closeSettingsSelect()
+            onSelect(option.getAttribute('data-value'))
+        }
+    }
+}
+
+/**
+ * Show the executable of the selected server, which may have been changed
+ * by its runtime binding.
+ */
+async function refreshJavaExecVal(){
+    settingsJavaExecVal.value = ConfigManager.getJavaExecutable(ConfigManager.getSelectedServer())
+    await populateJavaExecDetails(settingsJavaExecVal.value)
+    validateJvmOpts()
+}
+
+/**
+ * Show why a runtime could not be installed or removed.
+ * 
+ * @param {string} title The title of the message.
+ * @param {string} description The message.
+ */
+function showJavaRuntimeError(title, description){
+    setOverlayContent(title, description, Lang.queryJS('settings.javaRuntimes.okButton'))
+    setOverlayHandler(null)
+    toggleOverlay(true)
+}
+
+/**
+ * Ask to remove a managed runtime. Runtimes used by a running game cannot
+ * be removed.
+ * 
+ * @param {Object} runtime The runtime.
+ */
+function promptRemoveJavaRuntime(runtime){
+    if(GameInstances.getAll().some(i => i.proc.spawnfile === runtime.executable)){
+        showJavaRuntimeError(
+            Lang.queryJS('settings.javaRuntimes.removeFailedTitle'),
+            Lang.queryJS('settings.javaRuntimes.inUseText', { version: runtime.version })
+        )
+        return
+    }
+    setOverlayContent(
+        Lang.queryJS('settings.javaRuntimes.removeTitle'),
+        Lang.queryJS('settings.javaRuntimes.removeText', { version: runtime.version, root: escapeHtml(runtime.root) }),
+        Lang.queryJS('settings.javaRuntimes.removeConfirmButton'),
+        Lang.queryJS('settings.javaRuntimes.cancelButton')
+    )
+    setOverlayHandler(async () => {
+        toggleOverlay(false)
+        try {
+            await JavaRuntimes.remove(runtime.root)
+        } catch(err) {
+            console.error('Failed to remove the Java runtime.', err)
+            showJavaRuntimeError(
+                Lang.queryJS('settings.javaRuntimes.removeFailedTitle'),
+                Lang.queryJS('settings.javaRuntimes.removeFailedText', { error: escapeHtml(err.message) })
+            )
+        }
+        await scanJavaRuntimes()
+    })
+    setDismissHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+}
+
+/**
+ * Display the runtimes found by the last scan and the binding of the
+ * selected server.
+ */
+function populateJavaRuntimes(){
+    let htmlString = ''
+    for(const r of javaRuntimes){
+        let info = Lang.queryJS('settings.javaRuntimes.info', {
+            vendor: escapeHtml(r.vendor),
+            arch: escapeHtml(r.arch),
+            source: Lang.queryJS(r.managed ? 'settings.javaRuntimes.managed' : 'settings.javaRuntimes.system')
+        })
+        if(!r.supported){
+            info += ` &#8226; ${Lang.queryJS('settings.javaRuntimes.unsupported')}`
+        }
+        htmlString += `<div class="settingsJavaRuntime">
+            <div class="settingsJavaRuntimeDetails">
+                <span class="settingsJavaRuntimeName">${Lang.queryJS('settings.javaRuntimes.name', { version: r.version })}</span>
+                <span class="settingsJavaRuntimeInfo">${info}</span>
+                <span class="settingsJavaRuntimePath">${escapeHtml(r.root)}</span>
+            </div>
+            ${r.managed ? `<button class="settingsLauncherButton settingsJavaRuntimeRemove">${Lang.queryJS('settings.javaRuntimes.removeButton')}</button>` : ''}
+        </div>`
+    }
+    settingsJavaRuntimesList.innerHTML = htmlString.length > 0
+        ? htmlString
+        : `<span class="settingsJavaRuntimesEmpty">${Lang.queryJS('settings.javaRuntimes.noRuntimes')}</span>`
+    const rows = settingsJavaRuntimesList.getElementsByClassName('settingsJavaRuntime')
+    javaRuntimes.forEach((runtime, i) => {
+        const button = rows[i].getElementsByClassName('settingsJavaRuntimeRemove')[0]
+        if(button != null){
+            button.onclick = () => promptRemoveJavaRuntime(runtime)
+        }
+    })
+
+    const serverid = ConfigManager.getSelectedServer()
+    const bound = ConfigManager.getJavaRuntimeMajor(serverid)
+    const majors = new Set(javaRuntimes.filter(r => r.supported).map(r => r.semver.major))
+    if(bound != null){
+        majors.add(bound)
+    }
+    populateSettingsSelect(
+        settingsJavaRuntimeBindingSelected,
+        settingsJavaRuntimeBindingOptions,
+        [
+            { value: '', label: Lang.queryJS('settings.javaRuntimes.manual') },
+            ...[...majors].sort((a, b) => b - a).map(m => ({ value: String(m), label: Lang.queryJS('settings.javaRuntimes.major', { major: m }) }))
+        ],
+        bound != null ? String(bound) : '',
+        async value => {
+            ConfigManager.setJavaRuntimeMajor(serverid, value.length > 0 ? Number(value) : null)
+            JavaRuntimes.applyBindings(javaRuntimes)
+            ConfigManager.save()
+            await refreshJavaExecVal()
+        }
+    )
+}
+
+/**
+ * Scan for runtimes, point bound servers at the newest runtime of their
+ * major version and display the result. Only one scan runs at a time.
+ */
+async function scanJavaRuntimes(){
+    if(javaRuntimeScan == null){
+        settingsJavaRuntimesList.innerHTML = `<span class="settingsJavaRuntimesEmpty">${Lang.queryJS('settings.javaRuntimes.scanning')}</span>`
+        javaRuntimeScan = JavaRuntimes.discover().finally(() => {
+            javaRuntimeScan = null
+        })
+    }
+    try {
+        javaRuntimes = await javaRuntimeScan
+    } catch(err) {
+        console.error('Failed to discover Java runtimes.', err)
+        javaRuntimes = []
+    }
+    if(JavaRuntimes.applyBindings(javaRuntimes).length > 0){
+        ConfigManager.save()
+        await refreshJavaExecVal()
+    }
+    populateJavaRuntimes()
+}
+
+/**
+ * Remove the runtime binding of the selected server, used when an executable
+ * is chosen manually.
+ */
+function clearJavaRuntimeBinding(){
+    ConfigManager.setJavaRuntimeMajor(ConfigManager.getSelectedServer(), null)
+    populateJavaRuntimes()
+}
+
+/**
+ * Display the major versions which can be installed.
+ * 
+ * @param {Object} server The selected server.
+ */
+function populateJavaRuntimeInstall(server){
+    const suggested = server.effectiveJavaOptions.suggestedMajor
+    const majors = [...new Set([...JAVA_RUNTIME_INSTALL_MAJORS, suggested])].sort((a, b) => b - a)
+    populateSettingsSelect(
+        settingsJavaRuntimeInstallSelected,
+        settingsJavaRuntimeInstallOptions,
+        majors.map(m => ({ value: String(m), label: Lang.queryJS('settings.javaRuntimes.major', { major: m }) })),
+        String(suggested),
+        () => {}
+    )
+}
+
+// Download the selected major version into the managed runtime directory.
+settingsJavaRuntimeInstallButton.onclick = async () => {
+    const major = Number(settingsJavaRuntimeInstallSelected.getAttribute('value'))
+    const server = (await DistroAPI.getDistribution()).getServerById(ConfigManager.getSelectedServer())
+    settingsJavaRuntimeInstallButton.disabled = true
+    try {
+        await JavaRuntimes.install(major, server.effectiveJavaOptions.distribution, (received, total) => {
+            settingsJavaRuntimeInstallButton.innerHTML = Lang.queryJS('settings.javaRuntimes.downloading', { progress: Math.trunc((received/total)*100) })
+        })
+    } catch(err) {
+        console.error(`Failed to install Java ${major}.`, err)
+        showJavaRuntimeError(
+            Lang.queryJS('settings.javaRuntimes.installFailedTitle'),
+            Lang.queryJS('settings.javaRuntimes.installFailedText', { major, error: escapeHtml(err.message) })
+        )
+    } finally {
+        settingsJavaRuntimeInstallButton.disabled = false
+        settingsJavaRuntimeInstallButton.innerHTML = Lang.queryJS('settings.javaRuntimes.installButton')
+    }
+    await scanJavaRuntimes()
+}
+
+/**
+ * Create a ProcessBuilder for the selected server and account, using the
+ * files which are already downloaded.
+ * 
+ * @param {Object} authUser The selected account.
+ * @returns {Promise.<ProcessBuilder>} The ProcessBuilder.
+ */
+async function createSelectedProcessBuilder(authUser){
+    const distro = await DistroAPI.getDistribution()
+    const serv = distro.getServerById(ConfigManager.getSelectedServer())
+    const mojangIndexProcessor = new MojangIndexProcessor(
+        ConfigManager.getCommonDirectory(),
+        serv.rawServer.minecraftVersion)
+    const distributionIndexProcessor = new DistributionIndexProcessor(
+        ConfigManager.getCommonDirectory(),
+        distro,
+        serv.rawServer.id
+    )
+    const modLoaderData = await distributionIndexProcessor.loadModLoaderVersionJson(serv)
+    const versionData = await mojangIndexProcessor.getVersionJson()
+    return new ProcessBuilder(serv, versionData, modLoaderData, authUser, remote.app.getVersion())
+}
+
+/**
+ * Run a task which needs a ProcessBuilder for the selected server. The
+ * button which started it is disabled until the task completes.
+ * 
+ * @param {HTMLButtonElement} button The button which started the task.
+ * @param {function(ProcessBuilder): Promise} task The task.
+ */
+async function runWithSelectedProcessBuilder(button, task){
+    const authUser = ConfigManager.getSelectedAccount()
+    if(authUser == null){
+        showLaunchPreviewError(Lang.queryJS('settings.launchPreview.noAccount'))
+        return
+    }
+    button.disabled = true
+    try {
+        await task(await createSelectedProcessBuilder(authUser))
+    } catch(err) {
+        console.error('Failed to resolve the launch.', err)
+        showLaunchPreviewError(Lang.queryJS('settings.launchPreview.failedDesc', { error: escapeHtml(err.message) }))
+    } finally {
+        button.disabled = false
+    }
+}
+
+/**
+ * Show why the launch could not be resolved.
+ * 
+ * @param {string} description The reason.
+ */
+function showLaunchPreviewError(description){
+    setOverlayContent(Lang.queryJS('settings.launchPreview.failedTitle'), description, Lang.queryJS('settings.launchPreview.okButton'))
+    setOverlayHandler(null)
+    toggleOverlay(true)
+}
+
+/**
+ * Show where the launch script was written.
+ * 
+ * @param {string} file The path of the script.
+ */
+function showLaunchScriptExported(file){
+    setOverlayContent(
+        Lang.queryJS('settings.launchScript.exportedTitle'),
+        Lang.queryJS('settings.launchScript.exportedDesc', { file: escapeHtml(file) }),
+        Lang.queryJS('settings.launchScript.okButton'),
+        Lang.queryJS('settings.launchScript.showButton')
+    )
+    setOverlayHandler(null)
+    setDismissHandler(() => {
+        shell.showItemInFolder(file)
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+}
+
+// Resolve the launch without starting the game and show the result.
+document.getElementById('settingsLaunchPreviewButton').onclick = (e) => {
+    runWithSelectedProcessBuilder(e.currentTarget, async pb => {
+        showLaunchPreview(await pb.dryRun())
+    })
+}
+
+// Write a script which starts the game without the launcher.
+document.getElementById('settingsLaunchScriptButton').onclick = (e) => {
+    runWithSelectedProcessBuilder(e.currentTarget, async pb => {
+        showLaunchScriptExported(await pb.exportScript())
+    })
+}
+
 /**
  * Prepare the Java tab for display.
  */
@@ -1528,6 +2152,385 @@ async function prepareJavaTab(){
     populateMemoryStatus()
     populateJavaReqDesc(server)
     populateJvmOptsLink(server)
+    populateJvmPresets()
+    validateJvmOpts()
+    populateJavaRuntimeInstall(server)
+    populateJavaRuntimes()
+    // Scanning starts every runtime once, so the tab is shown without waiting for it.
+    scanJavaRuntimes()
+}
+
+/**
+ * Launcher Tab
+ */
+
+const settingsTokenEncryptionDesc   = document.getElementById('settingsTokenEncryptionDesc')
+const settingsTokenPassphraseButton = document.getElementById('settingsTokenPassphraseButton')
+
+/**
+ * Display how the stored login tokens are encrypted.
+ */
+function populateTokenEncryption(){
+    const mode = ConfigManager.getTokenEncryptionMode()
+    if(mode === 'passphrase'){
+        settingsTokenEncryptionDesc.innerHTML = Lang.queryJS('settings.tokenEncryption.statusPassphrase')
+        settingsTokenPassphraseButton.innerHTML = Lang.queryJS('settings.tokenEncryption.removeButton')
+    } else {
+        settingsTokenEncryptionDesc.innerHTML = Lang.queryJS(mode === 'safeStorage' ? 'settings.tokenEncryption.statusSafeStorage' : 'settings.tokenEncryption.statusPlaintext')
+        settingsTokenPassphraseButton.innerHTML = Lang.queryJS('settings.tokenEncryption.setButton')
+    }
+}
+
+/**
+ * Show an overlay to set a new passphrase.
+ */
+function promptSetTokenPassphrase(){
+    setOverlayContent(
+        Lang.queryJS('settings.tokenEncryption.setTitle'),
+        `${Lang.queryJS('settings.tokenEncryption.setDesc')}<br>
+        <input id="tokenPassphraseInput" class="tokenPassphraseInput" type="password" placeholder="${Lang.queryJS('settings.tokenEncryption.passphrasePlaceholder')}"><br>
+        <input id="tokenPassphraseConfirmInput" class="tokenPassphraseInput" type="password" placeholder="${Lang.queryJS('settings.tokenEncryption.confirmPlaceholder')}">`,
+        Lang.queryJS('settings.tokenEncryption.confirmButton'),
+        Lang.queryJS('settings.tokenEncryption.cancelButton')
+    )
+    setOverlayHandler(() => {
+        const passphrase = document.getElementById('tokenPassphraseInput')
+        const confirm = document.getElementById('tokenPassphraseConfirmInput')
+        if(passphrase.value.length === 0 || passphrase.value !== confirm.value){
+            confirm.style.borderColor = 'red'
+            return
+        }
+        ConfigManager.setTokenPassphrase(passphrase.value)
+        ConfigManager.save()
+        populateTokenEncryption()
+        toggleOverlay(false)
+    })
+    setDismissHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+    document.getElementById('tokenPassphraseInput').focus()
+}
+
+/**
+ * Show an overlay confirming the removal of the passphrase.
+ */
+function promptRemoveTokenPassphrase(){
+    setOverlayContent(
+        Lang.queryJS('settings.tokenEncryption.removeTitle'),
+        Lang.queryJS(remote.safeStorage.isEncryptionAvailable() ? 'settings.tokenEncryption.removeDescSafeStorage' : 'settings.tokenEncryption.removeDescPlaintext'),
+        Lang.queryJS('settings.tokenEncryption.removeButtonConfirm'),
+        Lang.queryJS('settings.tokenEncryption.cancelButton')
+    )
+    setOverlayHandler(() => {
+        ConfigManager.setTokenPassphrase(null)
+        ConfigManager.save()
+        populateTokenEncryption()
+        toggleOverlay(false)
+    })
+    setDismissHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+}
+
+settingsTokenPassphraseButton.onclick = () => {
+    if(ConfigManager.getTokenEncryptionMode() === 'passphrase'){
+        promptRemoveTokenPassphrase()
+    } else {
+        promptSetTokenPassphrase()
+    }
+}
+
+/**
+ * Show a message about a settings transfer in the overlay.
+ * 
+ * @param {string} title The title of the message.
+ * @param {string} description The message.
+ */
+function showTransferMessage(title, description){
+    setOverlayContent(title, description, Lang.queryJS('settings.transferSettings.okButton'))
+    setOverlayHandler(null)
+    toggleOverlay(true)
+}
+
+/**
+ * Ask which data to export, then write the settings archive.
+ */
+function promptExportSettings(){
+    setOverlayContent(
+        Lang.queryJS('settings.transferSettings.exportTitle'),
+        `${Lang.queryJS('settings.transferSettings.exportDesc')}
+        <label id="settingsExportAccountsLabel"><input type="checkbox" id="settingsExportAccounts"> ${Lang.queryJS('settings.transferSettings.includeAccounts')}</label>`,
+        Lang.queryJS('settings.transferSettings.exportButton'),
+        Lang.queryJS('settings.transferSettings.cancelButton')
+    )
+    setOverlayHandler(() => {
+        const includeAccounts = document.getElementById('settingsExportAccounts').checked
+        if(includeAccounts && ConfigManager.isTokenVaultLocked()){
+            promptTokenVaultUnlock(() => exportSettings(true))
+            return
+        }
+        toggleOverlay(false)
+        exportSettings(includeAccounts)
+    })
+    setDismissHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+}
+
+/**
+ * Select where to write the settings archive, then write it.
+ * 
+ * @param {boolean} includeAccounts Whether to include the authenticated accounts.
+ */
+async function exportSettings(includeAccounts){
+    const res = await remote.dialog.showSaveDialog(remote.getCurrentWindow(), {
+        title: Lang.queryJS('settings.transferSettings.exportDialogTitle'),
+        defaultPath: 'launcher-settings.zip',
+        filters: [{ name: Lang.queryJS('settings.transferSettings.archiveFilterName'), extensions: ['zip'] }]
+    })
+    if(res.canceled || res.filePath == null){
+        return
+    }
+    try {
+        SettingsArchive.exportArchive(res.filePath, includeAccounts)
+        showTransferMessage(
+            Lang.queryJS('settings.transferSettings.exportedTitle'),
+            Lang.queryJS('settings.transferSettings.exportedDesc', { file: escapeHtml(res.filePath) })
+        )
+    } catch (err) {
+        console.error('Failed to export settings.', err)
+        showTransferMessage(
+            Lang.queryJS('settings.transferSettings.failedTitle'),
+            Lang.queryJS('settings.transferSettings.failedDesc', { error: escapeHtml(err.message) })
+        )
+    }
+}
+
+/**
+ * Select a settings archive and merge it into the current configuration.
+ * Accounts cannot be imported while the token vault is locked, so it is
+ * unlocked first.
+ */
+async function importSettings(){
+    if(ConfigManager.isTokenVaultLocked()){
+        promptTokenVaultUnlock(() => importSettings())
+        return
+    }
+    const res = await remote.dialog.showOpenDialog(remote.getCurrentWindow(), {
+        title: Lang.queryJS('settings.transferSettings.importDialogTitle'),
+        properties: ['openFile'],
+        filters: [{ name: Lang.queryJS('settings.transferSettings.archiveFilterName'), extensions: ['zip'] }]
+    })
+    if(res.canceled || res.filePaths.length === 0){
+        return
+    }
+    let result
+    try {
+        result = SettingsArchive.importArchive(res.filePaths[0])
+    } catch (err) {
+        console.error('Failed to import settings.', err)
+        showTransferMessage(
+            Lang.queryJS('settings.transferSettings.failedTitle'),
+            Lang.queryJS('settings.transferSettings.failedDesc', { error: escapeHtml(err.message) })
+        )
+        return
+    }
+    ConfigManager.save()
+    // Reload the settings UI, otherwise the old values would be saved over the imported ones.
+    await prepareSettings()
+
+    let desc = Lang.queryJS('settings.transferSettings.importedDesc')
+    if(result.accounts > 0){
+        desc += '<br>' + Lang.queryJS('settings.transferSettings.importedAccounts', { count: result.accounts })
+        updateSelectedAccount(ConfigManager.getSelectedAccount())
+    }
+    if(result.droppedExecutables.length > 0){
+        desc += '<br><br>' + Lang.queryJS('settings.transferSettings.droppedExecutables')
+            + result.droppedExecutables.map(d => `<br>${escapeHtml(d.executable)}`).join('')
+    }
+    showTransferMessage(Lang.queryJS('settings.transferSettings.importedTitle'), desc)
+}
+
+document.getElementById('settingsExportButton').onclick = () => {
+    promptExportSettings()
+}
+
+document.getElementById('settingsImportButton').onclick = () => {
+    importSettings()
+}
+
+document.getElementById('settingsOpenLogsButton').onclick = async () => {
+    const dir = SessionLog.getLogDirectory()
+    await fs.ensureDir(dir)
+    shell.openPath(dir)
+}
+
+const settingsDistroSourcesList = document.getElementById('settingsDistroSourcesList')
+
+/**
+ * Show a message about a distribution source in the overlay.
+ * 
+ * @param {string} title The title of the message.
+ * @param {string} description The message.
+ */
+function showDistroSourceMessage(title, description){
+    setOverlayContent(title, description, Lang.queryJS('settings.distroSources.okButton'))
+    setOverlayHandler(null)
+    toggleOverlay(true)
+}
+
+/**
+ * Display the additional distribution sources and the number of servers
+ * loaded from each of them.
+ */
+async function populateDistroSources(){
+    const servers = (await DistroAPI.getDistribution()).servers
+    const sources = ConfigManager.getDistributionSources()
+    let htmlString = ''
+    for(const source of sources){
+        const count = servers.filter(s => DistroAPI.getServerSource(s.rawServer.id)?.id === source.id).length
+        htmlString += `<div class="settingsDistroSource">
+            <div class="settingsDistroSourceDetails">
+                <span class="settingsDistroSourceName">${escapeHtml(DistroManager.getSourceName(source))}</span>
+                <span class="settingsDistroSourceInfo">${count > 0 ? Lang.queryJS('settings.distroSources.servers', { count }) : Lang.queryJS('settings.distroSources.noServers')}</span>
+                <span class="settingsDistroSourcePath">${escapeHtml(source.location)}</span>
+            </div>
+            <button class="settingsLauncherButton settingsDistroSourceRemove">${Lang.queryJS('settings.distroSources.removeButton')}</button>
+        </div>`
+    }
+    settingsDistroSourcesList.innerHTML = htmlString.length > 0
+        ? htmlString
+        : `<span class="settingsDistroSourcesEmpty">${Lang.queryJS('settings.distroSources.noSources')}</span>`
+    const buttons = settingsDistroSourcesList.getElementsByClassName('settingsDistroSourceRemove')
+    sources.forEach((source, i) => {
+        buttons[i].onclick = () => promptRemoveDistroSource(source)
+    })
+}
+
+/**
+ * Reload the distribution index after the sources changed. If the selected
+ * server was removed, the main server is selected instead.
+ */
+async function refreshDistroSources(){
+    let distro
+    try {
+        distro = await DistroAPI.refreshDistributionOrFallback()
+    } catch(err) {
+        console.error('Failed to refresh the distribution index.', err)
+        showDistroSourceMessage(
+            Lang.queryJS('settings.distroSources.failedTitle'),
+            Lang.queryJS('settings.distroSources.failedDesc', { error: escapeHtml(err.message) })
+        )
+        return
+    }
+    syncModConfigurations(distro)
+    ensureJavaSettings(distro)
+    if(distro.getServerById(ConfigManager.getSelectedServer()) == null){
+        window.updateSelectedServer(distro.getMainServer())
+    }
+    await populateDistroSources()
+}
+
+/**
+ * Add a distribution source and load its servers.
+ * 
+ * @param {string} location The URL or absolute path of the index.
+ */
+async function addDistroSource(location){
+    let source
+    try {
+        source = DistroManager.createSource(location)
+    } catch(err) {
+        showDistroSourceMessage(
+            Lang.queryJS('settings.distroSources.failedTitle'),
+            Lang.queryJS('settings.distroSources.failedDesc', { error: escapeHtml(err.message) })
+        )
+        return
+    }
+    if(!ConfigManager.addDistributionSource(source.id, source.location)){
+        showDistroSourceMessage(Lang.queryJS('settings.distroSources.failedTitle'), Lang.queryJS('settings.distroSources.existsDesc'))
+        return
+    }
+    ConfigManager.save()
+    await refreshDistroSources()
+}
+
+/**
+ * Show an overlay to add a distribution source from a URL.
+ */
+function promptAddDistroSourceUrl(){
+    setOverlayContent(
+        Lang.queryJS('settings.distroSources.addUrlTitle'),
+        `${Lang.queryJS('settings.distroSources.addUrlDesc')}<br>
+        <input id="distroSourceUrlInput" class="tokenPassphraseInput" type="url" placeholder="${Lang.queryJS('settings.distroSources.urlPlaceholder')}">`,
+        Lang.queryJS('settings.distroSources.addButton'),
+        Lang.queryJS('settings.distroSources.cancelButton')
+    )
+    setOverlayHandler(() => {
+        const input = document.getElementById('distroSourceUrlInput')
+        if(input.value.trim().length === 0){
+            input.style.borderColor = 'red'
+            return
+        }
+        toggleOverlay(false)
+        addDistroSource(input.value)
+    })
+    setDismissHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+    document.getElementById('distroSourceUrlInput').focus()
+}
+
+/**
+ * Show an overlay confirming the removal of a distribution source.
+ * 
+ * @param {Object} source The source to remove.
+ */
+function promptRemoveDistroSource(source){
+    setOverlayContent(
+        Lang.queryJS('settings.distroSources.removeTitle'),
+        Lang.queryJS('settings.distroSources.removeDesc', { name: escapeHtml(DistroManager.getSourceName(source)) }),
+        Lang.queryJS('settings.distroSources.removeConfirmButton'),
+        Lang.queryJS('settings.distroSources.cancelButton')
+    )
+    setOverlayHandler(async () => {
+        toggleOverlay(false)
+        ConfigManager.removeDistributionSource(source.id)
+        ConfigManager.save()
+        await refreshDistroSources()
+    })
+    setDismissHandler(() => {
+        toggleOverlay(false)
+    })
+    toggleOverlay(true, true)
+}
+
+document.getElementById('settingsDistroSourceUrlButton').onclick = () => {
+    promptAddDistroSourceUrl()
+}
+
+document.getElementById('settingsDistroSourceFileButton').onclick = async () => {
+    const res = await remote.dialog.showOpenDialog(remote.getCurrentWindow(), {
+        title: Lang.queryJS('settings.distroSources.fileDialogTitle'),
+        properties: ['openFile'],
+        filters: [{ name: Lang.queryJS('settings.distroSources.fileFilterName'), extensions: ['json'] }]
+    })
+    if(res.canceled || res.filePaths.length === 0){
+        return
+    }
+    await addDistroSource(res.filePaths[0])
+}
+
+/**
+ * Prepare the launcher tab for display.
+ */
+function prepareLauncherTab(){
+    populateTokenEncryption()
+    populateDistroSources()
 }
 
 /**
@@ -1725,6 +2728,7 @@ async function prepareSettings(first = false) {
     await initSettingsValues()
     prepareAccountsTab()
     await prepareJavaTab()
+    prepareLauncherTab()
     prepareAboutTab()
 }
 
@@ -35,6 +35,7 @@ if (typeof window !== 'undefined') {
 
 let rscShouldLoad = false
 let fatalStartupError = false
+let fatalStartupReason = null
 
 // Mapping of each view to their container IDs.
 const VIEWS = {
@@ -43,7 +44,8 @@ const VIEWS = {
     login: '#loginContainer',
     settings: '#settingsContainer',
     welcome: '#welcomeContainer',
-    waiting: '#waitingContainer'
+    waiting: '#waitingContainer',
+    console: '#consoleContainer'
 }
 
 // The currently shown view container.
@@ -66,6 +68,7 @@ function switchView(current, next, currentFadeTime = 500, nextFadeTime = 500, on
     $(`${current}`).fadeOut(currentFadeTime, async () => {
         await onCurrentFade()
         $(`${next}`).fadeIn(nextFadeTime, async () => {
+            updateObfuscatedMotdAnimation()
             await onNextFade()
         })
     })
@@ -142,7 +145,13 @@ async function showMainUI(data){
 
         // If this is enabled in a development environment we'll get ratelimited.
         // The relaunch frequency is usually far too high.
-        if(!isDev && isLoggedIn){
+        if(isLoggedIn && ConfigManager.isTokenVaultLocked()){
+            promptTokenVaultUnlock(() => {
+                if(!isDev){
+                    validateSelectedAccount()
+                }
+            })
+        } else if(!isDev && isLoggedIn){
             validateSelectedAccount()
         }
 
@@ -165,6 +174,7 @@ async function showMainUI(data){
         setTimeout(() => {
             $('#loadingContainer').fadeOut(500, () => {
                 $('#loadSpinnerImage').removeClass('rotating')
+                showConfigRecoveryReport()
             })
         }, 250)
         
@@ -175,13 +185,94 @@ async function showMainUI(data){
     })
 }
 
-function showFatalStartupError(){
+/**
+ * If the configuration file was found to be corrupt during startup, inform
+ * the user which backup it was restored from.
+ */
+function showConfigRecoveryReport(){
+    if(isOverlayVisible()){
+        return
+    }
+    const report = ConfigManager.consumeRecoveryReport()
+    if(report == null){
+        return
+    }
+    setOverlayContent(
+        Lang.queryJS('uibinder.configRecovery.title'),
+        report.backup != null
+            ? Lang.queryJS('uibinder.configRecovery.restoredMessage', { backup: report.backup, file: report.corruptFile })
+            : Lang.queryJS('uibinder.configRecovery.defaultsMessage', { file: report.corruptFile }),
+        Lang.queryJS('uibinder.configRecovery.okButton')
+    )
+    setOverlayHandler(null)
+    toggleOverlay(true)
+}
+
+/**
+ * Ask for the passphrase protecting the stored login tokens. The user may
+ * instead sign out of every account if the passphrase was forgotten.
+ * 
+ * @param {function} onUnlock Called once the tokens have been unlocked.
+ */
+function promptTokenVaultUnlock(onUnlock){
+    setOverlayContent(
+        Lang.queryJS('uibinder.tokenVault.unlockTitle'),
+        `${Lang.queryJS('uibinder.tokenVault.unlockDesc')}<br>
+        <input id="tokenVaultPassphraseInput" class="tokenPassphraseInput" type="password" placeholder="${Lang.queryJS('uibinder.tokenVault.passphrasePlaceholder')}"><br>
+        <span id="tokenVaultUnlockError" style="display: none;">${Lang.queryJS('uibinder.tokenVault.wrongPassphrase')}</span>`,
+        Lang.queryJS('uibinder.tokenVault.unlockButton'),
+        Lang.queryJS('uibinder.tokenVault.forgotButton')
+    )
+    setOverlayHandler(() => {
+        const input = document.getElementById('tokenVaultPassphraseInput')
+        if(!ConfigManager.unlockTokenVault(input.value)){
+            document.getElementById('tokenVaultUnlockError').style.display = ''
+            input.value = ''
+            input.focus()
+            return
+        }
+        ConfigManager.save()
+        toggleOverlay(false)
+        onUnlock()
+    })
+    setDismissHandler(() => {
+        setOverlayContent(
+            Lang.queryJS('uibinder.tokenVault.resetTitle'),
+            Lang.queryJS('uibinder.tokenVault.resetDesc'),
+            Lang.queryJS('uibinder.tokenVault.resetButton'),
+            Lang.queryJS('uibinder.tokenVault.cancelButton')
+        )
+        setOverlayHandler(() => {
+            ConfigManager.resetTokenVault()
+            ConfigManager.save()
+            toggleOverlay(false)
+            updateSelectedAccount(null)
+            loginOptionsCancelEnabled(false)
+            loginOptionsViewOnLoginSuccess = VIEWS.landing
+            loginOptionsViewOnLoginCancel = VIEWS.loginOptions
+            switchView(getCurrentView(), VIEWS.loginOptions)
+        })
+        setDismissHandler(() => {
+            promptTokenVaultUnlock(onUnlock)
+        })
+    })
+    toggleOverlay(true, true)
+    document.getElementById('tokenVaultPassphraseInput').focus()
+}
+
+/**
+ * Show the error which prevents the launcher from starting.
+ * 
+ * @param {string} reason Optional. Why the distribution index could not be loaded, signature if it was not trusted.
+ */
+function showFatalStartupError(reason = null){
+    const untrusted = reason === 'signature'
     setTimeout(() => {
         $('#loadingContainer').fadeOut(250, () => {
             document.getElementById('overlayContainer').style.background = 'none'
             setOverlayContent(
-                Lang.queryJS('uibinder.startup.fatalErrorTitle'),
-                Lang.queryJS('uibinder.startup.fatalErrorMessage'),
+                Lang.queryJS(untrusted ? 'uibinder.startup.signatureErrorTitle' : 'uibinder.startup.fatalErrorTitle'),
+                Lang.queryJS(untrusted ? 'uibinder.startup.signatureErrorMessage' : 'uibinder.startup.fatalErrorMessage'),
                 Lang.queryJS('uibinder.startup.closeButton')
             )
             setOverlayHandler(() => {
@@ -496,7 +587,7 @@ document.addEventListener('readystatechange', async () => {
                 const data = await DistroAPI.getDistribution()
                 await showMainUI(data)
             } else {
-                showFatalStartupError()
+                showFatalStartupError(fatalStartupReason)
             }
         } 
     }
@@ -504,7 +595,7 @@ document.addEventListener('readystatechange', async () => {
 }, false)
 
 // Actions that must be performed after the distribution index is downloaded.
-ipcRenderer.on('distributionIndexDone', async (event, res) => {
+ipcRenderer.on('distributionIndexDone', async (event, res, reason) => {
     if(res) {
         const data = await DistroAPI.getDistribution()
         syncModConfigurations(data)
@@ -516,8 +607,9 @@ ipcRenderer.on('distributionIndexDone', async (event, res) => {
         }
     } else {
         fatalStartupError = true
+        fatalStartupReason = reason
         if(document.readyState === 'interactive' || document.readyState === 'complete'){
-            showFatalStartupError()
+            showFatalStartupError(fatalStartupReason)
         } else {
             rscShouldLoad = true
         }
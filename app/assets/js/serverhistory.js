@@ -0,0 +1,111 @@
+/**
+ * ServerHistory
+ *
+ * This module keeps a rolling history of player counts for each server in the
+ * distribution. Samples older than 24 hours are discarded. The history is stored
+ * in the launcher directory so that it survives restarts.
+ *
+ * @module serverhistory
+ */
+// Requirements
+const fs                = require('fs-extra')
+const { LoggerUtil }    = require('helios-core')
+const path              = require('path')
+
+const ConfigManager     = require('./configmanager')
+
+const logger = LoggerUtil.getLogger('ServerHistory')
+
+const HISTORY_FILE = 'serverhistory.json'
+const MAX_AGE = 24*60*60*1000
+
+/**
+ * Samples keyed by server id.
+ *
+ * @type {Object.<string, {t: number, online: number | null, max: number | null}[]>}
+ */
+let history = null
+
+/**
+ * Get the path of the history file.
+ *
+ * @returns {string} The absolute path of the history file.
+ */
+function getHistoryPath(){
+    return path.join(ConfigManager.getLauncherDirectory(), HISTORY_FILE)
+}
+
+/**
+ * Remove samples older than 24 hours.
+ *
+ * @param {Object[]} samples The samples to prune.
+ * @param {number} now The current time in milliseconds.
+ * @returns {Object[]} The remaining samples.
+ */
+function prune(samples, now){
+    return samples.filter(s => now - s.t <= MAX_AGE)
+}
+
+/**
+ * Load the history file. Invalid or missing files result in an empty history.
+ */
+exports.load = function(){
+    history = {}
+    const historyPath = getHistoryPath()
+    if(!fs.existsSync(historyPath)){
+        return
+    }
+    try {
+        const data = JSON.parse(fs.readFileSync(historyPath, 'UTF-8'))
+        const now = Date.now()
+        for(const [serverId, samples] of Object.entries(data)){
+            if(Array.isArray(samples)){
+                history[serverId] = prune(samples.filter(s => s != null && typeof s.t === 'number'), now)
+            }
+        }
+    } catch(err) {
+        logger.warn('Server history file is malformed, starting with an empty history.', err)
+    }
+}
+
+/**
+ * Save the history file.
+ */
+exports.save = function(){
+    try {
+        fs.writeFileSync(getHistoryPath(), JSON.stringify(history || {}), 'UTF-8')
+    } catch(err) {
+        logger.error('Failed to save server history.', err)
+    }
+}
+
+/**
+ * Record a player count sample for a server. Pass null for the player counts
+ * if the server was offline.
+ *
+ * @param {string} serverId The id of the server.
+ * @param {number | null} online The number of online players.
+ * @param {number | null} max The maximum number of players.
+ * @param {number} timestamp Optional. The time of the sample, defaults to now.
+ */
+exports.addSample = function(serverId, online, max, timestamp = Date.now()){
+    if(history == null){
+        exports.load()
+    }
+    const samples = history[serverId] || []
+    samples.push({ t: timestamp, online, max })
+    history[serverId] = prune(samples, timestamp)
+}
+
+/**
+ * Get the samples of the last 24 hours for a server, oldest first.
+ *
+ * @param {string} serverId The id of the server.
+ * @returns {{t: number, online: number | null, max: number | null}[]} The samples.
+ */
+exports.getSamples = function(serverId){
+    if(history == null){
+        exports.load()
+    }
+    return prune(history[serverId] || [], Date.now())
+}
@@ -1,36 +1,273 @@
 const net = require('net')
 
+// Protocol version sent in the handshake. Servers answer status requests
+// regardless of the version, so any value is accepted here.
+const PROTOCOL_VERSION = 47
+const DEFAULT_TIMEOUT = 2500
+
+// Errors which indicate the server could not be reached or never answered.
+// There is no point in retrying with the legacy ping when one of these occurs,
+// legacy servers reject the modern handshake instead of ignoring it.
+const CONNECTION_ERRORS = ['ENOTFOUND', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT']
+
 /**
- * Retrieves the status of a minecraft server.
- * 
- * @param {string} address The server address.
- * @param {number} port Optional. The port of the server. Defaults to 25565.
- * @returns {Promise.<Object>} A promise which resolves to an object containing
- * status information.
+ * Encode a number as a VarInt.
+ *
+ * @param {number} value The value to encode.
+ * @returns {Buffer} The encoded VarInt.
  */
-exports.getStatus = function(address, port = 25565){
+function writeVarInt(value){
+    const bytes = []
+    value = value >>> 0
+    do {
+        let temp = value & 0x7F
+        value = value >>> 7
+        if(value !== 0){
+            temp |= 0x80
+        }
+        bytes.push(temp)
+    } while(value !== 0)
+    return Buffer.from(bytes)
+}
 
-    if(port == null || port == ''){
-        port = 25565
+/**
+ * Decode a VarInt from a buffer.
+ *
+ * @param {Buffer} buff The buffer to read from.
+ * @param {number} offset The offset to start reading at.
+ * @returns {{value: number, size: number} | null} The decoded value and the number
+ * of bytes it occupied, or null if the buffer does not yet contain the full VarInt.
+ */
+function readVarInt(buff, offset = 0){
+    let value = 0
+    let size = 0
+    let byte
+    do {
+        if(offset + size >= buff.length){
+            return null
+        }
+        if(size >= 5){
+            throw new Error('VarInt is too big.')
+        }
+        byte = buff[offset + size]
+        value |= (byte & 0x7F) << (7 * size)
+        size++
+    } while((byte & 0x80) !== 0)
+    return { value, size }
+}
+
+/**
+ * Encode a string as a VarInt length prefixed UTF-8 string.
+ *
+ * @param {string} str The string to encode.
+ * @returns {Buffer} The encoded string.
+ */
+function writeString(str){
+    const data = Buffer.from(str, 'utf8')
+    return Buffer.concat([writeVarInt(data.length), data])
+}
+
+/**
+ * Frame a packet with its length and id.
+ *
+ * @param {number} id The packet id.
+ * @param {Buffer} payload The packet payload.
+ * @returns {Buffer} The framed packet.
+ */
+function createPacket(id, payload = Buffer.alloc(0)){
+    const body = Buffer.concat([writeVarInt(id), payload])
+    return Buffer.concat([writeVarInt(body.length), body])
+}
+
+/**
+ * Read a single framed packet from a buffer.
+ *
+ * @param {Buffer} buff The buffer to read from.
+ * @returns {{id: number, data: Buffer, size: number} | null} The packet id, its payload
+ * and the total number of bytes consumed, or null if the packet is incomplete.
+ */
+function readPacket(buff){
+    const length = readVarInt(buff)
+    if(length == null || buff.length < length.size + length.value){
+        return null
     }
-    if(typeof port === 'string'){
-        port = parseInt(port)
+    const body = buff.subarray(length.size, length.size + length.value)
+    const id = readVarInt(body)
+    if(id == null){
+        throw new Error('Malformed packet.')
+    }
+    return {
+        id: id.value,
+        data: body.subarray(id.size),
+        size: length.size + length.value
+    }
+}
+
+/**
+ * Flatten a status description into plain text. The description may either
+ * be a string or a chat component. Formatting codes are preserved.
+ *
+ * @param {string | Object} description The description from the status response.
+ * @returns {string} The plain text description.
+ */
+function flattenDescription(description){
+    if(description == null){
+        return ''
+    }
+    if(typeof description === 'string'){
+        return description
+    }
+    if(Array.isArray(description)){
+        return description.map(flattenDescription).join('')
+    }
+    let text = description.text != null ? String(description.text) : ''
+    if(Array.isArray(description.extra)){
+        text += description.extra.map(flattenDescription).join('')
+    }
+    return text
+}
+
+/**
+ * Create the error object used when a status request times out.
+ *
+ * @param {string} address The server address.
+ * @param {number} port The server port.
+ * @returns {Object} The timeout error.
+ */
+function timeoutError(address, port){
+    return {
+        code: 'ETIMEDOUT',
+        errno: 'ETIMEDOUT',
+        address,
+        port
     }
+}
+
+/**
+ * Retrieve the status of a server using the modern (1.7+) Server List Ping.
+ *
+ * @param {string} address The server address.
+ * @param {number} port The port of the server.
+ * @param {number} timeout The socket timeout in milliseconds.
+ * @returns {Promise.<Object>} A promise which resolves to the parsed status.
+ */
+function getModernStatus(address, port, timeout){
+    return new Promise((resolve, reject) => {
+        let buff = Buffer.alloc(0)
+        let status = null
+        let requestSent
+        let pingSent
+        let settled = false
+
+        const finish = (err, result) => {
+            if(settled){
+                return
+            }
+            settled = true
+            socket.destroy()
+            if(err){
+                reject(err)
+            } else {
+                resolve(result)
+            }
+        }
+
+        const socket = net.connect(port, address, () => {
+            const handshake = Buffer.alloc(2)
+            handshake.writeUInt16BE(port)
+            socket.write(createPacket(0x00, Buffer.concat([
+                writeVarInt(PROTOCOL_VERSION),
+                writeString(address),
+                handshake,
+                writeVarInt(1)
+            ])))
+            requestSent = Date.now()
+            socket.write(createPacket(0x00))
+        })
+
+        socket.setTimeout(timeout, () => {
+            // Some servers never answer the ping, the status alone is enough.
+            if(status != null){
+                finish(null, status)
+            } else {
+                finish(timeoutError(address, port))
+            }
+        })
+
+        socket.on('data', (data) => {
+            buff = Buffer.concat([buff, data])
+            try {
+                let packet
+                while((packet = readPacket(buff)) != null){
+                    buff = buff.subarray(packet.size)
+                    if(status == null){
+                        if(packet.id !== 0x00){
+                            throw new Error(`Unexpected packet id ${packet.id} in status response.`)
+                        }
+                        const json = readVarInt(packet.data)
+                        const res = JSON.parse(packet.data.subarray(json.size, json.size + json.value).toString('utf8'))
+                        const players = res.players || {}
+                        status = {
+                            online: true,
+                            version: res.version != null ? res.version.name : null,
+                            protocol: res.version != null ? res.version.protocol : null,
+                            description: res.description,
+                            motd: flattenDescription(res.description),
+                            onlinePlayers: players.online,
+                            maxPlayers: players.max,
+                            playerSample: Array.isArray(players.sample) ? players.sample : [],
+                            favicon: res.favicon || null,
+                            latency: Date.now() - requestSent
+                        }
+                        const payload = Buffer.alloc(8)
+                        payload.writeBigInt64BE(BigInt(Date.now()))
+                        pingSent = Date.now()
+                        socket.write(createPacket(0x01, payload))
+                    } else if(packet.id === 0x01){
+                        status.latency = Date.now() - pingSent
+                        finish(null, status)
+                        return
+                    }
+                }
+            } catch(err) {
+                finish(err)
+            }
+        })
+
+        socket.on('close', () => {
+            if(status != null){
+                finish(null, status)
+            } else {
+                finish(new Error('Connection closed before a status response was received.'))
+            }
+        })
+
+        socket.on('error', (err) => {
+            finish(err)
+        })
+    })
+}
 
+/**
+ * Retrieve the status of a server using the legacy (1.6) Server List Ping.
+ *
+ * @param {string} address The server address.
+ * @param {number} port The port of the server.
+ * @param {number} timeout The socket timeout in milliseconds.
+ * @returns {Promise.<Object>} A promise which resolves to the parsed status.
+ */
+function getLegacyStatus(address, port, timeout){
     return new Promise((resolve, reject) => {
+        let requestSent
         const socket = net.connect(port, address, () => {
             let buff = Buffer.from([0xFE, 0x01])
+            requestSent = Date.now()
             socket.write(buff)
         })
 
-        socket.setTimeout(2500, () => {
+        socket.setTimeout(timeout, () => {
             socket.end()
-            reject({
-                code: 'ETIMEDOUT',
-                errno: 'ETIMEDOUT',
-                address,
-                port
-            })
+            reject(timeoutError(address, port))
         })
 
         socket.on('data', (data) => {
@@ -38,12 +275,18 @@ exports.getStatus = function(address, port = 25565){
                 let server_info = data.toString().split('\x00\x00\x00')
                 const NUM_FIELDS = 6
                 if(server_info != null && server_info.length >= NUM_FIELDS){
+                    const motd = server_info[3].replace(/\u0000/g, '')
                     resolve({
                         online: true,
                         version: server_info[2].replace(/\u0000/g, ''),
-                        motd: server_info[3].replace(/\u0000/g, ''),
-                        onlinePlayers: server_info[4].replace(/\u0000/g, ''),
-                        maxPlayers: server_info[5].replace(/\u0000/g,'')
+                        protocol: parseInt(server_info[1].replace(/\u0000/g, '')) || null,
+                        description: motd,
+                        motd,
+                        onlinePlayers: parseInt(server_info[4].replace(/\u0000/g, '')),
+                        maxPlayers: parseInt(server_info[5].replace(/\u0000/g,'')),
+                        playerSample: [],
+                        favicon: null,
+                        latency: Date.now() - requestSent
                     })
                 } else {
                     resolve({
@@ -61,5 +304,38 @@ exports.getStatus = function(address, port = 25565){
             // ECONNREFUSED = Unable to connect to port.
         })
     })
+}
+
+/**
+ * Retrieves the status of a minecraft server.
+ *
+ * The modern Server List Ping is attempted first. If the server does not
+ * speak it, the legacy ping is used as a fallback. A server which cannot be
+ * reached or does not answer in time is reported as offline right away.
+ *
+ * @param {string} address The server address.
+ * @param {number} port Optional. The port of the server. Defaults to 25565.
+ * @returns {Promise.<Object>} A promise which resolves to an object containing
+ * status information. This includes the version name and protocol, the raw
+ * description (string or chat component), the plain text motd, player counts,
+ * a sample of online players, the favicon data URI and the latency in milliseconds.
+ */
+exports.getStatus = async function(address, port = 25565){
+
+    if(port == null || port == ''){
+        port = 25565
+    }
+    if(typeof port === 'string'){
+        port = parseInt(port)
+    }
+
+    try {
+        return await getModernStatus(address, port, DEFAULT_TIMEOUT)
+    } catch(err) {
+        if(CONNECTION_ERRORS.includes(err.code)){
+            throw err
+        }
+        return await getLegacyStatus(address, port, DEFAULT_TIMEOUT)
+    }
 
-}
\ No newline at end of file
+}
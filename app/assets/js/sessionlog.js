@@ -0,0 +1,170 @@
+/**
+ * SessionLog
+ *
+ * Writes a log for each launch to the logs directory of the launcher. Every
+ * session has two files: <id>.launcher.log holds the launcher events as JSON
+ * lines and <id>.game.log holds the redacted output of the game. Old sessions
+ * are removed once the configured retention is exceeded.
+ *
+ * @module sessionlog
+ */
+// Requirements
+const fs                = require('fs-extra')
+const { LoggerUtil }    = require('helios-core')
+const path              = require('path')
+
+const ConfigManager     = require('./configmanager')
+const GameConsole       = require('./gameconsole')
+
+const logger = LoggerUtil.getLogger('SessionLog')
+
+const LOG_DIR = 'logs'
+const LAUNCHER_LOG_SUFFIX = '.launcher.log'
+const GAME_LOG_SUFFIX = '.game.log'
+const SESSION_FILE_REGEX = /^(session-[\w-]+)\.(launcher|game)\.log$/
+
+/**
+ * Get the directory which contains the session logs.
+ *
+ * @returns {string} The absolute path of the logs directory.
+ */
+exports.getLogDirectory = function(){
+    return path.join(ConfigManager.getLauncherDirectory(), LOG_DIR)
+}
+
+/**
+ * Create the id of a new session. Ids sort in the order they were created.
+ *
+ * @param {number} time The start time of the session, in ms.
+ * @returns {string} The session id.
+ */
+exports.createSessionId = function(time = Date.now()){
+    return `session-${new Date(time).toISOString().replace(/[:.]/g, '-')}`
+}
+
+/**
+ * List the ids of the sessions stored in a directory, newest first.
+ *
+ * @param {string} dir The logs directory.
+ * @returns {Promise.<Array.<string>>} The session ids.
+ */
+exports.listSessions = async function(dir = exports.getLogDirectory()){
+    if(!await fs.pathExists(dir)){
+        return []
+    }
+    const ids = new Set()
+    for(const name of await fs.readdir(dir)){
+        const match = SESSION_FILE_REGEX.exec(name)
+        if(match != null){
+            ids.add(match[1])
+        }
+    }
+    return [...ids].sort().reverse()
+}
+
+/**
+ * Remove the oldest sessions so that at most a given number remain.
+ *
+ * @param {number} retention The number of sessions to keep.
+ * @param {string} dir The logs directory.
+ * @returns {Promise.<Array.<string>>} The ids of the removed sessions.
+ */
+exports.pruneSessions = async function(retention, dir = exports.getLogDirectory()){
+    const removed = (await exports.listSessions(dir)).slice(Math.max(retention, 0))
+    for(const id of removed){
+        await fs.remove(path.join(dir, id + LAUNCHER_LOG_SUFFIX))
+        await fs.remove(path.join(dir, id + GAME_LOG_SUFFIX))
+    }
+    return removed
+}
+
+/**
+ * The log of a single launch.
+ */
+class SessionLog {
+
+    /**
+     * @param {string} dir The logs directory.
+     * @param {string} id The id of the session.
+     */
+    constructor(dir, id = exports.createSessionId()){
+        this.id = id
+        this.file = path.join(dir, id + LAUNCHER_LOG_SUFFIX)
+        this.gameFile = path.join(dir, id + GAME_LOG_SUFFIX)
+        this.gameStream = null
+    }
+
+    /**
+     * Record a launcher event. Failures to write are logged and ignored so
+     * that they never interrupt a launch.
+     *
+     * @param {string} event The name of the event.
+     * @param {Object} data Optional. The details of the event.
+     */
+    event(event, data = {}){
+        const entry = { time: new Date().toISOString(), event, ...data }
+        try {
+            fs.appendFileSync(this.file, JSON.stringify(entry) + '\n', 'utf8')
+        } catch(err) {
+            logger.warn(`Failed to write to session log ${this.file}.`, err)
+        }
+    }
+
+    /**
+     * Write the output of the game to the session. The exit of the process
+     * is recorded as an event.
+     *
+     * @param {ChildProcess} child The game process.
+     * @param {Array.<string>} secrets Secret values to redact from the output.
+     */
+    attachGame(child, secrets = []){
+        const redact = GameConsole.createRedactor(secrets)
+        const partial = { stdout: '', stderr: '' }
+        this.gameStream = fs.createWriteStream(this.gameFile, { flags: 'a', encoding: 'utf8' })
+        this.gameStream.on('error', err => logger.warn(`Failed to write to session log ${this.gameFile}.`, err))
+
+        const write = (stream, data) => {
+            const pieces = (partial[stream] + data).split(/\r?\n/)
+            partial[stream] = pieces.pop()
+            for(const line of pieces){
+                this.gameStream.write(`[${stream}] ${redact(line)}\n`)
+            }
+        }
+        child.stdout.on('data', data => write('stdout', data))
+        child.stderr.on('data', data => write('stderr', data))
+        child.on('close', (code, signal) => {
+            for(const stream of Object.keys(partial)){
+                if(partial[stream].length > 0){
+                    this.gameStream.write(`[${stream}] ${redact(partial[stream])}\n`)
+                }
+            }
+            this.gameStream.end()
+            this.event('exit', { code, signal })
+        })
+    }
+
+}
+
+exports.SessionLog = SessionLog
+
+/**
+ * Start the log of a new launch. Old sessions beyond the configured
+ * retention are removed first.
+ *
+ * @returns {Promise.<SessionLog>} The new session.
+ */
+exports.startSession = async function(){
+    const dir = exports.getLogDirectory()
+    await fs.ensureDir(dir)
+    try {
+        const removed = await exports.pruneSessions(ConfigManager.getSessionLogRetention() - 1, dir)
+        if(removed.length > 0){
+            logger.info(`Removed ${removed.length} old session log(s).`)
+        }
+    } catch(err) {
+        logger.warn('Failed to remove old session logs.', err)
+    }
+    const session = new SessionLog(dir)
+    logger.info(`Writing session log to ${session.file}.`)
+    return session
+}
@@ -0,0 +1,75 @@
+/**
+ * SettingsArchive
+ *
+ * Reads and writes archives used to move the launcher settings, mod
+ * configurations, launch profiles and, optionally, accounts to another
+ * machine. An archive is a zip file containing a single JSON document. Login
+ * tokens are never written to an archive.
+ *
+ * @module settingsarchive
+ */
+// Requirements
+const AdmZip            = require('adm-zip')
+const { LoggerUtil }    = require('helios-core')
+
+const ConfigManager     = require('./configmanager')
+
+const logger = LoggerUtil.getLogger('SettingsArchive')
+
+const ARCHIVE_ENTRY = 'launcher-settings.json'
+const FORMAT_VERSION = 1
+
+/**
+ * Write the current settings to an archive.
+ *
+ * @param {string} file The path of the archive to write.
+ * @param {boolean} includeAccounts Whether to include the authenticated accounts.
+ * @throws {Error} If accounts are included while the token vault is locked.
+ */
+exports.exportArchive = function(file, includeAccounts = false){
+    const zip = new AdmZip()
+    const doc = {
+        format: FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: ConfigManager.exportSettings(includeAccounts)
+    }
+    zip.addFile(ARCHIVE_ENTRY, Buffer.from(JSON.stringify(doc, null, 4), 'utf8'))
+    zip.writeZip(file)
+    logger.info(`Exported settings to ${file}.`)
+}
+
+/**
+ * Read the settings stored in an archive.
+ *
+ * @param {string} file The path of the archive.
+ * @returns {Object} The exported settings.
+ * @throws {Error} If the file is not a valid settings archive.
+ */
+exports.readArchive = function(file){
+    const zip = new AdmZip(file)
+    const entry = zip.getEntry(ARCHIVE_ENTRY)
+    if(entry == null){
+        throw new Error(`${file} is not a settings archive.`)
+    }
+    const doc = JSON.parse(zip.readAsText(entry, 'utf8'))
+    if(doc.format !== FORMAT_VERSION || doc.data == null){
+        throw new Error(`Unsupported settings archive format ${doc.format}.`)
+    }
+    return doc.data
+}
+
+/**
+ * Merge the settings stored in an archive into the current configuration.
+ * The configuration is not saved.
+ *
+ * @param {string} file The path of the archive.
+ * @returns {{accounts: number, droppedExecutables: Array.<{serverid: string, executable: string}>}}
+ * The number of imported accounts and the Java executables which were dropped.
+ * @throws {Error} If the file is not a valid settings archive, or contains
+ * accounts while the token vault is locked.
+ */
+exports.importArchive = function(file){
+    const result = ConfigManager.importSettings(exports.readArchive(file))
+    logger.info(`Imported settings from ${file}.`)
+    return result
+}
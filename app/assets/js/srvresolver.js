@@ -0,0 +1,312 @@
+const dgram             = require('dgram')
+const dns               = require('dns')
+const { LoggerUtil }    = require('helios-core')
+const net               = require('net')
+
+const logger = LoggerUtil.getLogger('SrvResolver')
+
+const DEFAULT_PORT = 25565
+const SRV_PREFIX = '_minecraft._tcp.'
+const TTL_QUERY_TIMEOUT = 2000
+// Used when the TTL cannot be read or no record exists, and the longest time
+// a lookup is cached.
+const MAX_TTL = 300
+
+const TYPE_SRV = 33
+const CLASS_IN = 1
+
+/**
+ * Resolved addresses keyed by the lowercase hostname.
+ *
+ * @type {Map.<string, {hostname: string, port: number, expires: number}>}
+ */
+const cache = new Map()
+
+/**
+ * Split a distribution address into its hostname and explicit port. IPv6
+ * literals must be bracketed to carry a port, ex. [::1]:25565.
+ *
+ * @param {string} address The address, in the format host, host:port, [ipv6] or [ipv6]:port.
+ * @returns {{hostname: string, port: number | null}} The hostname and port. The
+ * hostname of an IPv6 literal has no brackets. The port is null if the address
+ * did not specify one.
+ */
+exports.parseAddress = function(address){
+    address = address.trim()
+    let hostname = address
+    let port = null
+    const bracketed = /^\[([^\]]+)\](?::(.*))?$/.exec(address)
+    if(bracketed != null){
+        hostname = bracketed[1]
+        port = bracketed[2] ?? null
+    } else if(address.indexOf(':') !== address.lastIndexOf(':')){
+        // An unbracketed IPv6 literal, which cannot have a port.
+        return { hostname: address, port: null }
+    } else if(address.includes(':')){
+        [hostname, port] = address.split(':')
+    }
+    if(port == null){
+        return { hostname, port: null }
+    }
+    const portNumber = Number(port)
+    if(port.length === 0 || !Number.isInteger(portNumber)){
+        throw new Error(`Malformed server address '${address}'. Port must be an integer!`)
+    }
+    return { hostname, port: portNumber }
+}
+
+/**
+ * Format a host and port for use as a single address argument. IPv6
+ * literals are bracketed.
+ *
+ * @param {string} hostname The hostname or IP address.
+ * @param {number} port The port.
+ * @returns {string} The address, in the format host:port or [ipv6]:port.
+ */
+exports.formatAddress = function(hostname, port){
+    return net.isIPv6(hostname) ? `[${hostname}]:${port}` : `${hostname}:${port}`
+}
+
+/**
+ * Build a DNS query for the SRV records of the given name.
+ *
+ * @param {string} name The record name.
+ * @param {number} id The query id.
+ * @returns {Buffer} The query packet.
+ */
+function buildQuery(name, id){
+    const header = Buffer.alloc(12)
+    header.writeUInt16BE(id, 0)
+    header.writeUInt16BE(0x0100, 2) // Recursion desired.
+    header.writeUInt16BE(1, 4)
+    const labels = name.split('.').filter(l => l.length > 0).map(l => {
+        const data = Buffer.from(l, 'ascii')
+        return Buffer.concat([Buffer.from([data.length]), data])
+    })
+    const question = Buffer.alloc(4)
+    question.writeUInt16BE(TYPE_SRV, 0)
+    question.writeUInt16BE(CLASS_IN, 2)
+    return Buffer.concat([header, ...labels, Buffer.from([0]), question])
+}
+
+/**
+ * Read a (possibly compressed) domain name from a DNS message.
+ *
+ * @param {Buffer} msg The DNS message.
+ * @param {number} offset The offset of the name.
+ * @returns {{name: string, end: number}} The name and the offset directly after it.
+ */
+function readName(msg, offset){
+    const labels = []
+    let end = -1
+    let jumps = 0
+    for(;;){
+        const len = msg[offset]
+        if(len == null){
+            throw new Error('Truncated DNS name.')
+        }
+        if((len & 0xC0) === 0xC0){
+            if(++jumps > 16){
+                throw new Error('Too many DNS name pointers.')
+            }
+            if(end < 0){
+                end = offset + 2
+            }
+            offset = msg.readUInt16BE(offset) & 0x3FFF
+        } else if(len === 0){
+            if(end < 0){
+                end = offset + 1
+            }
+            break
+        } else {
+            labels.push(msg.toString('ascii', offset + 1, offset + 1 + len))
+            offset += 1 + len
+        }
+    }
+    return { name: labels.join('.'), end }
+}
+
+/**
+ * Parse the SRV records from a DNS response.
+ *
+ * @param {Buffer} msg The DNS response.
+ * @param {number} id The expected query id.
+ * @returns {{name: string, port: number, priority: number, weight: number, ttl: number}[]}
+ * The SRV records in the answer section.
+ * @throws {Error} If the response is malformed or the query failed.
+ */
+exports.parseSrvResponse = function(msg, id){
+    if(msg.length < 12 || msg.readUInt16BE(0) !== id){
+        throw new Error('Unexpected DNS response.')
+    }
+    const rcode = msg.readUInt16BE(2) & 0x000F
+    // NXDOMAIN simply means there is no record.
+    if(rcode === 3){
+        return []
+    }
+    if(rcode !== 0){
+        throw new Error(`DNS query failed with rcode ${rcode}.`)
+    }
+    const qdCount = msg.readUInt16BE(4)
+    const anCount = msg.readUInt16BE(6)
+    let offset = 12
+    for(let i=0; i<qdCount; i++){
+        offset = readName(msg, offset).end + 4
+    }
+    const records = []
+    for(let i=0; i<anCount; i++){
+        offset = readName(msg, offset).end
+        const type = msg.readUInt16BE(offset)
+        const ttl = msg.readUInt32BE(offset + 4)
+        const rdLength = msg.readUInt16BE(offset + 8)
+        const rdata = offset + 10
+        if(type === TYPE_SRV){
+            records.push({
+                priority: msg.readUInt16BE(rdata),
+                weight: msg.readUInt16BE(rdata + 2),
+                port: msg.readUInt16BE(rdata + 4),
+                name: readName(msg, rdata + 6).name,
+                ttl
+            })
+        }
+        offset = rdata + rdLength
+    }
+    return records
+}
+
+/**
+ * Split an entry of dns.getServers() into its host and port.
+ *
+ * @param {string} server The server, ex. 1.1.1.1, 1.1.1.1:53, ::1 or [::1]:53.
+ * @returns {{host: string, port: number}} The host and port.
+ */
+function parseDnsServer(server){
+    const bracketed = /^\[(.+)\]:(\d+)$/.exec(server)
+    if(bracketed != null){
+        return { host: bracketed[1], port: Number(bracketed[2]) }
+    }
+    const v4 = /^([\d.]+):(\d+)$/.exec(server)
+    if(v4 != null){
+        return { host: v4[1], port: Number(v4[2]) }
+    }
+    return { host: server, port: 53 }
+}
+
+/**
+ * Read the TTL of the SRV records of a name. Node's resolver does not expose
+ * it, so the first DNS server of the system is asked directly.
+ *
+ * @param {string} name The record name.
+ * @returns {Promise.<number | null>} The lowest TTL of the records in seconds, or
+ * null if it could not be read.
+ */
+function queryTtl(name){
+    return new Promise(resolve => {
+        const server = dns.getServers()[0]
+        if(server == null){
+            resolve(null)
+            return
+        }
+        const { host, port } = parseDnsServer(server)
+        const id = Math.floor(Math.random() * 0xFFFF)
+        const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4')
+        const done = (ttl) => {
+            clearTimeout(timeout)
+            socket.close()
+            resolve(ttl)
+        }
+        const timeout = setTimeout(() => done(null), TTL_QUERY_TIMEOUT)
+        socket.on('message', msg => {
+            try {
+                const records = exports.parseSrvResponse(msg, id)
+                done(records.length > 0 ? Math.min(...records.map(r => r.ttl)) : null)
+            } catch(err) {
+                logger.debug(`Unable to read the TTL of ${name}.`, err.message)
+                done(null)
+            }
+        })
+        socket.on('error', () => done(null))
+        socket.send(buildQuery(name, id), port, host)
+    })
+}
+
+/**
+ * Look up the SRV records of a name with the system resolver.
+ *
+ * @param {string} name The record name.
+ * @returns {Promise.<Object[]>} The SRV records, empty if the name has none.
+ */
+async function lookupSrv(name){
+    try {
+        return await dns.promises.resolveSrv(name)
+    } catch(err) {
+        if(err.code === dns.NOTFOUND || err.code === dns.NODATA){
+            return []
+        }
+        throw err
+    }
+}
+
+/**
+ * Resolve a server address the same way the vanilla client does. If the address
+ * has no explicit port, the _minecraft._tcp SRV record of the host is looked up
+ * and used when present. IP literals are used as is. Results are cached for
+ * the TTL of the records, at most MAX_TTL seconds.
+ *
+ * @param {string} address The address, in the format host or host:port.
+ * @returns {Promise.<{hostname: string, port: number}>} The host and port to connect to.
+ */
+exports.resolveServerAddress = async function(address){
+    const { hostname, port } = exports.parseAddress(address)
+    if(port != null){
+        return { hostname, port }
+    }
+    if(net.isIP(hostname) !== 0){
+        return { hostname, port: DEFAULT_PORT }
+    }
+
+    const key = hostname.toLowerCase()
+    const cached = cache.get(key)
+    if(cached != null && cached.expires > Date.now()){
+        return { hostname: cached.hostname, port: cached.port }
+    }
+
+    let resolved = { hostname, port: DEFAULT_PORT }
+    let ttl = null
+    try {
+        let records
+        [records, ttl] = await Promise.all([lookupSrv(SRV_PREFIX + hostname), queryTtl(SRV_PREFIX + hostname)])
+        if(records.length > 0){
+            const record = records.sort((a, b) => a.priority - b.priority || b.weight - a.weight)[0]
+            resolved = {
+                hostname: record.name.replace(/\.$/, ''),
+                port: record.port
+            }
+            logger.info(`Resolved SRV record for ${hostname} to ${resolved.hostname}:${resolved.port}.`)
+        }
+    } catch(err) {
+        // Do not cache failures, the next lookup may succeed.
+        logger.warn(`Unable to resolve SRV record for ${hostname}, using default port.`, err)
+        return resolved
+    }
+
+    cache.set(key, { ...resolved, expires: Date.now() + Math.min(ttl ?? MAX_TTL, MAX_TTL) * 1000 })
+    return resolved
+}
+
+/**
+ * Resolve the address of a distribution server.
+ *
+ * @param {HeliosServer} server The server to resolve.
+ * @returns {Promise.<{hostname: string, port: number}>} The host and port to connect to.
+ */
+exports.resolveServer = function(server){
+    return exports.resolveServerAddress(server.rawServer.address)
+}
+
+/**
+ * Clear the SRV cache.
+ */
+exports.clearCache = function(){
+    cache.clear()
+}
@@ -0,0 +1,217 @@
+/**
+ * TokenVault
+ *
+ * Encrypts and decrypts the authentication tokens stored in the config.
+ * Tokens are encrypted with a key held by the operating system through
+ * Electron's safeStorage. When safeStorage is unavailable (for example on
+ * Linux without a keyring), a key derived from a user passphrase is used.
+ *
+ * Encrypted values are strings with a prefix identifying how they were
+ * encrypted. Values without a prefix are plaintext.
+ *
+ * @module tokenvault
+ */
+// Requirements
+const crypto            = require('crypto')
+const { LoggerUtil }    = require('helios-core')
+
+const logger = LoggerUtil.getLogger('TokenVault')
+
+const SAFE_PREFIX = 'enc:v1:safe:'
+const PASS_PREFIX = 'enc:v1:pass:'
+const CHECK_VALUE = 'token-vault-check'
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+
+/**
+ * The encryption modes.
+ *
+ * @enum {string}
+ */
+exports.MODE = {
+    SAFE_STORAGE: 'safeStorage',
+    PASSPHRASE: 'passphrase'
+}
+
+let safeStorage = null
+let app = null
+try {
+    // Use safeStorage directly in main process, or remote in renderer
+    const electron = require('electron')
+    safeStorage = electron.safeStorage ?? require('@electron/remote').safeStorage
+    app = electron.app ?? require('@electron/remote').app
+} catch (e) {
+    // Not running inside Electron.
+    safeStorage = null
+}
+
+// The key derived from the passphrase, if unlocked.
+let passphraseKey = null
+
+/**
+ * Check whether the operating system can encrypt values for us.
+ *
+ * @returns {boolean} True if safeStorage can be used, otherwise false.
+ */
+exports.isSafeStorageAvailable = function(){
+    try {
+        // safeStorage cannot be used before the app is ready.
+        return safeStorage != null && app.isReady() && safeStorage.isEncryptionAvailable()
+    } catch (err) {
+        return false
+    }
+}
+
+/**
+ * Check whether a value is encrypted.
+ *
+ * @param {string} value The value to check.
+ * @returns {boolean} True if the value is encrypted, otherwise false.
+ */
+exports.isEncrypted = function(value){
+    return typeof value === 'string' && (value.startsWith(SAFE_PREFIX) || value.startsWith(PASS_PREFIX))
+}
+
+/**
+ * Generate a new random salt for passphrase key derivation.
+ *
+ * @returns {string} The salt, base64 encoded.
+ */
+exports.generateSalt = function(){
+    return crypto.randomBytes(16).toString('base64')
+}
+
+/**
+ * Derive an encryption key from a passphrase.
+ *
+ * @param {string} passphrase The passphrase.
+ * @param {string} salt The salt, base64 encoded.
+ * @returns {Buffer} The derived key.
+ */
+function deriveKey(passphrase, salt){
+    return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32)
+}
+
+/**
+ * Encrypt a value with AES-256-GCM.
+ *
+ * @param {string} value The value to encrypt.
+ * @param {Buffer} key The key.
+ * @returns {string} The encrypted value, base64 encoded.
+ */
+function encryptWithKey(value, key){
+    const iv = crypto.randomBytes(IV_LENGTH)
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()])
+    return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64')
+}
+
+/**
+ * Decrypt a value encrypted with encryptWithKey.
+ *
+ * @param {string} value The encrypted value, base64 encoded.
+ * @param {Buffer} key The key.
+ * @returns {string} The decrypted value.
+ * @throws {Error} If the key is wrong or the value was tampered with.
+ */
+function decryptWithKey(value, key){
+    const buff = Buffer.from(value, 'base64')
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, buff.subarray(0, IV_LENGTH))
+    decipher.setAuthTag(buff.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH))
+    return Buffer.concat([decipher.update(buff.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8')
+}
+
+/**
+ * Create a check value for a passphrase. It is stored alongside the salt so
+ * that a wrong passphrase can be detected when unlocking.
+ *
+ * @param {string} passphrase The passphrase.
+ * @param {string} salt The salt, base64 encoded.
+ * @returns {string} The check value.
+ */
+exports.createPassphraseCheck = function(passphrase, salt){
+    return encryptWithKey(CHECK_VALUE, deriveKey(passphrase, salt))
+}
+
+/**
+ * Unlock passphrase encryption.
+ *
+ * @param {string} passphrase The passphrase.
+ * @param {string} salt The salt, base64 encoded.
+ * @param {string} check The check value created by createPassphraseCheck.
+ * @returns {boolean} True if the passphrase is correct, otherwise false.
+ */
+exports.unlock = function(passphrase, salt, check){
+    const key = deriveKey(passphrase, salt)
+    try {
+        if(decryptWithKey(check, key) !== CHECK_VALUE){
+            return false
+        }
+    } catch (err) {
+        return false
+    }
+    passphraseKey = key
+    return true
+}
+
+/**
+ * Forget the passphrase key.
+ */
+exports.lock = function(){
+    passphraseKey = null
+}
+
+/**
+ * @returns {boolean} Whether a passphrase key is currently available.
+ */
+exports.isUnlocked = function(){
+    return passphraseKey != null
+}
+
+/**
+ * Encrypt a value.
+ *
+ * @param {string} value The plaintext value.
+ * @param {string} mode The encryption mode, one of MODE.
+ * @returns {string} The encrypted value.
+ * @throws {Error} If the requested mode is unavailable.
+ */
+exports.encrypt = function(value, mode){
+    if(mode === exports.MODE.SAFE_STORAGE){
+        return SAFE_PREFIX + safeStorage.encryptString(value).toString('base64')
+    }
+    if(mode === exports.MODE.PASSPHRASE){
+        if(passphraseKey == null){
+            throw new Error('Token vault is locked.')
+        }
+        return PASS_PREFIX + encryptWithKey(value, passphraseKey)
+    }
+    throw new Error(`Unknown encryption mode ${mode}.`)
+}
+
+/**
+ * Decrypt a value. Plaintext values are returned unchanged.
+ *
+ * @param {string} value The value to decrypt.
+ * @returns {string | null} The decrypted value, or null if it cannot be decrypted.
+ */
+exports.decrypt = function(value){
+    if(!exports.isEncrypted(value)){
+        return value
+    }
+    try {
+        if(value.startsWith(SAFE_PREFIX)){
+            if(!exports.isSafeStorageAvailable()){
+                return null
+            }
+            return safeStorage.decryptString(Buffer.from(value.substring(SAFE_PREFIX.length), 'base64'))
+        }
+        if(passphraseKey == null){
+            return null
+        }
+        return decryptWithKey(value.substring(PASS_PREFIX.length), passphraseKey)
+    } catch (err) {
+        logger.warn('Failed to decrypt a stored token.', err)
+        return null
+    }
+}
@@ -103,8 +103,8 @@ ipcMain.on('autoUpdateAction', (event, arg, data) => {
     }
 })
 // Redirect distribution index event from preloader to renderer.
-ipcMain.on('distributionIndexDone', (event, res) => {
-    event.sender.send('distributionIndexDone', res)
+ipcMain.on('distributionIndexDone', (event, res, reason) => {
+    event.sender.send('distributionIndexDone', res, reason)
 })
 
 // Handle trash item.
@@ -0,0 +1,547 @@
+#!/usr/bin/env node
+
+/**
+ * Generate distribution.json from a directory of servers, or validate an
+ * existing index. See "Generating an Index" in docs/distro.md for the layout
+ * of the directory.
+ *
+ * Usage:
+ *   node scripts/generate-distribution.js <root> --base-url <url> [--out <file>] [--key <pem>]
+ *   node scripts/generate-distribution.js --validate <index> [--root <dir> --base-url <url>]
+ *   node scripts/generate-distribution.js --generate-key <pem>
+ */
+
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const path = require('path')
+const { parseArgs } = require('util')
+const { MavenUtil } = require('helios-core/common')
+const { Type } = require('helios-distribution-types')
+
+const ICON_NAMES = ['icon.png', 'icon.jpg', 'icon.jpeg', 'icon.gif']
+
+// Mod directories and the requirement of the mods they contain.
+const MOD_REQUIREMENTS = {
+    required: null,
+    optionalon: { value: false, def: true },
+    optionaloff: { value: false, def: false }
+}
+
+// Loader directories, the loader artifact they must contain and its module type.
+const LOADERS = {
+    forge: { type: Type.ForgeHosted, group: 'net.minecraftforge', artifact: 'forge', name: v => `Minecraft Forge ${v}` },
+    fabric: { type: Type.Fabric, group: 'net.fabricmc', artifact: 'fabric-loader', name: v => `Fabric Loader ${v}` }
+}
+
+const MAVEN_TYPES = [Type.Library, Type.ForgeHosted, Type.Forge, Type.Fabric, Type.LiteLoader, Type.ForgeMod, Type.FabricMod, Type.LiteMod]
+
+/**
+ * List the files in a directory, recursively.
+ *
+ * @param {string} dir The directory.
+ * @returns {Promise.<Array.<string>>} The absolute paths of the files, sorted.
+ */
+async function listFiles(dir){
+    if(!await fs.pathExists(dir)){
+        return []
+    }
+    const files = []
+    for(const entry of await fs.readdir(dir, { withFileTypes: true })){
+        const full = path.join(dir, entry.name)
+        if(entry.isDirectory()){
+            files.push(...await listFiles(full))
+        } else if(entry.isFile()){
+            files.push(full)
+        }
+    }
+    return files.sort()
+}
+
+/**
+ * Compute the MD5 hash of a file.
+ *
+ * @param {string} file The file.
+ * @returns {Promise.<string>} The hex encoded hash.
+ */
+function md5(file){
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('md5')
+        fs.createReadStream(file)
+            .on('error', reject)
+            .on('data', d => hash.update(d))
+            .on('end', () => resolve(hash.digest('hex')))
+    })
+}
+
+/**
+ * Get the path of a file relative to a directory, with forward slashes.
+ *
+ * @param {string} dir The directory.
+ * @param {string} file The file.
+ * @returns {string} The relative path.
+ */
+function relativePath(dir, file){
+    return path.relative(dir, file).split(path.sep).join('/')
+}
+
+/**
+ * Build the artifact of a file.
+ *
+ * @param {Object} ctx The generation context, with the root and the base URL.
+ * @param {string} file The file.
+ * @param {string} artifactPath Optional. The path the file is installed to.
+ * @returns {Promise.<Object>} The artifact.
+ */
+async function buildArtifact(ctx, file, artifactPath = null){
+    const artifact = {
+        size: (await fs.stat(file)).size,
+        MD5: await md5(file),
+        url: `${ctx.baseUrl}/${relativePath(ctx.root, file).split('/').map(encodeURIComponent).join('/')}`
+    }
+    if(artifactPath != null){
+        artifact.path = artifactPath
+    }
+    return artifact
+}
+
+/**
+ * Resolve the maven identifier of a file stored maven style, ex.
+ * net/minecraft/launchwrapper/1.12/launchwrapper-1.12.jar.
+ *
+ * @param {string} mavenPath The path of the file, relative to the repository.
+ * @returns {{group: string, artifact: string, version: string, id: string}} The maven components and identifier.
+ * @throws {Error} If the path is not a maven path.
+ */
+function parseMavenPath(mavenPath){
+    const pieces = mavenPath.split('/')
+    if(pieces.length < 4){
+        throw new Error(`${mavenPath} is not a maven path.`)
+    }
+    const [artifact, version, filename] = pieces.slice(-3)
+    const group = pieces.slice(0, -3).join('.')
+    const prefix = `${artifact}-${version}`
+    if(!filename.startsWith(prefix)){
+        throw new Error(`${mavenPath} is not a maven path, the file must be named ${prefix}[-classifier].extension.`)
+    }
+    const rest = filename.substring(prefix.length)
+    let classifier = null
+    let extension
+    if(rest.startsWith('-') && rest.indexOf('.') > 1){
+        classifier = rest.substring(1, rest.indexOf('.'))
+        extension = rest.substring(rest.indexOf('.') + 1)
+    } else if(rest.startsWith('.') && rest.length > 1){
+        extension = rest.substring(1)
+    } else {
+        throw new Error(`${mavenPath} is not a maven path, the file has no extension.`)
+    }
+    return {
+        group,
+        artifact,
+        version,
+        id: MavenUtil.mavenComponentsToIdentifier(group, artifact, version, classifier ?? undefined, extension !== 'jar' ? extension : undefined)
+    }
+}
+
+/**
+ * Build the modules of a maven repository.
+ *
+ * @param {Object} ctx The generation context.
+ * @param {string} dir The repository.
+ * @param {string} type The type of the modules.
+ * @returns {Promise.<Array.<Object>>} The modules.
+ */
+async function buildMavenModules(ctx, dir, type){
+    const modules = []
+    for(const file of await listFiles(dir)){
+        const maven = parseMavenPath(relativePath(dir, file))
+        modules.push({
+            id: maven.id,
+            name: `${maven.artifact} ${maven.version}`,
+            type,
+            artifact: await buildArtifact(ctx, file)
+        })
+    }
+    return modules
+}
+
+/**
+ * Build the module of a mod loader. The directory is a maven repository with
+ * the loader and its libraries, and may contain the version manifest in
+ * versions/<id>/<id>.json.
+ *
+ * @param {Object} ctx The generation context.
+ * @param {string} dir The loader directory.
+ * @param {Object} loader The loader, see LOADERS.
+ * @returns {Promise.<Object>} The module.
+ */
+async function buildLoaderModule(ctx, dir, loader){
+    let parent = null
+    const subModules = []
+    for(const file of await listFiles(dir)){
+        const rel = relativePath(dir, file)
+        const manifest = /^versions\/([^/]+)\/\1\.json$/.exec(rel)
+        if(manifest != null){
+            subModules.push({
+                id: manifest[1],
+                name: `${manifest[1]} (version.json)`,
+                type: Type.VersionManifest,
+                artifact: await buildArtifact(ctx, file)
+            })
+            continue
+        }
+        const maven = parseMavenPath(rel)
+        const module = {
+            id: maven.id,
+            name: `${maven.artifact} ${maven.version}`,
+            type: Type.Library,
+            artifact: await buildArtifact(ctx, file)
+        }
+        if(maven.group === loader.group && maven.artifact === loader.artifact){
+            if(parent != null){
+                throw new Error(`${dir} contains more than one ${loader.artifact} artifact.`)
+            }
+            parent = { ...module, name: loader.name(maven.version), type: loader.type }
+        } else {
+            subModules.push(module)
+        }
+    }
+    if(parent == null){
+        throw new Error(`${dir} does not contain the ${loader.group}:${loader.artifact} artifact.`)
+    }
+    return { ...parent, subModules }
+}
+
+/**
+ * Build the modules of a mod directory. Mods are not stored maven style, so
+ * their identifier is generated from the file name and hash.
+ *
+ * @param {Object} ctx The generation context.
+ * @param {string} dir The mod directory, ex. forgemods.
+ * @param {string} type The type of the mods.
+ * @returns {Promise.<Array.<Object>>} The modules.
+ */
+async function buildModModules(ctx, dir, type){
+    const modules = []
+    for(const [requirement, required] of Object.entries(MOD_REQUIREMENTS)){
+        for(const file of await listFiles(path.join(dir, requirement))){
+            const extension = path.extname(file)
+            const name = path.basename(file, extension)
+            const artifact = await buildArtifact(ctx, file)
+            const module = {
+                // The hash is the version so each build of a mod is stored separately.
+                id: `generated.localfile:${name.replace(/[^\w.-]/g, '_')}:${artifact.MD5.substring(0, 8)}@${extension.substring(1) || 'jar'}`,
+                name,
+                type,
+                artifact
+            }
+            if(required != null){
+                module.required = required
+            }
+            modules.push(module)
+        }
+    }
+    return modules
+}
+
+/**
+ * Build a server from its directory.
+ *
+ * @param {Object} ctx The generation context.
+ * @param {string} dir The server directory.
+ * @returns {Promise.<Object>} The server.
+ */
+async function buildServer(ctx, dir){
+    const id = path.basename(dir)
+    const metaPath = path.join(dir, 'server.meta.json')
+    if(!await fs.pathExists(metaPath)){
+        throw new Error(`${dir} has no server.meta.json.`)
+    }
+    const meta = await fs.readJson(metaPath)
+    const modules = []
+
+    for(const [name, loader] of Object.entries(LOADERS)){
+        if(await fs.pathExists(path.join(dir, name))){
+            modules.push(await buildLoaderModule(ctx, path.join(dir, name), loader))
+        }
+    }
+    modules.push(...await buildMavenModules(ctx, path.join(dir, 'libraries'), Type.Library))
+    modules.push(...await buildModModules(ctx, path.join(dir, 'forgemods'), Type.ForgeMod))
+    modules.push(...await buildModModules(ctx, path.join(dir, 'fabricmods'), Type.FabricMod))
+    const filesDir = path.join(dir, 'files')
+    for(const file of await listFiles(filesDir)){
+        const rel = relativePath(filesDir, file)
+        modules.push({
+            id: rel,
+            name: path.basename(file),
+            type: Type.File,
+            artifact: await buildArtifact(ctx, file, rel)
+        })
+    }
+
+    let icon = meta.icon ?? null
+    for(const name of ICON_NAMES){
+        if(await fs.pathExists(path.join(dir, name))){
+            icon = (await buildArtifact(ctx, path.join(dir, name))).url
+            break
+        }
+    }
+
+    return {
+        name: id,
+        description: '',
+        version: '1.0.0',
+        autoconnect: true,
+        ...meta,
+        id,
+        icon,
+        modules
+    }
+}
+
+/**
+ * Generate a distribution index.
+ *
+ * @param {string} root The root directory.
+ * @param {string} baseUrl The URL the root directory is served from.
+ * @returns {Promise.<Object>} The index.
+ */
+async function generate(root, baseUrl){
+    const ctx = { root, baseUrl: baseUrl.replace(/\/+$/, '') }
+    const metaPath = path.join(root, 'distribution.meta.json')
+    const meta = await fs.pathExists(metaPath) ? await fs.readJson(metaPath) : {}
+    const serversDir = path.join(root, 'servers')
+    if(!await fs.pathExists(serversDir)){
+        throw new Error(`${root} has no servers directory.`)
+    }
+    const servers = []
+    for(const entry of (await fs.readdir(serversDir, { withFileTypes: true })).filter(e => e.isDirectory())){
+        console.log(`Generating ${entry.name}..`)
+        servers.push(await buildServer(ctx, path.join(serversDir, entry.name)))
+    }
+    servers.sort((a, b) => (b.mainServer === true) - (a.mainServer === true) || a.id.localeCompare(b.id))
+    return { version: '1.0.0', ...meta, servers }
+}
+
+/**
+ * Validate the modules of a server, recursively.
+ *
+ * @param {Array.<Object>} modules The modules.
+ * @param {string} where The path of the modules, for the messages.
+ * @param {Set.<string>} ids The module ids seen in the server.
+ * @param {Object} result The errors and warnings.
+ * @param {Array.<{module: Object, where: string}>} artifacts Receives the artifacts to check.
+ */
+function validateModules(modules, where, ids, result, artifacts){
+    if(!Array.isArray(modules)){
+        result.errors.push(`${where}: modules must be an array.`)
+        return
+    }
+    modules.forEach((module, i) => {
+        const at = `${where} > ${module?.id ?? `modules[${i}]`}`
+        for(const key of ['id', 'name', 'type']){
+            if(typeof module?.[key] !== 'string' || module[key].length === 0){
+                result.errors.push(`${at}: missing ${key}.`)
+            }
+        }
+        if(typeof module?.id === 'string'){
+            if(ids.has(module.id)){
+                result.errors.push(`${at}: duplicate module id.`)
+            }
+            ids.add(module.id)
+        }
+        if(module?.type != null && !Object.values(Type).includes(module.type)){
+            result.errors.push(`${at}: unknown type ${module.type}.`)
+        }
+        if(MAVEN_TYPES.includes(module?.type) && module.artifact?.path == null && !MavenUtil.isMavenIdentifier(module.id ?? '')){
+            result.errors.push(`${at}: a ${module.type} module must have a maven identifier or an artifact path.`)
+        }
+        if(String(module?.artifact?.path ?? '').split(/[\\/]/).includes('..')){
+            result.errors.push(`${at}: the artifact path must not contain '..'.`)
+        }
+        const artifact = module?.artifact
+        if(artifact == null){
+            result.errors.push(`${at}: missing artifact.`)
+        } else {
+            if(!Number.isInteger(artifact.size) || artifact.size < 0){
+                result.errors.push(`${at}: invalid artifact size.`)
+            }
+            // Modules without an MD5 are untracked and never validated by the launcher.
+            if(artifact.MD5 == null){
+                result.warnings.push(`${at}: no artifact MD5, the file is not validated.`)
+            } else if(!/^[0-9a-f]{32}$/i.test(artifact.MD5)){
+                result.errors.push(`${at}: invalid artifact MD5.`)
+            }
+            // Forge 1.13+ libraries built by the installer have no url.
+            if(artifact.url === ''){
+                result.warnings.push(`${at}: no artifact url, the file must be built by the loader.`)
+            } else if(typeof artifact.url !== 'string' || !/^https?:\/\//i.test(artifact.url)){
+                result.errors.push(`${at}: invalid artifact url.`)
+            } else {
+                artifacts.push({ module, where: at })
+            }
+        }
+        if(module?.subModules != null){
+            validateModules(module.subModules, at, ids, result, artifacts)
+        }
+    })
+}
+
+/**
+ * Validate a distribution index. When the root directory and base URL are
+ * given, the artifacts served from it are compared with the local files.
+ *
+ * @param {Object} index The index.
+ * @param {string} root Optional. The root directory.
+ * @param {string} baseUrl Optional. The URL the root directory is served from.
+ * @returns {Promise.<{errors: Array.<string>, warnings: Array.<string>}>} The problems found.
+ */
+async function validate(index, root = null, baseUrl = null){
+    const result = { errors: [], warnings: [] }
+    if(typeof index?.version !== 'string'){
+        result.errors.push('The index has no version.')
+    }
+    if(!Array.isArray(index?.servers)){
+        result.errors.push('The index has no servers.')
+        return result
+    }
+
+    const serverIds = new Set()
+    const artifacts = []
+    let mainServers = 0
+    index.servers.forEach((server, i) => {
+        const at = server?.id ?? `servers[${i}]`
+        for(const key of ['id', 'name', 'version', 'address', 'minecraftVersion']){
+            if(typeof server?.[key] !== 'string' || server[key].length === 0){
+                result.errors.push(`${at}: missing ${key}.`)
+            }
+        }
+        if(typeof server?.id === 'string'){
+            if(serverIds.has(server.id)){
+                result.errors.push(`${at}: duplicate server id.`)
+            }
+            serverIds.add(server.id)
+        }
+        const port = String(server?.address ?? '').split(':')[1]
+        if(port != null && !Number.isInteger(Number(port))){
+            result.errors.push(`${at}: the port of the address must be an integer.`)
+        }
+        if(server?.mainServer === true){
+            mainServers++
+        }
+        validateModules(server?.modules, at, new Set(), result, artifacts)
+    })
+    if(mainServers > 1){
+        result.warnings.push('More than one server is the main server, only the first one is used.')
+    }
+
+    if(root != null && baseUrl != null){
+        const prefix = `${baseUrl.replace(/\/+$/, '')}/`
+        for(const { module, where } of artifacts){
+            const { url, size, MD5 } = module.artifact
+            if(!url.startsWith(prefix)){
+                result.warnings.push(`${where}: ${url} is not served from ${prefix}, it was not checked.`)
+                continue
+            }
+            const file = path.join(root, ...url.substring(prefix.length).split('/').map(decodeURIComponent))
+            if(!await fs.pathExists(file)){
+                result.errors.push(`${where}: missing file ${file}.`)
+                continue
+            }
+            if((await fs.stat(file)).size !== size){
+                result.errors.push(`${where}: the size of ${file} does not match.`)
+            } else if(MD5 != null && (await md5(file)) !== MD5.toLowerCase()){
+                result.errors.push(`${where}: the MD5 of ${file} does not match.`)
+            }
+        }
+    }
+    return result
+}
+
+/**
+ * Print the problems found by the validation.
+ *
+ * @param {{errors: Array.<string>, warnings: Array.<string>}} result The problems.
+ */
+function printResult(result){
+    for(const warning of result.warnings){
+        console.warn(`WARNING: ${warning}`)
+    }
+    for(const error of result.errors){
+        console.error(`ERROR: ${error}`)
+    }
+}
+
+/**
+ * Generate the Ed25519 key pair the index is signed with. The private key is
+ * written to a new file which only the current user can read, and the public
+ * key is printed for distromanager.js.
+ *
+ * @param {string} file The file to write the private key to.
+ */
+async function generateKey(file){
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+    // Never overwrite a key, the launchers which bundle its public key would reject the index.
+    await fs.writeFile(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { flag: 'wx', mode: 0o600 })
+    console.log(`Wrote the private key to ${file}. Keep it offline, it cannot be recovered.`)
+    console.log('Bundle the public key as DISTRO_PUBLIC_KEY in app/assets/js/distromanager.js:')
+    console.log(publicKey.export({ type: 'spki', format: 'pem' }).trim())
+}
+
+async function main(){
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'base-url': { type: 'string' },
+            out: { type: 'string' },
+            key: { type: 'string' },
+            validate: { type: 'string' },
+            root: { type: 'string' },
+            'generate-key': { type: 'string' }
+        }
+    })
+
+    if(values['generate-key'] != null){
+        await generateKey(path.resolve(values['generate-key']))
+        return true
+    }
+
+    if(values.validate != null){
+        if((values.root == null) !== (values['base-url'] == null)){
+            throw new Error('--root and --base-url must be used together.')
+        }
+        const result = await validate(await fs.readJson(values.validate), values.root ?? null, values['base-url'] ?? null)
+        printResult(result)
+        console.log(`${result.errors.length} error(s), ${result.warnings.length} warning(s).`)
+        return result.errors.length === 0
+    }
+
+    if(positionals.length !== 1 || values['base-url'] == null){
+        throw new Error('Usage: generate-distribution.js <root> --base-url <url> [--out <file>] [--key <pem>]')
+    }
+    const root = path.resolve(positionals[0])
+    const index = await generate(root, values['base-url'])
+    const result = await validate(index)
+    printResult(result)
+    if(result.errors.length > 0){
+        return false
+    }
+
+    const out = path.resolve(values.out ?? path.join(root, 'distribution.json'))
+    const data = Buffer.from(JSON.stringify(index, null, 4))
+    await fs.writeFile(out, data)
+    console.log(`Wrote ${index.servers.length} server(s) to ${out}.`)
+    if(values.key != null){
+        // Detached signature checked by the launcher, see distromanager.js.
+        const key = crypto.createPrivateKey(await fs.readFile(values.key))
+        await fs.writeFile(`${out}.sig`, crypto.sign(null, data, key).toString('base64'))
+        console.log(`Wrote the signature to ${out}.sig.`)
+    }
+    return true
+}
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(err => {
+        console.error(err.message)
+        process.exit(1)
+    })
@@ -0,0 +1,291 @@
+const assert = require('assert/strict')
+const crypto = require('crypto')
+const http = require('http')
+const { after, before, beforeEach, describe, it } = require('node:test')
+
+const AuthApi = require('../app/assets/js/authapi')
+
+const PLAYER = {
+    uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5',
+    name: 'Notch',
+    userType: 'msa'
+}
+
+/**
+ * Create a key store which keeps the key pair in memory.
+ *
+ * @param {Object} options Optional. locked if the passphrase is locked,
+ * unreadable if the stored key pair cannot be decrypted.
+ * @returns {Object} The key store.
+ */
+function createStore({ locked = false, unreadable = false } = {}){
+    const store = {
+        keyPair: unreadable ? { publicKey: 'stored', privateKey: null } : null,
+        registrations: {},
+        saves: 0,
+        isTokenVaultLocked: () => locked,
+        hasLauncherKeyPair: () => store.keyPair != null,
+        getLauncherKeyPair: () => store.keyPair?.privateKey != null ? store.keyPair : null,
+        setLauncherKeyPair: (publicKey, privateKey) => {
+            store.keyPair = { publicKey, privateKey }
+            store.registrations = {}
+        },
+        isLauncherKeyRegistered: (endpoint, uuid) => store.registrations[endpoint]?.includes(uuid) ?? false,
+        setLauncherKeyRegistered: (endpoint, uuid, registered) => {
+            const accounts = (store.registrations[endpoint] ?? []).filter(u => u !== uuid)
+            store.registrations[endpoint] = registered ? [...accounts, uuid] : accounts
+        },
+        save: () => { store.saves++ }
+    }
+    return store
+}
+
+/**
+ * Create a key store whose key pair is already registered with the player.
+ *
+ * @param {string} endpoint The Auth API endpoint.
+ * @returns {Object} The key store.
+ */
+function createRegisteredStore(endpoint){
+    const store = createStore()
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+    store.setLauncherKeyPair(
+        publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+        privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64')
+    )
+    store.setLauncherKeyRegistered(endpoint, PLAYER.uuid, true)
+    return store
+}
+
+/**
+ * A local Auth API. Each route answers with the queued responses in order,
+ * then with a successful response.
+ */
+class MockAuthApi {
+
+    constructor(){
+        this.requests = []
+        this.queued = {}
+        this.server = http.createServer((req, res) => this.handle(req, res))
+    }
+
+    async start(host = '127.0.0.1'){
+        await new Promise(resolve => this.server.listen(0, host, resolve))
+        this.endpoint = `http://${host}:${this.server.address().port}`
+    }
+
+    async stop(){
+        await new Promise(resolve => this.server.close(resolve))
+    }
+
+    reset(){
+        this.requests = []
+        this.queued = {}
+    }
+
+    /**
+     * Queue responses for a route.
+     *
+     * @param {string} route The route, ex. /v1/issue.
+     * @param  {...{status: number, body: Object}} responses The responses.
+     */
+    queue(route, ...responses){
+        this.queued[route] = [...(this.queued[route] ?? []), ...responses]
+    }
+
+    handle(req, res){
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+            this.requests.push({ route: req.url, headers: req.headers, body, time: Date.now() })
+            const queued = this.queued[req.url]?.shift() ?? this.success(req.url)
+            res.writeHead(queued.status, { 'Content-Type': 'application/json' })
+            res.end(JSON.stringify(queued.body))
+        })
+    }
+
+    success(route){
+        switch(route){
+            case '/v1/handshake':
+                return { status: 200, body: { challenge: crypto.randomBytes(8).toString('hex') } }
+            case '/v1/issue':
+                return { status: 200, body: { join_token: 'token' } }
+            default:
+                return { status: 200, body: {} }
+        }
+    }
+
+    routes(){
+        return this.requests.map(r => r.route)
+    }
+
+}
+
+describe('AuthApi', () => {
+
+    const api = new MockAuthApi()
+
+    before(() => api.start())
+    after(() => api.stop())
+    beforeEach(() => api.reset())
+
+    describe('getEndpoint', () => {
+
+        it('uses the endpoint of the server without a trailing slash', () => {
+            assert.equal(AuthApi.getEndpoint({ rawServer: { authApi: 'https://auth.example.com/api/' } }), 'https://auth.example.com/api')
+        })
+
+        it('falls back to the default endpoint', () => {
+            assert.match(AuthApi.getEndpoint({ rawServer: {} }), /^https?:\/\//)
+        })
+
+        it('rejects endpoints which are not HTTP(S) URLs', () => {
+            for(const authApi of ['auth.example.com', 'ftp://auth.example.com']){
+                assert.throws(() => AuthApi.getEndpoint({ rawServer: { authApi } }), err => err instanceof AuthApi.AuthApiError && err.stage === 'network')
+            }
+        })
+
+    })
+
+    describe('fetchJoinToken', () => {
+
+        it('registers a new key, then issues a signed token request', async () => {
+            const store = createStore()
+            const token = await AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { retryDelay: 1 })
+
+            assert.equal(token, 'token')
+            assert.deepEqual(api.routes(), ['/v1/handshake', '/v1/register', '/v1/handshake', '/v1/issue'])
+            assert.equal(store.isLauncherKeyRegistered(api.endpoint, PLAYER.uuid), true)
+
+            const issue = api.requests[3]
+            const { challenge } = JSON.parse(issue.body)
+            const publicKey = crypto.createPublicKey({ key: Buffer.from(issue.headers['x-launcher-key'], 'base64'), format: 'der', type: 'spki' })
+            assert.equal(issue.headers['x-launcher-key'], store.keyPair.publicKey)
+            assert.ok(crypto.verify(null, Buffer.from(`${challenge}\n${issue.body}`), publicKey, Buffer.from(issue.headers['x-launcher-signature'], 'base64')))
+        })
+
+        it('sends the access token only when registering the key', async () => {
+            const store = createStore()
+            await AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { accessToken: 'secret', retryDelay: 1 })
+            await AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { accessToken: 'secret', retryDelay: 1 })
+
+            const bodies = api.requests.filter(r => r.route !== '/v1/handshake').map(r => ({ route: r.route, body: JSON.parse(r.body) }))
+            assert.deepEqual(bodies.map(b => [b.route, b.body.accessToken]), [['/v1/register', 'secret'], ['/v1/issue', undefined], ['/v1/issue', undefined]])
+        })
+
+        it('does not send the access token to an endpoint without HTTPS', async () => {
+            const remote = new MockAuthApi()
+            await remote.start('127.0.0.2')
+            try {
+                const token = await AuthApi.fetchJoinToken(remote.endpoint, PLAYER, createStore(), { accessToken: 'secret', retryDelay: 1 })
+                assert.equal(token, 'token')
+                assert.deepEqual(remote.routes(), ['/v1/handshake', '/v1/register', '/v1/handshake', '/v1/issue'])
+                assert.ok(remote.requests.every(r => !r.body.includes('secret')))
+            } finally {
+                await remote.stop()
+            }
+        })
+
+        it('does not register a key twice', async () => {
+            const store = createStore()
+            await AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { retryDelay: 1 })
+            const publicKey = store.keyPair.publicKey
+            api.reset()
+
+            await AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { retryDelay: 1 })
+            assert.deepEqual(api.routes(), ['/v1/handshake', '/v1/issue'])
+            assert.equal(store.keyPair.publicKey, publicKey)
+        })
+
+        it('retries unavailable responses with an exponential backoff', async () => {
+            const store = createRegisteredStore(api.endpoint)
+            api.queue('/v1/issue', { status: 503, body: {} }, { status: 429, body: {} })
+
+            const token = await AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { retryDelay: 40 })
+            assert.equal(token, 'token')
+
+            const issues = api.requests.filter(r => r.route === '/v1/issue')
+            assert.equal(issues.length, 3)
+            assert.ok(issues[1].time - issues[0].time >= 35)
+            assert.ok(issues[2].time - issues[1].time >= 75)
+        })
+
+        it('gives up after the last attempt', async () => {
+            const store = createRegisteredStore(api.endpoint)
+            api.queue('/v1/issue', ...Array(3).fill({ status: 500, body: { error: 'Down.' } }))
+
+            await assert.rejects(
+                AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { attempts: 3, retryDelay: 1 }),
+                err => err instanceof AuthApi.AuthApiError && err.stage === 'issue' && err.status === 500 && err.message === 'Down.'
+            )
+            assert.equal(api.requests.filter(r => r.route === '/v1/issue').length, 3)
+        })
+
+        it('does not retry a refused player', async () => {
+            const store = createRegisteredStore(api.endpoint)
+            api.queue('/v1/issue', { status: 403, body: { error: 'Banned.' } })
+
+            await assert.rejects(
+                AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { retryDelay: 1 }),
+                err => err instanceof AuthApi.AuthApiError && err.stage === 'issue' && err.status === 403 && err.message === 'Banned.'
+            )
+            assert.deepEqual(api.routes(), ['/v1/handshake', '/v1/issue'])
+        })
+
+        it('reports a failed handshake', async () => {
+            const store = createRegisteredStore(api.endpoint)
+            api.queue('/v1/handshake', { status: 400, body: { error: 'Outdated launcher.' } })
+
+            await assert.rejects(
+                AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { retryDelay: 1 }),
+                err => err instanceof AuthApi.AuthApiError && err.stage === 'handshake' && err.status === 400
+            )
+            assert.deepEqual(api.routes(), ['/v1/handshake'])
+        })
+
+        it('reports a handshake without a challenge', async () => {
+            const store = createRegisteredStore(api.endpoint)
+            api.queue('/v1/handshake', { status: 200, body: {} })
+
+            await assert.rejects(
+                AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { retryDelay: 1 }),
+                err => err instanceof AuthApi.AuthApiError && err.stage === 'handshake'
+            )
+        })
+
+        it('registers the key again when the API does not know it', async () => {
+            const store = createRegisteredStore(api.endpoint)
+            api.queue('/v1/issue', { status: 401, body: {} })
+
+            assert.equal(await AuthApi.fetchJoinToken(api.endpoint, PLAYER, store, { retryDelay: 1 }), 'token')
+            assert.deepEqual(api.routes(), ['/v1/handshake', '/v1/issue', '/v1/handshake', '/v1/register', '/v1/handshake', '/v1/issue'])
+        })
+
+        it('retries when the API cannot be reached', async () => {
+            const closed = http.createServer()
+            await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+            const endpoint = `http://127.0.0.1:${closed.address().port}`
+            await new Promise(resolve => closed.close(resolve))
+
+            const store = createRegisteredStore(endpoint)
+            const start = Date.now()
+            await assert.rejects(
+                AuthApi.fetchJoinToken(endpoint, PLAYER, store, { attempts: 2, retryDelay: 40 }),
+                err => err instanceof AuthApi.AuthApiError && err.stage === 'network' && err.status === null
+            )
+            assert.ok(Date.now() - start >= 35)
+        })
+
+        it('does not replace a key which cannot be decrypted', async () => {
+            for(const store of [createStore({ locked: true }), createStore({ unreadable: true })]){
+                const keyPair = store.keyPair
+                await assert.rejects(AuthApi.fetchJoinToken(api.endpoint, PLAYER, store), AuthApi.LauncherKeyLockedError)
+                assert.equal(store.keyPair, keyPair)
+                assert.equal(store.saves, 0)
+            }
+            assert.deepEqual(api.routes(), [])
+        })
+
+    })
+
+})
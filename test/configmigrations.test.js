@@ -0,0 +1,154 @@
+const assert = require('assert/strict')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+const { afterEach, beforeEach, describe, it } = require('node:test')
+
+const ConfigMigrations = require('../app/assets/js/configmigrations')
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'config')
+
+/**
+ * Read a config fixture.
+ *
+ * @param {string} name The file name of the fixture.
+ * @returns {Object} The parsed config.
+ */
+function readFixture(name){
+    return fs.readJsonSync(path.join(FIXTURES, name))
+}
+
+describe('ConfigMigrations', () => {
+
+    it('numbers the migrations in order', () => {
+        ConfigMigrations.MIGRATIONS.forEach((migration, i) => {
+            assert.equal(migration.version, i + 1)
+        })
+        assert.equal(ConfigMigrations.CONFIG_VERSION, ConfigMigrations.MIGRATIONS.length)
+    })
+
+    it('treats an unversioned config as version 0', () => {
+        assert.equal(ConfigMigrations.getConfigVersion(readFixture('unversioned.json')), 0)
+        assert.equal(ConfigMigrations.getConfigVersion(readFixture('current.json')), ConfigMigrations.CONFIG_VERSION)
+    })
+
+    it('upgrades an unversioned config to the current version', () => {
+        const { config, applied } = ConfigMigrations.migrate(readFixture('unversioned.json'))
+        assert.deepEqual(applied, ConfigMigrations.MIGRATIONS.map(m => m.version))
+        assert.equal(config.configVersion, ConfigMigrations.CONFIG_VERSION)
+    })
+
+    it('moves the legacy Java executable into Java configurations without one', () => {
+        const { config } = ConfigMigrations.migrate(readFixture('unversioned.json'))
+        assert.equal(config.settings.java, undefined)
+        assert.equal(config.javaConfig['FyrethCraft-1.20.1'].executable, 'C:\\Program Files\\Java\\bin\\javaw.exe')
+        assert.equal(config.javaConfig['Example-1.12.2'].executable, '/usr/lib/jvm/java-8/bin/java')
+    })
+
+    it('moves the legacy memory and JVM options into Java configurations without them', () => {
+        const { config } = ConfigMigrations.migrate(readFixture('legacy-java.json'))
+        assert.equal(config.settings.java, undefined)
+        assert.deepEqual(config.javaConfig['FyrethCraft-1.20.1'], {
+            executable: '/usr/lib/jvm/java-17/bin/java',
+            minRAM: '3G',
+            maxRAM: '4G',
+            jvmOptions: ['-XX:+UseG1GC', '-Xmn128M']
+        })
+        assert.deepEqual(config.javaConfig['Example-1.12.2'], {
+            minRAM: '2G',
+            maxRAM: '4G',
+            executable: '/usr/lib/jvm/java-8/bin/java',
+            jvmOptions: []
+        })
+    })
+
+    it('leaves a current config untouched', () => {
+        const { config, applied } = ConfigMigrations.migrate(readFixture('current.json'))
+        assert.deepEqual(applied, [])
+        assert.deepEqual(config, readFixture('current.json'))
+    })
+
+    it('leaves a config written by a newer launcher untouched', () => {
+        const newer = { ...readFixture('current.json'), configVersion: ConfigMigrations.CONFIG_VERSION + 1 }
+        const { config, applied } = ConfigMigrations.migrate(newer)
+        assert.deepEqual(applied, [])
+        assert.equal(config.configVersion, ConfigMigrations.CONFIG_VERSION + 1)
+    })
+
+    it('applies only the migrations newer than the config, in order', () => {
+        const order = []
+        const migrations = [1, 2, 3].map(version => ({
+            version,
+            description: `Migration ${version}`,
+            migrate: (config) => {
+                order.push(version)
+                return { ...config, [`step${version}`]: config.configVersion ?? 0 }
+            }
+        }))
+        const { config, applied } = ConfigMigrations.migrate({ configVersion: 1 }, {}, migrations)
+        assert.deepEqual(order, [2, 3])
+        assert.deepEqual(applied, [2, 3])
+        assert.equal(config.step2, 1)
+        assert.equal(config.step3, 2)
+        assert.equal(config.configVersion, 3)
+    })
+
+    describe('legacy config location', () => {
+
+        let dir
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'configmigrations-'))
+        })
+
+        afterEach(() => {
+            fs.removeSync(dir)
+        })
+
+        /**
+         * Create the context of a config loaded from the given path.
+         *
+         * @param {string} source The path the config was read from.
+         * @returns {Object} The migration context.
+         */
+        function createContext(source){
+            return {
+                source,
+                configPath: path.join(dir, 'launcher', 'config.json'),
+                legacyConfigPath: path.join(dir, '.helioslauncher', 'config.json')
+            }
+        }
+
+        it('moves a config read from the legacy directory', () => {
+            const context = createContext(path.join(dir, '.helioslauncher', 'config.json'))
+            fs.copySync(path.join(FIXTURES, 'unversioned.json'), context.legacyConfigPath)
+
+            ConfigMigrations.migrate(readFixture('unversioned.json'), context)
+
+            assert.equal(fs.existsSync(context.legacyConfigPath), false)
+            assert.deepEqual(fs.readJsonSync(context.configPath), readFixture('unversioned.json'))
+        })
+
+        it('keeps the legacy config when the launcher directory has one', () => {
+            const context = createContext(path.join(dir, 'launcher', 'config.json'))
+            fs.copySync(path.join(FIXTURES, 'unversioned.json'), context.legacyConfigPath)
+            fs.copySync(path.join(FIXTURES, 'unversioned.json'), context.configPath)
+
+            ConfigMigrations.migrate(readFixture('unversioned.json'), context)
+
+            assert.equal(fs.existsSync(context.legacyConfigPath), true)
+        })
+
+        it('does not touch files without a context', () => {
+            const context = createContext(path.join(dir, '.helioslauncher', 'config.json'))
+            fs.copySync(path.join(FIXTURES, 'unversioned.json'), context.legacyConfigPath)
+
+            ConfigMigrations.migrate(readFixture('unversioned.json'))
+
+            assert.equal(fs.existsSync(context.legacyConfigPath), true)
+            assert.equal(fs.existsSync(context.configPath), false)
+        })
+
+    })
+
+})
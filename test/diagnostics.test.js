@@ -0,0 +1,101 @@
+const assert = require('assert/strict')
+const fs = require('fs-extra')
+const path = require('path')
+const { describe, it } = require('node:test')
+
+const Diagnostics = require('../app/assets/js/diagnostics')
+const { GameConsoleSession } = require('../app/assets/js/gameconsole')
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'logs')
+
+/**
+ * The sample logs and the problems which must be found in them, with the
+ * placeholders of each match.
+ */
+const EXPECTED = {
+    'launchwrapper-missing.log': { launchWrapperMissing: {} },
+    'unsupported-class-version.log': {
+        unsupportedClassVersion: {
+            className: 'cpw/mods/bootstraplauncher/BootstrapLauncher',
+            required: '17',
+            current: '8'
+        }
+    },
+    'forge-1.12-java9.log': { wrongJavaVersion: {} },
+    'fabric-java-version.log': { wrongJavaVersion: { required: '17' } },
+    'heap-reservation.log': { heapReservation: {} },
+    'out-of-memory.log': { outOfMemory: { detail: 'Java heap space' } },
+    'forge-missing-dependency.log': { missingDependency: { dependency: 'architectury', mod: 'roughlyenoughitems' } },
+    'forge-missing-dependency-1.20.log': { missingDependency: { mod: 'sophisticatedbackpacks', dependency: 'sophisticatedcore' } },
+    'fabric-missing-dependency.log': { missingDependency: { mod: 'sodium-extra', dependency: 'sodium' } },
+    'duplicate-mods.log': { duplicateMods: {} },
+    'mixin-conflict.log': { mixinConflict: { mod: 'create' } },
+    'graphics-init.log': { graphicsInit: {} },
+    'mojang-rate-limit.log': { mojangRateLimit: {} },
+    'healthy.log': {}
+}
+
+/**
+ * Read a sample log.
+ *
+ * @param {string} name The file name of the log.
+ * @returns {string} The log.
+ */
+function readFixture(name){
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8')
+}
+
+describe('Diagnostics', () => {
+
+    for(const [name, expected] of Object.entries(EXPECTED)){
+        it(`finds ${Object.keys(expected).join(', ') || 'nothing'} in ${name}`, () => {
+            const matches = Diagnostics.diagnose(readFixture(name))
+            assert.deepEqual(matches.map(m => m.id), Object.keys(expected))
+            for(const match of matches){
+                assert.deepEqual(match.params, expected[match.id])
+            }
+        })
+    }
+
+    it('has a sample log for every rule', () => {
+        const covered = new Set(Object.values(EXPECTED).flatMap(Object.keys))
+        for(const rule of Diagnostics.RULES){
+            assert.ok(covered.has(rule.id), `No sample log for ${rule.id}.`)
+        }
+    })
+
+    it('expects a result for every sample log', () => {
+        assert.deepEqual(fs.readdirSync(FIXTURES).sort(), Object.keys(EXPECTED).sort())
+    })
+
+    it('finds problems which span several lines only in the whole output', () => {
+        const lines = readFixture('forge-missing-dependency-1.20.log').split('\n')
+        for(const line of lines){
+            assert.deepEqual(Diagnostics.diagnose(line), [])
+        }
+        assert.equal(Diagnostics.diagnose(lines.join('\n'))[0].id, 'missingDependency')
+    })
+
+    it('finds problems in the output of a console session', () => {
+        const session = new GameConsoleSession()
+        session.write('stdout', readFixture('forge-missing-dependency-1.20.log'))
+        session.flush('stdout')
+        assert.deepEqual(Diagnostics.diagnose(session.getOutput()).map(m => m.id), ['missingDependency'])
+    })
+
+    it('marks problems which prevent the game from starting as fatal', () => {
+        const [match] = Diagnostics.diagnose(readFixture('heap-reservation.log'))
+        assert.equal(match.fatal, true)
+        const [oom] = Diagnostics.diagnose(readFixture('out-of-memory.log'))
+        assert.equal(oom.fatal, false)
+    })
+
+    it('keeps the first match of each rule when merging', () => {
+        const report = Diagnostics.diagnose(readFixture('forge-missing-dependency.log'))
+        const output = Diagnostics.diagnose(readFixture('fabric-missing-dependency.log') + readFixture('out-of-memory.log'))
+        const merged = Diagnostics.merge(report, output)
+        assert.deepEqual(merged.map(m => m.id), ['missingDependency', 'outOfMemory'])
+        assert.equal(merged[0].params.mod, 'roughlyenoughitems')
+    })
+
+})
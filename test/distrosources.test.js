@@ -0,0 +1,139 @@
+const assert = require('assert/strict')
+const path = require('path')
+const { describe, it } = require('node:test')
+
+const DistroSources = require('../app/assets/js/distrosources')
+
+const COMMON_DIR = path.resolve('launcher', 'common')
+const INSTANCE_DIR = path.resolve('launcher', 'instances')
+
+const SOURCE = DistroSources.createSource('https://example.com/distribution.json')
+
+/**
+ * Create a module.
+ *
+ * @param {string} type The module type.
+ * @param {string} id The module id.
+ * @param {Object} artifact Optional. Properties of the artifact.
+ * @returns {Object} The raw module.
+ */
+function createModule(type, id, artifact = {}){
+    return {
+        id,
+        name: id,
+        type,
+        artifact: { size: 1, MD5: '00000000000000000000000000000000', url: `https://example.com/${id}`, ...artifact }
+    }
+}
+
+/**
+ * Create a server.
+ *
+ * @param {Array.<Object>} modules The raw modules.
+ * @param {Object} properties Optional. Other properties of the server.
+ * @returns {Object} The raw server.
+ */
+function createServer(modules, properties = {}){
+    return {
+        id: 'Example_Server',
+        name: 'Example',
+        address: 'play.example.com',
+        minecraftVersion: '1.20.1',
+        mainServer: true,
+        modules,
+        ...properties
+    }
+}
+
+/**
+ * Prepare a server of the test source.
+ *
+ * @param {Object} rawServer The raw server.
+ * @param {Map.<string, string | null>} claimed Optional. The files already claimed.
+ * @returns {Object} The server.
+ */
+function prepare(rawServer, claimed = new Map()){
+    return DistroSources.prepareServer(SOURCE, rawServer, COMMON_DIR, INSTANCE_DIR, claimed)
+}
+
+describe('DistroSources', () => {
+
+    it('creates sources from URLs and absolute paths only', () => {
+        assert.match(SOURCE.id, /^[0-9a-f]{8}$/)
+        assert.equal(DistroSources.getSourceName(SOURCE), 'example.com')
+        assert.equal(DistroSources.getSourceName(DistroSources.createSource(path.resolve('servers.json'))), 'servers.json')
+        assert.throws(() => DistroSources.createSource('servers.json'))
+    })
+
+    it('namespaces the server and removes its Auth API', () => {
+        const server = prepare(createServer([], { authApi: 'https://auth.example.com' }))
+        assert.equal(server.id, `${SOURCE.id}${DistroSources.SOURCE_ID_SEPARATOR}Example_Server`)
+        assert.equal(server.mainServer, false)
+        assert.equal('authApi' in server, false)
+    })
+
+    it('rejects an invalid server id', () => {
+        assert.throws(() => prepare(createServer([], { id: '../Example' })))
+        assert.throws(() => prepare(createServer([], { id: null })))
+    })
+
+    it('accepts modules installed to their directory', () => {
+        const server = prepare(createServer([
+            createModule('VersionManifest', '1.20.1-forge-47.2.0'),
+            createModule('ForgeHosted', 'net.minecraftforge:forge:1.20.1-47.2.0:universal'),
+            createModule('ForgeMod', 'com.example:mod:1.0.0'),
+            createModule('File', 'config', { path: 'config/example.toml' })
+        ]))
+        assert.equal(server.modules.length, 4)
+    })
+
+    it('rejects a version manifest whose id leaves the versions directory', () => {
+        assert.throws(() => prepare(createServer([createModule('VersionManifest', '../../x')])), /outside/)
+    })
+
+    it('rejects a maven id which leaves the directory of its type', () => {
+        assert.throws(() => prepare(createServer([createModule('Library', 'com.example:..:..')])), /outside/)
+        assert.throws(() => prepare(createServer([createModule('ForgeMod', 'com.example:mod:1.0.0', { path: '../libraries/mod.jar' })])), /outside/)
+    })
+
+    it('rejects a file which leaves the game directory', () => {
+        assert.throws(() => prepare(createServer([createModule('File', 'options', { path: '../Other_Server/options.txt' })])), /outside/)
+    })
+
+    it('checks submodules', () => {
+        const library = createModule('Library', 'com.example:lib:1.0.0')
+        library.subModules = [createModule('Library', 'com.example:..:..')]
+        assert.throws(() => prepare(createServer([library])), /outside/)
+    })
+
+    describe('shared common directory', () => {
+
+        const main = createServer([createModule('Library', 'com.example:lib:1.0.0', { MD5: '11111111111111111111111111111111' })])
+
+        it('claims the common files of the main index', () => {
+            const claimed = DistroSources.getClaimedFiles([main], COMMON_DIR, INSTANCE_DIR)
+            assert.deepEqual([...claimed.values()], ['11111111111111111111111111111111'])
+            assert.ok([...claimed.keys()][0].startsWith(path.join(COMMON_DIR, 'libraries')))
+        })
+
+        it('rejects a module which replaces a file of the main index', () => {
+            const claimed = DistroSources.getClaimedFiles([main], COMMON_DIR, INSTANCE_DIR)
+            const server = createServer([createModule('Library', 'com.example:lib:1.0.0', { MD5: '22222222222222222222222222222222' })])
+            assert.throws(() => prepare(server, claimed), /replaces/)
+        })
+
+        it('accepts a module with the same content as the main index', () => {
+            const claimed = DistroSources.getClaimedFiles([main], COMMON_DIR, INSTANCE_DIR)
+            assert.doesNotThrow(() => prepare(createServer([createModule('Library', 'com.example:lib:1.0.0', { MD5: '11111111111111111111111111111111' })]), claimed))
+        })
+
+        it('rejects a module which replaces a file of an earlier source', () => {
+            const claimed = new Map()
+            prepare(createServer([createModule('ForgeMod', 'com.example:mod:1.0.0', { MD5: '33333333333333333333333333333333' })]), claimed)
+            const other = createServer([createModule('ForgeMod', 'com.example:mod:1.0.0', { MD5: '44444444444444444444444444444444' })], { id: 'Other_Server' })
+            assert.throws(() => prepare(other, claimed), /replaces/)
+        })
+
+    })
+
+})
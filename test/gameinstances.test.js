@@ -0,0 +1,53 @@
+const assert = require('assert/strict')
+const path = require('path')
+const { afterEach, describe, it } = require('node:test')
+
+const GameInstances = require('../app/assets/js/gameinstances')
+
+const INSTANCE_DIR = path.resolve('launcher', 'instances')
+
+/**
+ * Register an instance of a server launched with an account.
+ *
+ * @param {string} serverId The id of the server.
+ * @param {string} accountUuid The uuid of the account.
+ * @returns {Object} The instance.
+ */
+function launch(serverId, accountUuid){
+    return GameInstances.add({ serverId, accountUuid, displayName: accountUuid, gameDir: path.join(INSTANCE_DIR, serverId), proc: null })
+}
+
+describe('GameInstances', () => {
+
+    afterEach(() => {
+        for(const instance of GameInstances.getAll()){
+            GameInstances.remove(instance)
+        }
+    })
+
+    it('blocks a second launch with the same server and account', () => {
+        const instance = launch('Example', 'alice')
+        assert.equal(GameInstances.getConflict('Example', 'alice', path.join(INSTANCE_DIR, 'Example')), instance)
+        assert.throws(() => launch('Example', 'alice'))
+    })
+
+    it('blocks another account from the shared instance directory', () => {
+        const instance = launch('Example', 'alice')
+        assert.equal(GameInstances.getConflict('Example', 'bob', path.join(INSTANCE_DIR, 'Example')), instance)
+        assert.equal(GameInstances.getConflict('Example', 'bob', path.join(INSTANCE_DIR, 'Example') + path.sep), instance)
+        assert.throws(() => launch('Example', 'bob'))
+    })
+
+    it('allows another server with the same account', () => {
+        launch('Example', 'alice')
+        assert.equal(GameInstances.getConflict('Other', 'alice', path.join(INSTANCE_DIR, 'Other')), null)
+        launch('Other', 'alice')
+        assert.equal(GameInstances.getAll().length, 2)
+    })
+
+    it('allows a launch once the instance has closed', () => {
+        GameInstances.remove(launch('Example', 'alice'))
+        assert.doesNotThrow(() => launch('Example', 'bob'))
+    })
+
+})
@@ -0,0 +1,189 @@
+const assert = require('assert/strict')
+const dgram = require('dgram')
+const dns = require('dns')
+const { after, before, beforeEach, describe, it } = require('node:test')
+
+const SrvResolver = require('../app/assets/js/srvresolver')
+
+/**
+ * Encode a domain name.
+ *
+ * @param {string} name The name.
+ * @returns {Buffer} The labels of the name.
+ */
+function encodeName(name){
+    return Buffer.concat([
+        ...name.split('.').filter(l => l.length > 0).map(l => Buffer.concat([Buffer.from([l.length]), Buffer.from(l, 'ascii')])),
+        Buffer.from([0])
+    ])
+}
+
+/**
+ * Build the response to a query. Answers point back to the name of the
+ * question.
+ *
+ * @param {Buffer} query The query.
+ * @param {Array.<{target: string, port: number, ttl: number}>} records The SRV records, none for NXDOMAIN.
+ * @returns {Buffer} The response.
+ */
+function buildResponse(query, records){
+    let end = 12
+    while(query[end] !== 0){
+        end += query[end] + 1
+    }
+    const question = query.subarray(12, end + 5)
+    const header = Buffer.alloc(12)
+    header.writeUInt16BE(query.readUInt16BE(0), 0)
+    header.writeUInt16BE(records.length > 0 ? 0x8180 : 0x8183, 2)
+    header.writeUInt16BE(1, 4)
+    header.writeUInt16BE(records.length, 6)
+    const answers = records.map(({ target, port, ttl }) => {
+        const rdata = Buffer.concat([Buffer.from([0, 0, 0, 5, port >> 8, port & 0xFF]), encodeName(target)])
+        const fixed = Buffer.alloc(12)
+        fixed.writeUInt16BE(0xC00C, 0)
+        fixed.writeUInt16BE(33, 2)
+        fixed.writeUInt16BE(1, 4)
+        fixed.writeUInt32BE(ttl, 6)
+        fixed.writeUInt16BE(rdata.length, 10)
+        return Buffer.concat([fixed, rdata])
+    })
+    return Buffer.concat([header, question, ...answers])
+}
+
+/**
+ * A local DNS server which answers SRV queries from a table of records.
+ */
+class MockDnsServer {
+
+    constructor(){
+        this.records = {}
+        this.queries = []
+        this.socket = dgram.createSocket('udp4')
+        this.socket.on('message', (msg, rinfo) => {
+            const name = readQueryName(msg)
+            this.queries.push(name)
+            this.socket.send(buildResponse(msg, this.records[name] ?? []), rinfo.port, rinfo.address)
+        })
+    }
+
+    async start(){
+        await new Promise(resolve => this.socket.bind(0, '127.0.0.1', resolve))
+        return `127.0.0.1:${this.socket.address().port}`
+    }
+
+    stop(){
+        this.socket.close()
+    }
+
+}
+
+/**
+ * Read the name of the question of a query.
+ *
+ * @param {Buffer} query The query.
+ * @returns {string} The name, lowercase.
+ */
+function readQueryName(query){
+    const labels = []
+    let offset = 12
+    while(query[offset] !== 0){
+        labels.push(query.toString('ascii', offset + 1, offset + 1 + query[offset]))
+        offset += query[offset] + 1
+    }
+    return labels.join('.').toLowerCase()
+}
+
+describe('SrvResolver', () => {
+
+    describe('parseAddress', () => {
+
+        it('splits hostnames, IPv4 and bracketed IPv6 addresses', () => {
+            assert.deepEqual(SrvResolver.parseAddress('play.example.com'), { hostname: 'play.example.com', port: null })
+            assert.deepEqual(SrvResolver.parseAddress('127.0.0.1:25566'), { hostname: '127.0.0.1', port: 25566 })
+            assert.deepEqual(SrvResolver.parseAddress('[::1]:25566'), { hostname: '::1', port: 25566 })
+            assert.deepEqual(SrvResolver.parseAddress('::1'), { hostname: '::1', port: null })
+        })
+
+        it('rejects a port which is not an integer', () => {
+            assert.throws(() => SrvResolver.parseAddress('play.example.com:'))
+            assert.throws(() => SrvResolver.parseAddress('play.example.com:abc'))
+        })
+
+        it('brackets IPv6 addresses when formatting', () => {
+            assert.equal(SrvResolver.formatAddress('::1', 25565), '[::1]:25565')
+            assert.equal(SrvResolver.formatAddress('play.example.com', 25565), 'play.example.com:25565')
+        })
+
+    })
+
+    describe('parseSrvResponse', () => {
+
+        const query = Buffer.concat([Buffer.from([0x12, 0x34, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0]), encodeName('_minecraft._tcp.example.com'), Buffer.from([0, 33, 0, 1])])
+
+        it('reads the records and their TTL', () => {
+            const records = SrvResolver.parseSrvResponse(buildResponse(query, [{ target: 'mc.example.com', port: 25570, ttl: 60 }]), 0x1234)
+            assert.deepEqual(records, [{ priority: 0, weight: 5, port: 25570, name: 'mc.example.com', ttl: 60 }])
+        })
+
+        it('treats NXDOMAIN as no records', () => {
+            assert.deepEqual(SrvResolver.parseSrvResponse(buildResponse(query, []), 0x1234), [])
+        })
+
+        it('rejects a response to another query', () => {
+            assert.throws(() => SrvResolver.parseSrvResponse(buildResponse(query, []), 0x4321))
+        })
+
+    })
+
+    describe('resolveServerAddress', () => {
+
+        const server = new MockDnsServer()
+        let servers
+
+        before(async () => {
+            servers = dns.getServers()
+            dns.setServers([await server.start()])
+        })
+
+        after(() => {
+            dns.setServers(servers)
+            server.stop()
+        })
+
+        beforeEach(() => {
+            SrvResolver.clearCache()
+            server.queries = []
+        })
+
+        it('connects to the target of the SRV record', async () => {
+            server.records['_minecraft._tcp.srv.example.com'] = [{ target: 'mc.example.com', port: 25570, ttl: 60 }]
+            assert.deepEqual(await SrvResolver.resolveServerAddress('srv.example.com'), { hostname: 'mc.example.com', port: 25570 })
+        })
+
+        it('uses the default port without a record', async () => {
+            assert.deepEqual(await SrvResolver.resolveServerAddress('none.example.com'), { hostname: 'none.example.com', port: 25565 })
+        })
+
+        it('does not look up addresses with a port or IP literals', async () => {
+            assert.deepEqual(await SrvResolver.resolveServerAddress('srv.example.com:25566'), { hostname: 'srv.example.com', port: 25566 })
+            assert.deepEqual(await SrvResolver.resolveServerAddress('[::1]'), { hostname: '::1', port: 25565 })
+            assert.deepEqual(server.queries, [])
+        })
+
+        it('caches the result for the TTL of the record', async () => {
+            server.records['_minecraft._tcp.short.example.com'] = [{ target: 'mc.example.com', port: 25570, ttl: 1 }]
+            await SrvResolver.resolveServerAddress('short.example.com')
+            const queries = server.queries.length
+            assert.ok(queries > 0)
+
+            await SrvResolver.resolveServerAddress('short.example.com')
+            assert.equal(server.queries.length, queries)
+
+            await new Promise(resolve => setTimeout(resolve, 1100))
+            await SrvResolver.resolveServerAddress('short.example.com')
+            assert.ok(server.queries.length > queries)
+        })
+
+    })
+
+})